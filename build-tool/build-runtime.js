@@ -23,6 +23,11 @@
      node build-runtime.js
      node build-runtime.js --check           (verify prerequisites only)
      node build-runtime.js --skip-extension   (skip building the extension)
+     node build-runtime.js --pyodide <tarball URL or path>
+                                             (bundle a full Pyodide distribution
+                                              into static/pyodide/ for offline use;
+                                              build.js packages only the wheels
+                                              each project needs)
    ========================================================================= */
 
 'use strict';
@@ -39,6 +44,8 @@ const EXTENSION_DIR = path.join(ROOT, 'extension');
 const args = process.argv.slice(2);
 const checkOnly = args.includes('--check');
 const skipExtension = args.includes('--skip-extension');
+const pyodideIndex = args.indexOf('--pyodide');
+const pyodideSource = pyodideIndex !== -1 ? args[pyodideIndex + 1] : null;
 
 // -----------------------------------------------------------------------
 // Check prerequisites
@@ -196,6 +203,10 @@ function createConfig() {
     'jupyter-config-data': {
       'appName': 'Zest Notebook',
       'appUrl': './lab',
+      // window.jupyterapp, for bridge-shim.js's command channel when
+      // the Zest extension is not loaded (a string: JupyterLite compares
+      // it lowercased with 'true')
+      'exposeAppInBrowser': 'true',
       'disabledExtensions': [
         // Disable extensions students don't need
         '@jupyterlab/extensionmanager-extension',
@@ -271,9 +282,13 @@ function buildRuntime() {
   console.log('This includes Python (Pyodide) and JavaScript kernels.');
   console.log('First build may take several minutes to download Pyodide.\n');
 
+  // jupyterlite-pyodide-kernel unpacks this into static/pyodide/ and
+  // points the kernel at it instead of the CDN
+  const pyodideArg = pyodideSource ? ` --pyodide "${pyodideSource}"` : '';
+
   try {
     execSync(
-      `cd "${RUNTIME_DIR}" && jupyter lite build --output-dir _output`,
+      `cd "${RUNTIME_DIR}" && jupyter lite build --output-dir _output${pyodideArg}`,
       { stdio: 'inherit', timeout: 600000 }
     );
     console.log('\n  \u2713 JupyterLite runtime built successfully');
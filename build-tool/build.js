@@ -10,6 +10,18 @@
      node build.js --dir my-notebooks/      # Build from custom directory
      node build.js --single my-notebook.ipynb  # Build a single notebook
      node build.js --dry-run                # Preview what would be built
+     node build.js --force                  # Rebuild even if nothing changed
+     node build.js --serve [project]        # Preview a project locally, rebuilding on change
+     node build.js --template               # Build the teacher kit (dist/notebook-template.zip)
+
+   Every notebook is validated first (nbformat structure, kernelspec,
+   oversized outputs, missing data files — see lib/validate.js). A project
+   with errors is not built; --dry-run reports the same findings.
+
+   Builds are incremental: a project whose inputs, the templates, the
+   build tool and the runtime are unchanged since its last build keeps
+   its zip (see lib/cache.js). The runtime is hard-linked into each build
+   directory rather than copied.
 
    Directory Structure Expected:
      my-notebooks/
@@ -17,8 +29,16 @@
          assignment.ipynb          # Required: the notebook
          data/                     # Optional: data files
            dataset.csv
-         requirements.txt          # Optional: pip packages to install
-         zest.json                 # Optional: override metadata
+         requirements.txt          # Optional: Pyodide packages to preload
+         zest.json                 # Optional: metadata, merged over template/zest.json
+
+   A project can ship several notebooks by listing them in its zest.json:
+       "notebooks": [
+         { "file": "part1.ipynb", "title": "Part 1" },
+         "part2.ipynb"
+       ]
+   Listed notebooks keep their file names; otherwise the single notebook
+   is packaged as assignment.ipynb.
 
    OR simply:
      my-notebooks/
@@ -27,12 +47,20 @@
    Output:
      dist/
        notebook-name.zip           # Standalone Zest content package
+       manifest.json               # What each package from the last run contains
 
    Each zip contains:
      index.html         — Zest wrapper with JupyterLite iframe
      bridge.js          — Zest-JupyterLite bridge
+     transport.js       — Compressed/chunked state transport (bridge + review)
+     protocol.js        — zest-jupyter message protocol (bridge, review, shim)
+     grading.js         — Scoring for the hidden tests (bridge)
      review.html        — SpeedGrader review page
      zest.json          — Zest manifest
+     tests.json         — Hidden autograder tests (only if the notebook has any)
+     locked-cells.json  — Original content of teacher-locked cells (if any)
+     starter.json       — Fingerprint of the starter notebooks (review diffs)
+     build-manifest.json — Versions, hashes, data files and kernels (lib/manifest.js)
      lite/              — JupyterLite runtime (shared)
      lite/files/        — Pre-loaded notebooks and data files
    ========================================================================= */
@@ -40,18 +68,39 @@
 'use strict';
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { execSync } = require('child_process');
+const { extractHiddenTests, extractLockedCells, starterFingerprint } = require('./lib/notebook');
+const { normalizeRubric } = require('./lib/rubric');
+const { isNbgraderSource, checkNbgraderSource, releaseNotebook } = require('./lib/nbgrader');
+const { validateNotebook, DEFAULT_KERNELS } = require('./lib/validate');
+const { resolveProjectPackages, setPreloadPackages } = require('./lib/pyodide');
+const { fingerprint, cacheKey, isUpToDate, recordBuild, cachedManifest, forgetBuild } = require('./lib/cache');
+const { startPreview } = require('./lib/preview');
+const { writeZip } = require('./lib/zip');
+const { projectKernels, pruneRules, isPruned, pruneLiteConfig, treeSize } = require('./lib/runtime');
+const { validateZestConfig, mergeZestConfig, fillPlaceholders } = require('./lib/zest-config');
+const { KIT_TITLE, KIT_DESCRIPTION, placeholderNotebook, howToUse } = require('./lib/template-kit');
+const { runtimeVersions, packageManifest, writePackageManifest, writeSummary } = require('./lib/manifest');
 
 // -----------------------------------------------------------------------
 // Configuration
 // -----------------------------------------------------------------------
 
 const ROOT = path.resolve(__dirname, '..');
+const TOOL_VERSION = require(path.join(ROOT, 'package.json')).version;
 const TEMPLATE_DIR = path.join(ROOT, 'template');
 const RUNTIME_DIR = path.join(ROOT, 'runtime', '_output');
+const PYODIDE_DIR = path.join(RUNTIME_DIR, 'static', 'pyodide');
 const DIST_DIR = path.join(ROOT, 'dist');
+const SUMMARY_PATH = path.join(DIST_DIR, 'manifest.json');
+// zest.json fields that only drive the build and are not passed to Zest
+const BUILD_ONLY_FIELDS = ['kernels', 'rubric'];
+const CACHE_DIR = path.join(DIST_DIR, '.cache');
+const PREVIEW_DATA_DIR = path.join(DIST_DIR, '.preview');
+const DEFAULT_PREVIEW_PORT = 8000;
 const DEFAULT_NOTEBOOKS_DIR = path.join(ROOT, 'examples');
+const TEMPLATE_KIT_NAME = 'notebook-template';
 
 // -----------------------------------------------------------------------
 // CLI Arguments
@@ -66,6 +115,15 @@ for (let i = 0; i < args.length; i++) {
     flags.single = args[++i];
   } else if (args[i] === '--dry-run') {
     flags.dryRun = true;
+  } else if (args[i] === '--force') {
+    flags.force = true;
+  } else if (args[i] === '--serve') {
+    flags.serve = true;
+    if (args[i + 1] && !args[i + 1].startsWith('--')) flags.serveProject = args[++i];
+  } else if (args[i] === '--template') {
+    flags.template = true;
+  } else if (args[i] === '--port' && args[i + 1]) {
+    flags.port = parseInt(args[++i], 10);
   } else if (args[i] === '--help' || args[i] === '-h') {
     flags.help = true;
   }
@@ -80,14 +138,23 @@ Usage:
   node build.js --dir <path>               Build from custom directory
   node build.js --single <notebook.ipynb>  Build a single notebook
   node build.js --dry-run                  Preview what would be built
+  node build.js --force                    Rebuild projects even if unchanged
+  node build.js --serve [project]          Serve one project at http://localhost:8000
+                                           with a mock Zest API; rebuilds and
+                                           reloads when its files change
+  node build.js --serve ... --port <n>     Use another port
+  node build.js --template                 Build dist/notebook-template.zip, the
+                                           kit teachers fill in by hand
 
 Directory Structure:
   Each subdirectory is a notebook project:
     my-notebook/
       assignment.ipynb       Required: the main notebook
       data/                  Optional: data files
-      requirements.txt       Optional: pip packages
+      requirements.txt       Optional: Pyodide packages, preloaded and bundled
       zest.json             Optional: metadata override
+                            ("notebooks": [...] for multi-notebook projects,
+                             "rubric": [...] for review-page scoring)
 
   Or just bare .ipynb files at the top level.
 `);
@@ -136,6 +203,65 @@ function extractNotebookTitle(nbPath) {
   return null;
 }
 
+/**
+ * Notebooks packaged for a project directory. A `notebooks` list in the
+ * project's zest.json wins; otherwise the main notebook is packaged as
+ * assignment.ipynb. Missing files are reported by buildProject().
+ */
+function listProjectNotebooks(dir, mainFile) {
+  const zestPath = path.join(dir, 'zest.json');
+  let declared = null;
+  let rubric;
+  if (fs.existsSync(zestPath)) {
+    try {
+      const zest = JSON.parse(fs.readFileSync(zestPath, 'utf8'));
+      declared = zest.notebooks;
+      rubric = zest.rubric;
+    } catch (e) {
+      // Malformed zest.json is reported when the project is built
+    }
+  }
+
+  if (!Array.isArray(declared) || declared.length === 0) {
+    return [{ src: path.join(dir, mainFile), path: 'assignment.ipynb', title: null, rubric }];
+  }
+
+  return declared.map(entry => {
+    const file = typeof entry === 'string' ? entry : (entry.file || entry.path || '');
+    const isObject = entry && typeof entry === 'object';
+    return {
+      src: path.join(dir, file),
+      path: file.replace(/\\/g, '/').replace(/^\.\//, ''),
+      title: (isObject && entry.title) || null,
+      rubric: isObject ? entry.rubric : undefined
+    };
+  });
+}
+
+/**
+ * Relative paths of all files under `dir`, prefixed with `prefix`.
+ */
+function listFilesRecursive(dir, prefix) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const rel = prefix + entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listFilesRecursive(path.join(dir, entry.name), rel + '/'));
+    } else {
+      files.push(rel);
+    }
+  }
+  return files;
+}
+
+/**
+ * Remove `file` if it exists. Files under lite/ may be hard links into
+ * runtime/_output, and writing through one would change the runtime.
+ */
+function unlinkIfExists(file) {
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+}
+
 function copyDirRecursive(src, dest) {
   if (!fs.existsSync(src)) return;
   fs.mkdirSync(dest, { recursive: true });
@@ -146,11 +272,230 @@ function copyDirRecursive(src, dest) {
     if (entry.isDirectory()) {
       copyDirRecursive(srcPath, destPath);
     } else {
+      unlinkIfExists(destPath);
       fs.copyFileSync(srcPath, destPath);
     }
   }
 }
 
+let canHardLink = true;
+
+/**
+ * Hard-link a directory tree into `dest` (copying if the two are on
+ * different filesystems). `skip(srcPath)` can leave files out.
+ */
+function linkDirRecursive(src, dest, skip) {
+  fs.mkdirSync(dest, { recursive: true });
+  for (const entry of fs.readdirSync(src, { withFileTypes: true })) {
+    const srcPath = path.join(src, entry.name);
+    const destPath = path.join(dest, entry.name);
+    if (skip && skip(srcPath)) continue;
+    if (entry.isDirectory()) {
+      linkDirRecursive(srcPath, destPath, skip);
+      continue;
+    }
+    if (canHardLink) {
+      try {
+        fs.linkSync(srcPath, destPath);
+        continue;
+      } catch (e) {
+        if (e.code !== 'EXDEV' && e.code !== 'EPERM' && e.code !== 'ENOTSUP') throw e;
+        console.warn(`    ⚠ Cannot hard-link the runtime (${e.code}) — copying it instead`);
+        canHardLink = false;
+      }
+    }
+    fs.copyFileSync(srcPath, destPath);
+  }
+}
+
+// -----------------------------------------------------------------------
+// Validation
+// -----------------------------------------------------------------------
+
+/**
+ * Kernels the runtime provides: its api/kernelspecs/ listing when the
+ * runtime is built and has one, otherwise those build-runtime.js installs.
+ */
+function availableKernels() {
+  const kernelsDir = path.join(RUNTIME_DIR, 'api', 'kernelspecs');
+  if (fs.existsSync(kernelsDir)) {
+    const names = fs.readdirSync(kernelsDir, { withFileTypes: true })
+      .filter(e => e.isDirectory())
+      .map(e => e.name);
+    if (names.length > 0) return names;
+  }
+  return DEFAULT_KERNELS;
+}
+
+/**
+ * Paths (relative to lite/files/) that buildProject() will package:
+ * the notebooks, data/ and the project's other files.
+ */
+function listPackagedFiles(project) {
+  const files = new Set(project.notebooks.map(n => n.path));
+  if (!project.dir) return files;
+  for (const name of fs.readdirSync(project.dir)) {
+    if (name.endsWith('.ipynb') || name === 'zest.json' || name === 'requirements.txt' || name.startsWith('.')) {
+      continue;
+    }
+    const full = path.join(project.dir, name);
+    if (fs.statSync(full).isDirectory()) {
+      listFilesRecursive(full, name + '/').forEach(f => files.add(f));
+    } else {
+      files.add(name);
+    }
+  }
+  return files;
+}
+
+/**
+ * A project's parsed notebooks. Notebooks that cannot be parsed are
+ * skipped here; validateNotebook() reports them.
+ */
+function readProjectNotebooks(project) {
+  const notebooks = [];
+  for (const nbInfo of project.notebooks) {
+    try {
+      notebooks.push(JSON.parse(fs.readFileSync(nbInfo.src, 'utf8')));
+    } catch (e) {
+      // Reported by validation
+    }
+  }
+  return notebooks;
+}
+
+/**
+ * A notebook as students get it, before hidden tests and locks are
+ * extracted: nbgrader source notebooks are released (lib/nbgrader.js),
+ * anything else is used as it is.
+ *
+ * @returns {{ notebook: object, rubric: object[], solutions: number, nbgrader: boolean }}
+ */
+function releaseSource(nb) {
+  if (!isNbgraderSource(nb)) return { notebook: nb, rubric: [], solutions: 0, nbgrader: false };
+  return Object.assign(releaseNotebook(nb), { nbgrader: true });
+}
+
+/**
+ * Pyodide packages for a project (see lib/pyodide.js).
+ */
+function projectPackages(project) {
+  return resolveProjectPackages({
+    requirementsText: project.hasRequirements
+      ? fs.readFileSync(path.join(project.dir, 'requirements.txt'), 'utf8')
+      : null,
+    notebooks: readProjectNotebooks(project),
+    pyodideDir: PYODIDE_DIR
+  });
+}
+
+/**
+ * Kernels a project ships (see lib/runtime.js), from its notebooks'
+ * kernelspecs or the `kernels` list in its zest.json.
+ */
+function projectRuntime(project) {
+  let declared;
+  if (project.hasZestJson) {
+    try {
+      declared = JSON.parse(fs.readFileSync(path.join(project.dir, 'zest.json'), 'utf8')).kernels;
+    } catch (e) {
+      // Reported by validation
+    }
+  }
+  return projectKernels(readProjectNotebooks(project), declared);
+}
+
+function projectTitle(project) {
+  return extractNotebookTitle(project.notebooks[0].src) || titleCase(project.slug);
+}
+
+/**
+ * The zest.json a project ships: its own zest.json merged over the
+ * template's, with placeholders filled in (see lib/zest-config.js).
+ *
+ * @returns {{ config: object|null, own: object, errors: string[], warnings: string[] }}
+ *   config is null if there are errors; own is the project's file ({} if none)
+ */
+function projectZestConfig(project) {
+  const template = JSON.parse(readTemplate('zest.json'));
+  let own = {};
+  const errors = [];
+  const warnings = [];
+  if (project.hasZestJson) {
+    try {
+      own = JSON.parse(fs.readFileSync(path.join(project.dir, 'zest.json'), 'utf8'));
+    } catch (e) {
+      return { config: null, own: {}, errors: [`zest.json: not valid JSON (${e.message})`], warnings };
+    }
+    const findings = validateZestConfig(own, template);
+    errors.push(...findings.errors.map(msg => `zest.json: ${msg}`));
+    warnings.push(...findings.warnings.map(msg => `zest.json: ${msg}`));
+    if (errors.length > 0) return { config: null, own, errors, warnings };
+  }
+
+  const title = projectTitle(project);
+  const filled = fillPlaceholders(mergeZestConfig(template, own), {
+    NOTEBOOK_TITLE: title,
+    NOTEBOOK_DESCRIPTION: 'Interactive ' + title + ' notebook powered by JupyterLite.'
+  });
+  errors.push(...filled.errors.map(msg => `zest.json: ${msg}`));
+  return { config: errors.length > 0 ? null : filled.config, own, errors, warnings };
+}
+
+/**
+ * Check a project's notebooks, zest.json and requirements.txt before building.
+ *
+ * @returns {{ errors: string[], warnings: string[] }} Findings, each
+ *   prefixed with the file it concerns
+ */
+function validateProject(project) {
+  const errors = [];
+  const warnings = [];
+
+  const zest = projectZestConfig(project);
+  errors.push(...zest.errors);
+  warnings.push(...zest.warnings);
+
+  const kernels = availableKernels();
+  const files = listPackagedFiles(project);
+  for (const nbInfo of project.notebooks) {
+    if (!nbInfo.path.endsWith('.ipynb') || nbInfo.path.split('/').includes('..')) {
+      errors.push(`zest.json: invalid notebook entry "${nbInfo.path || '(empty)'}"`);
+      continue;
+    }
+    const label = path.relative(project.dir || path.dirname(nbInfo.src), nbInfo.src);
+    if (!fs.existsSync(nbInfo.src)) {
+      errors.push(`${label}: notebook not found`);
+      continue;
+    }
+    const text = fs.readFileSync(nbInfo.src, 'utf8');
+    const result = validateNotebook(text, { path: nbInfo.path, kernels, files });
+    errors.push(...result.errors.map(msg => `${label}: ${msg}`));
+    warnings.push(...result.warnings.map(msg => `${label}: ${msg}`));
+    if (result.errors.length === 0) {
+      const nb = JSON.parse(text);
+      if (isNbgraderSource(nb)) errors.push(...checkNbgraderSource(nb).map(msg => `${label}: ${msg}`));
+    }
+  }
+
+  const runtime = projectRuntime(project);
+  errors.push(...runtime.errors);
+  const packages = projectPackages(project);
+  if (runtime.kernels.indexOf('python') !== -1) {
+    errors.push(...packages.errors);
+    warnings.push(...packages.warnings);
+  } else if (project.hasRequirements) {
+    warnings.push('requirements.txt: ignored, the project does not ship the Python kernel');
+  }
+
+  return { errors, warnings };
+}
+
+function reportFindings(findings, indent) {
+  findings.errors.forEach(msg => console.error(`${indent}✗ ${msg}`));
+  findings.warnings.forEach(msg => console.warn(`${indent}⚠ ${msg}`));
+}
+
 // -----------------------------------------------------------------------
 // Discover notebook projects
 // -----------------------------------------------------------------------
@@ -182,6 +527,7 @@ function discoverProjects(baseDir) {
           dir: fullPath,
           mainNotebook: path.join(fullPath, mainFile),
           mainNotebookName: mainFile,
+          notebooks: listProjectNotebooks(fullPath, mainFile),
           hasZestJson: fs.existsSync(path.join(fullPath, 'zest.json')),
           hasRequirements: fs.existsSync(path.join(fullPath, 'requirements.txt')),
           hasData: fs.existsSync(path.join(fullPath, 'data'))
@@ -195,6 +541,7 @@ function discoverProjects(baseDir) {
         dir: null,
         mainNotebook: fullPath,
         mainNotebookName: entry.name,
+        notebooks: [{ src: fullPath, path: 'assignment.ipynb', title: null }],
         hasZestJson: false,
         hasRequirements: false,
         hasData: false
@@ -205,27 +552,128 @@ function discoverProjects(baseDir) {
   return projects;
 }
 
+// -----------------------------------------------------------------------
+// Build cache
+// -----------------------------------------------------------------------
+
+let sharedInputs = null;
+
+/**
+ * Cache key for a project's zip (see lib/cache.js). The shared parts are
+ * fingerprinted once per run.
+ */
+function projectCacheKey(project) {
+  if (!sharedInputs) {
+    sharedInputs = {
+      tool: fingerprint(__filename) + fingerprint(path.join(__dirname, 'lib')),
+      template: fingerprint(TEMPLATE_DIR),
+      runtime: fingerprint(RUNTIME_DIR, { contents: false })
+    };
+  }
+  return cacheKey(Object.assign({
+    project: fingerprint(project.dir || project.mainNotebook)
+  }, sharedInputs));
+}
+
+function formatMB(bytes) {
+  return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+}
+
+function formatZipSize(zipPath) {
+  return formatMB(fs.statSync(zipPath).size);
+}
+
+let runtimeSize = null;
+let runtimeInfo = null;
+
 // -----------------------------------------------------------------------
 // Build a single notebook project
 // -----------------------------------------------------------------------
 
-function buildProject(project) {
-  const buildDir = path.join(DIST_DIR, '.build', project.slug);
-  const zipPath = path.join(DIST_DIR, project.slug + '.zip');
+/**
+ * Copy bridge-shim.js into lite/lab/ and load it from lab/index.html.
+ */
+function injectBridgeShim(buildDir) {
+  const labDir = path.join(buildDir, 'lite', 'lab');
+  const labIndexPath = path.join(labDir, 'index.html');
+  if (!fs.existsSync(path.join(TEMPLATE_DIR, 'bridge-shim.js')) || !fs.existsSync(labIndexPath)) return;
+  // Copy the shim and the protocol it speaks into lite/lab/
+  for (const file of ['protocol.js', 'bridge-shim.js']) {
+    const dest = path.join(labDir, file);
+    unlinkIfExists(dest);
+    fs.copyFileSync(path.join(TEMPLATE_DIR, file), dest);
+  }
+  // Inject script tags before </body>, protocol.js first
+  let labHtml = fs.readFileSync(labIndexPath, 'utf8');
+  if (!labHtml.includes('bridge-shim.js')) {
+    labHtml = labHtml.replace('</body>',
+      '  <script src="protocol.js"></script>\n  <script src="bridge-shim.js"></script>\n</body>');
+    fs.unlinkSync(labIndexPath);
+    fs.writeFileSync(labIndexPath, labHtml);
+  }
+  console.log('    Injected bridge-shim.js into lab/index.html');
+}
+
+/**
+ * Write the wrapper files from template/ into `buildDir`.
+ */
+function copyWrapper(buildDir, title) {
+  // index.html, with the title filled in
+  let indexHtml = readTemplate('index.html');
+  indexHtml = indexHtml.replace(/\{\{NOTEBOOK_TITLE\}\}/g, title);
+  fs.writeFileSync(path.join(buildDir, 'index.html'), indexHtml);
+
+  // bridge.js, and the state transport and message protocol it shares
+  // with review.html (the protocol also with bridge-shim.js)
+  ['bridge.js', 'transport.js', 'protocol.js', 'grading.js'].forEach(file => {
+    fs.copyFileSync(path.join(TEMPLATE_DIR, file), path.join(buildDir, file));
+  });
+
+  // review.html
+  fs.copyFileSync(path.join(TEMPLATE_DIR, 'review.html'), path.join(buildDir, 'review.html'));
+}
 
-  // Clean build directory
+/**
+ * Lay out a project's package in `buildDir` (emptied first): runtime,
+ * notebooks, grading material, wrapper and manifests. Validation is the
+ * caller's job.
+ *
+ * @returns {object|null} The package's build manifest (lib/manifest.js),
+ *   or null if the project could not be assembled
+ */
+function assembleProject(project, buildDir) {
   if (fs.existsSync(buildDir)) {
     fs.rmSync(buildDir, { recursive: true });
   }
   fs.mkdirSync(buildDir, { recursive: true });
 
-  // Determine title
-  const nbTitle = extractNotebookTitle(project.mainNotebook);
-  const title = nbTitle || titleCase(project.slug);
+  const title = projectTitle(project);
 
-  // 1. Copy JupyterLite runtime
+  // 1. Link in the JupyterLite runtime, leaving out kernels and Pyodide
+  //    packages this project doesn't use. Files under lite/ that are
+  //    changed below must be unlinked first (unlinkIfExists).
+  const packages = projectPackages(project);
+  const rules = pruneRules(projectRuntime(project).kernels);
   if (fs.existsSync(RUNTIME_DIR)) {
-    copyDirRecursive(RUNTIME_DIR, path.join(buildDir, 'lite'));
+    let prunedBytes = 0;
+    linkDirRecursive(RUNTIME_DIR, path.join(buildDir, 'lite'), srcPath => {
+      const rel = path.relative(RUNTIME_DIR, srcPath).split(path.sep).join('/');
+      const skip = isPruned(rules, rel) ||
+        (path.dirname(srcPath) === PYODIDE_DIR && packages.dropFiles.has(path.basename(srcPath)));
+      if (skip) prunedBytes += fs.statSync(srcPath).isDirectory() ? treeSize(srcPath) : fs.statSync(srcPath).size;
+      return skip;
+    });
+    pruneLiteConfig(path.join(buildDir, 'lite'), rules);
+
+    if (prunedBytes > 0) {
+      if (runtimeSize === null) runtimeSize = treeSize(RUNTIME_DIR);
+      const removed = rules.pruned.map(name => name + ' kernel');
+      if (rules.pruned.indexOf('python') === -1 && packages.dropFiles.size > 0) {
+        removed.push(`${packages.dropFiles.size} Pyodide package(s)`);
+      }
+      console.log(`    Runtime: ${formatMB(runtimeSize - prunedBytes)} of ${formatMB(runtimeSize)} ` +
+        `(saved ${formatMB(prunedBytes)}: ${removed.join(', ')})`);
+    }
   } else {
     console.warn('  ⚠ JupyterLite runtime not built yet — run `npm run build:runtime` first');
     // Create a placeholder
@@ -233,24 +681,98 @@ function buildProject(project) {
   }
 
   // 1b. Inject bridge-shim.js into JupyterLite lab/index.html
-  const bridgeShimSrc = path.join(TEMPLATE_DIR, 'bridge-shim.js');
-  const labIndexPath = path.join(buildDir, 'lite', 'lab', 'index.html');
-  if (fs.existsSync(bridgeShimSrc) && fs.existsSync(labIndexPath)) {
-    // Copy bridge-shim.js into lite/lab/
-    fs.copyFileSync(bridgeShimSrc, path.join(buildDir, 'lite', 'lab', 'bridge-shim.js'));
-    // Inject script tag before </body>
-    let labHtml = fs.readFileSync(labIndexPath, 'utf8');
-    if (!labHtml.includes('bridge-shim.js')) {
-      labHtml = labHtml.replace('</body>', '  <script src="bridge-shim.js"></script>\n</body>');
-      fs.writeFileSync(labIndexPath, labHtml);
-    }
-    console.log('    Injected bridge-shim.js into lab/index.html');
+  injectBridgeShim(buildDir);
+
+  // 1c. Preload requirements.txt packages when the kernel starts
+  if (packages.preload.length > 0 && rules.pruned.indexOf('python') === -1) {
+    const liteConfigPath = path.join(buildDir, 'lite', 'jupyter-lite.json');
+    const liteConfig = fs.existsSync(liteConfigPath)
+      ? JSON.parse(fs.readFileSync(liteConfigPath, 'utf8'))
+      : { 'jupyter-lite-schema-version': 0, 'jupyter-config-data': {} };
+    setPreloadPackages(liteConfig, packages.preload);
+    unlinkIfExists(liteConfigPath);
+    fs.writeFileSync(liteConfigPath, JSON.stringify(liteConfig, null, 2));
+    console.log(`    Preloading ${packages.preload.join(', ')}`);
   }
 
-  // 2. Copy notebook into lite/files/
+  // 2. Copy notebooks into lite/files/ (hidden tests stripped from the
+  //    student copies, locked cells marked)
   const filesDir = path.join(buildDir, 'lite', 'files');
   fs.mkdirSync(filesDir, { recursive: true });
-  fs.copyFileSync(project.mainNotebook, path.join(filesDir, 'assignment.ipynb'));
+  const tests = [];
+  const lockedCells = {};
+  const starters = {};
+  const notebooks = [];
+  for (const nbInfo of project.notebooks) {
+    let rubric;
+    try {
+      rubric = normalizeRubric(nbInfo.rubric, `zest.json (${nbInfo.path})`);
+    } catch (e) {
+      console.error('  ✗', e.message);
+      return null;
+    }
+
+    let release, hidden, locked;
+    try {
+      release = releaseSource(JSON.parse(fs.readFileSync(nbInfo.src, 'utf8')));
+      hidden = extractHiddenTests(release.notebook, nbInfo.path);
+      locked = extractLockedCells(hidden.notebook);
+    } catch (e) {
+      console.error(`  ✗ Could not read ${nbInfo.path}:`, e.message);
+      return null;
+    }
+    if (release.nbgrader) {
+      // Manually graded cells are scored with a rubric, unless zest.json gives one
+      if (!rubric && release.rubric.length > 0) rubric = normalizeRubric(release.rubric, nbInfo.path);
+      console.log(`    nbgrader: ${nbInfo.path} — cleared ${release.solutions} solution(s)` +
+        (release.rubric.length > 0 ? `, ${release.rubric.length} manually graded` : ''));
+    }
+
+    const dest = path.join(filesDir, nbInfo.path);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    unlinkIfExists(dest);
+    if (release.nbgrader || hidden.tests.length > 0 || locked.locks.length > 0) {
+      fs.writeFileSync(dest, JSON.stringify(locked.notebook, null, 1) + '\n');
+      tests.push(...hidden.tests);
+      if (locked.locks.length > 0) lockedCells[nbInfo.path] = locked.locks;
+    } else {
+      fs.copyFileSync(nbInfo.src, dest);
+    }
+    starters[nbInfo.path] = starterFingerprint(locked.notebook);
+
+    const entry = {
+      path: nbInfo.path,
+      title: nbInfo.title || extractNotebookTitle(nbInfo.src) || titleCase(slugify(path.basename(nbInfo.path)))
+    };
+    if (rubric) entry.rubric = rubric;
+    notebooks.push(entry);
+  }
+
+  if (tests.length > 0) {
+    fs.writeFileSync(path.join(buildDir, 'tests.json'), JSON.stringify({
+      version: 1,
+      totalPoints: tests.reduce((sum, t) => sum + t.points, 0),
+      tests
+    }, null, 2));
+    console.log(`    Packaged ${tests.length} hidden test(s)`);
+  }
+  // What students start from, for the review page's "Changes" view
+  fs.writeFileSync(path.join(buildDir, 'starter.json'), JSON.stringify({
+    version: 1,
+    notebooks: starters
+  }));
+
+  const lockCount = Object.keys(lockedCells).reduce((sum, p) => sum + lockedCells[p].length, 0);
+  if (lockCount > 0) {
+    fs.writeFileSync(path.join(buildDir, 'locked-cells.json'), JSON.stringify({
+      version: 1,
+      notebooks: lockedCells
+    }, null, 2));
+    console.log(`    Packaged ${lockCount} locked cell(s)`);
+  }
+  if (notebooks.length > 1) {
+    console.log(`    Packaged ${notebooks.length} notebooks: ${notebooks.map(n => n.path).join(', ')}`);
+  }
 
   // 3. Copy additional data files if present
   if (project.hasData) {
@@ -270,49 +792,207 @@ function buildProject(project) {
       if (stat.isDirectory()) {
         copyDirRecursive(src, dest);
       } else {
+        unlinkIfExists(dest);
         fs.copyFileSync(src, dest);
       }
     }
   }
 
-  // 5. Generate index.html from template
-  let indexHtml = readTemplate('index.html');
-  indexHtml = indexHtml.replace(/\{\{NOTEBOOK_TITLE\}\}/g, title);
-  fs.writeFileSync(path.join(buildDir, 'index.html'), indexHtml);
-
-  // 6. Copy bridge.js
-  fs.copyFileSync(path.join(TEMPLATE_DIR, 'bridge.js'), path.join(buildDir, 'bridge.js'));
-
-  // 7. Copy review.html
-  fs.copyFileSync(path.join(TEMPLATE_DIR, 'review.html'), path.join(buildDir, 'review.html'));
+  // 5-7. index.html, bridge.js and its scripts, and review.html
+  copyWrapper(buildDir, title);
 
-  // 8. Generate zest.json (use project override or generate from template)
-  let zestJson;
-  if (project.hasZestJson) {
-    zestJson = JSON.parse(fs.readFileSync(path.join(project.dir, 'zest.json'), 'utf8'));
-  } else {
-    zestJson = JSON.parse(readTemplate('zest.json'));
-    zestJson.name = title;
-    zestJson.description = 'Interactive ' + title + ' notebook powered by JupyterLite.';
+  // 8. Generate zest.json (the project's own merged over the template)
+  const zest = projectZestConfig(project);
+  if (!zest.config) {
+    zest.errors.forEach(msg => console.error('  ✗', msg));
+    return null;
   }
+  const zestJson = zest.config;
+  BUILD_ONLY_FIELDS.forEach(field => delete zestJson[field]);
   // Ensure required fields
   if (!zestJson.reviewFile) zestJson.reviewFile = 'review.html';
+  // The wrapper and review page read the notebook list from here
+  zestJson.notebooks = notebooks;
+  // Notebooks with hidden tests are scored on submit, unless the project says otherwise
+  if (tests.length > 0 && !zest.own.grading) {
+    zestJson.grading = 'auto';
+  }
   fs.writeFileSync(path.join(buildDir, 'zest.json'), JSON.stringify(zestJson, null, 2));
 
-  // 9. Create zip
-  if (fs.existsSync(zipPath)) fs.unlinkSync(zipPath);
+  // 9. Record what went into the package
+  if (!runtimeInfo) runtimeInfo = runtimeVersions(RUNTIME_DIR);
+  const pythonShipped = rules.pruned.indexOf('python') === -1;
+  const manifest = packageManifest(buildDir, {
+    slug: project.slug,
+    title,
+    tool: TOOL_VERSION,
+    runtime: runtimeInfo,
+    notebooks,
+    kernels: projectRuntime(project).kernels,
+    packages: pythonShipped ? packages.preload : [],
+    tests: tests.length,
+    lockedCells: lockCount
+  });
+  writePackageManifest(buildDir, manifest);
+
+  return manifest;
+}
+
+/**
+ * @returns {{ status: 'built'|'cached'|'failed', manifest: object|null }}
+ */
+function buildProject(project) {
+  const findings = validateProject(project);
+  reportFindings(findings, '  ');
+  if (findings.errors.length > 0) {
+    console.error(`  ✗ ${project.slug}: ${findings.errors.length} error(s), not built`);
+    return { status: 'failed', manifest: null };
+  }
+
+  const buildDir = path.join(DIST_DIR, '.build', project.slug);
+  const zipPath = path.join(DIST_DIR, project.slug + '.zip');
+
+  const key = projectCacheKey(project);
+  if (!flags.force && isUpToDate(CACHE_DIR, project.slug, key, zipPath)) {
+    console.log(`  ✓ ${project.slug}.zip (${formatZipSize(zipPath)}, unchanged — cached)`);
+    return { status: 'cached', manifest: cachedManifest(CACHE_DIR, project.slug) };
+  }
+  forgetBuild(CACHE_DIR, project.slug);
+
+  const manifest = assembleProject(project, buildDir);
+  if (!manifest) return { status: 'failed', manifest: null };
+
+  // 10. Create zip (reproducible, and checked after writing)
   try {
-    execSync(`cd "${buildDir}" && zip -r "${zipPath}" . -x '.*'`, { stdio: 'pipe' });
+    writeZip(buildDir, zipPath);
   } catch (e) {
     console.error('  ✗ Zip creation failed:', e.message);
+    return { status: 'failed', manifest: null };
+  }
+  recordBuild(CACHE_DIR, project.slug, key, manifest);
+
+  console.log(`  ✓ ${project.slug}.zip (${formatZipSize(zipPath)})`);
+  return { status: 'built', manifest };
+}
+
+// -----------------------------------------------------------------------
+// Preview server (--serve)
+// -----------------------------------------------------------------------
+
+/**
+ * Build `project` into a temp directory and serve it with the mock Zest
+ * API (lib/preview.js). Changes to the project or the templates rebuild
+ * it and reload open pages. A changed notebook also clears the mock's
+ * saved state, which would otherwise restore the old notebook.
+ */
+function serveProject(project) {
+  const buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zest-preview-'));
+  const dataDir = path.join(PREVIEW_DATA_DIR, project.slug);
+  const port = flags.port || DEFAULT_PREVIEW_PORT;
+  const projectRoot = project.dir || project.mainNotebook;
+
+  function rebuild(changed) {
+    const findings = validateProject(project);
+    reportFindings(findings, '  ');
+    if (findings.errors.length > 0) {
+      console.error('  ✗ Not rebuilt — still serving the previous build');
+      return false;
+    }
+    if (!assembleProject(project, buildDir)) return false;
+    if (changed.some(file => file === projectRoot || file.startsWith(projectRoot + path.sep))) {
+      const statePath = path.join(dataDir, 'state.json');
+      if (fs.existsSync(statePath)) {
+        fs.unlinkSync(statePath);
+        console.log('  Cleared saved preview state (project changed)');
+      }
+    }
+    console.log('  ✓ Rebuilt');
+    return true;
+  }
+
+  console.log(`Preview: ${project.slug}`);
+  if (!rebuild([])) process.exit(1);
+
+  const server = startPreview({
+    buildDir,
+    dataDir,
+    port,
+    watch: [projectRoot, TEMPLATE_DIR],
+    rebuild
+  });
+  server.on('error', e => {
+    console.error(`  ✗ Cannot serve on port ${port}: ${e.message}`);
+    process.exit(1);
+  });
+  server.on('listening', () => {
+    console.log(`\n  Student view: http://localhost:${port}/`);
+    console.log(`  Review view:  http://localhost:${port}/review.html`);
+    console.log(`  Mock data:    ${path.relative(ROOT, dataDir)}/`);
+    console.log('\n  Watching for changes. Press Ctrl+C to stop.');
+  });
+
+  function stop() {
+    fs.rmSync(buildDir, { recursive: true, force: true });
+    process.exit(0);
+  }
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+// -----------------------------------------------------------------------
+// Teacher kit (--template)
+// -----------------------------------------------------------------------
+
+/**
+ * Build dist/notebook-template.zip from the current runtime and template/,
+ * with a placeholder notebook, an editable zest.json and HOW-TO-USE.txt
+ * (lib/template-kit.js). Nothing is pruned from the runtime: the kit
+ * can't know which kernels or packages a teacher's notebook will use.
+ *
+ * @returns {boolean}
+ */
+function buildTemplateKit() {
+  console.log(`Building: ${TEMPLATE_KIT_NAME}`);
+  if (!fs.existsSync(RUNTIME_DIR)) {
+    console.error('  ✗ JupyterLite runtime not built yet — run `npm run build:runtime` first');
     return false;
   }
 
-  // 10. Get zip size
-  const zipStat = fs.statSync(zipPath);
-  const sizeMB = (zipStat.size / 1024 / 1024).toFixed(1);
+  const buildDir = path.join(DIST_DIR, '.build', TEMPLATE_KIT_NAME);
+  const zipPath = path.join(DIST_DIR, TEMPLATE_KIT_NAME + '.zip');
+  fs.rmSync(buildDir, { recursive: true, force: true });
 
-  console.log(`  ✓ ${project.slug}.zip (${sizeMB} MB)`);
+  linkDirRecursive(RUNTIME_DIR, path.join(buildDir, 'lite'));
+  injectBridgeShim(buildDir);
+
+  const notebookPath = path.join(buildDir, 'lite', 'files', 'assignment.ipynb');
+  fs.mkdirSync(path.dirname(notebookPath), { recursive: true });
+  unlinkIfExists(notebookPath);
+  fs.writeFileSync(notebookPath, JSON.stringify(placeholderNotebook(), null, 1) + '\n');
+
+  copyWrapper(buildDir, KIT_TITLE);
+  const zestJson = fillPlaceholders(JSON.parse(readTemplate('zest.json')), {
+    NOTEBOOK_TITLE: KIT_TITLE,
+    NOTEBOOK_DESCRIPTION: KIT_DESCRIPTION
+  }).config;
+  fs.writeFileSync(path.join(buildDir, 'zest.json'), JSON.stringify(zestJson, null, 2) + '\n');
+
+  if (!runtimeInfo) runtimeInfo = runtimeVersions(RUNTIME_DIR);
+  fs.writeFileSync(path.join(buildDir, 'HOW-TO-USE.txt'), howToUse({
+    tool: TOOL_VERSION,
+    runtime: runtimeInfo,
+    kernels: availableKernels()
+  }));
+
+  try {
+    writeZip(buildDir, zipPath);
+  } catch (e) {
+    console.error('  ✗ Zip creation failed:', e.message);
+    return false;
+  } finally {
+    fs.rmSync(path.dirname(buildDir), { recursive: true, force: true });
+  }
+  console.log(`  ✓ ${TEMPLATE_KIT_NAME}.zip (${formatZipSize(zipPath)})`);
   return true;
 }
 
@@ -325,6 +1005,12 @@ function main() {
   console.log('  Zest JupyterLite Build Tool');
   console.log('═══════════════════════════════════════════════════');
 
+  if (flags.template) {
+    fs.mkdirSync(DIST_DIR, { recursive: true });
+    if (!buildTemplateKit()) process.exitCode = 1;
+    return;
+  }
+
   // Discover projects
   let projects;
 
@@ -342,6 +1028,7 @@ function main() {
       dir: null,
       mainNotebook: nbPath,
       mainNotebookName: path.basename(nbPath),
+      notebooks: [{ src: nbPath, path: 'assignment.ipynb', title: null }],
       hasZestJson: false,
       hasRequirements: false,
       hasData: false
@@ -359,15 +1046,60 @@ function main() {
     process.exit(0);
   }
 
+  if (flags.serve) {
+    const wanted = flags.serveProject;
+    const matches = wanted
+      ? projects.filter(p => p.slug === wanted || p.name === wanted || p.slug === slugify(wanted))
+      : projects;
+    if (matches.length !== 1) {
+      console.error(wanted && matches.length === 0
+        ? `No project named "${wanted}".`
+        : 'Choose a project to serve: node build.js --serve <project>');
+      console.error('Projects: ' + projects.map(p => p.slug).join(', '));
+      process.exit(1);
+    }
+    serveProject(matches[0]);
+    return;
+  }
+
   if (flags.dryRun) {
     console.log('DRY RUN — would build:');
+    let invalid = 0;
     for (const p of projects) {
-      console.log(`  ${p.slug} — ${p.mainNotebookName}` +
+      let testCount = 0;
+      let lockCount = 0;
+      let nbgrader = false;
+      for (const nbInfo of p.notebooks) {
+        try {
+          const release = releaseSource(JSON.parse(fs.readFileSync(nbInfo.src, 'utf8')));
+          const hidden = extractHiddenTests(release.notebook, nbInfo.path);
+          nbgrader = nbgrader || release.nbgrader;
+          testCount += hidden.tests.length;
+          lockCount += extractLockedCells(hidden.notebook).locks.length;
+        } catch (e) {
+          // Reported when the project is built
+        }
+      }
+      const nbNames = p.notebooks.length > 1
+        ? p.notebooks.map(n => n.path).join(', ')
+        : p.mainNotebookName;
+      console.log(`  ${p.slug} — ${nbNames} [${projectRuntime(p).kernels.join(', ')}]` +
+        (nbgrader ? ' +nbgrader' : '') +
+        (testCount ? ` +${testCount} hidden tests` : '') +
+        (lockCount ? ` +${lockCount} locked cells` : '') +
         (p.hasData ? ' +data' : '') +
         (p.hasRequirements ? ' +requirements' : '') +
-        (p.hasZestJson ? ' +zest.json' : ''));
+        (p.hasZestJson ? ' +zest.json' : '') +
+        (isUpToDate(CACHE_DIR, p.slug, projectCacheKey(p), path.join(DIST_DIR, p.slug + '.zip'))
+          ? ' (unchanged — cached)' : ''));
+      const findings = validateProject(p);
+      reportFindings(findings, '      ');
+      if (findings.errors.length > 0) invalid++;
     }
-    process.exit(0);
+    if (invalid > 0) {
+      console.log(`\n${invalid} project(s) have errors and would not be built`);
+    }
+    process.exit(invalid > 0 ? 1 : 0);
   }
 
   // Ensure dist directory
@@ -375,17 +1107,20 @@ function main() {
   fs.mkdirSync(path.join(DIST_DIR, '.build'), { recursive: true });
 
   // Build each project
-  let success = 0;
-  let failed = 0;
-
+  const counts = { built: 0, cached: 0, failed: 0 };
+  const results = [];
   for (const project of projects) {
     console.log(`Building: ${project.slug}`);
-    if (buildProject(project)) {
-      success++;
-    } else {
-      failed++;
-    }
+    const result = buildProject(project);
+    counts[result.status]++;
+    results.push({
+      slug: project.slug,
+      status: result.status,
+      zip: result.status === 'failed' ? null : path.join(DIST_DIR, project.slug + '.zip'),
+      manifest: result.manifest
+    });
   }
+  writeSummary(SUMMARY_PATH, results);
 
   // Clean up build directory
   const buildTmpDir = path.join(DIST_DIR, '.build');
@@ -394,8 +1129,9 @@ function main() {
   }
 
   console.log('\n═══════════════════════════════════════════════════');
-  console.log(`  Done: ${success} built, ${failed} failed`);
+  console.log(`  Done: ${counts.built} built, ${counts.cached} cached, ${counts.failed} failed`);
   console.log('═══════════════════════════════════════════════════');
+  if (counts.failed > 0) process.exitCode = 1;
 }
 
 main();
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/* =========================================================================
+   export-nbgrader.js — Zest submissions to an nbgrader course directory
+
+   Writes the notebooks from a dump of Zest submission records (see
+   lib/submissions.js) in the layout `nbgrader collect` produces, so a
+   class can be autograded and graded offline with nbgrader:
+
+     <out>/submitted/<student>/<assignment>/<notebook>.ipynb
+     <out>/submitted/<student>/<assignment>/timestamp.txt
+
+   The notebooks keep the nbgrader metadata build.js leaves in place.
+   Packages built from a single notebook submit it as assignment.ipynb;
+   use --rename to give it the name it has in nbgrader's source/ folder.
+   Where a student has several records, the latest one is exported.
+
+   Usage:
+     node export-nbgrader.js <dump> --assignment <name> [--out <dir>]
+                             [--rename assignment.ipynb=ps1.ipynb]
+   ========================================================================= */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+  loadSubmissionDump,
+  submittedNotebooks,
+  latestByStudent,
+  safeStudentId
+} = require('./lib/submissions');
+
+const DEFAULT_OUT_DIR = 'nbgrader-export';
+
+// -----------------------------------------------------------------------
+// CLI Arguments
+// -----------------------------------------------------------------------
+
+const args = process.argv.slice(2);
+const flags = { renames: {} };
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--assignment' && args[i + 1]) {
+    flags.assignment = args[++i];
+  } else if (args[i] === '--out' && args[i + 1]) {
+    flags.out = args[++i];
+  } else if (args[i] === '--rename' && args[i + 1]) {
+    const [from, to] = args[++i].split('=');
+    if (from && to) flags.renames[from] = to;
+  } else if (args[i] === '--help' || args[i] === '-h') {
+    flags.help = true;
+  } else if (!args[i].startsWith('--')) {
+    flags.dump = args[i];
+  }
+}
+
+if (flags.help || !flags.dump || !flags.assignment) {
+  console.log(`
+Export Zest submissions for nbgrader
+
+Usage:
+  node export-nbgrader.js <dump> --assignment <name> [options]
+
+  <dump>                       JSON file or directory of submission records
+  --assignment <name>          nbgrader assignment name (e.g. ps1)
+  --out <dir>                  nbgrader course directory (default: ${DEFAULT_OUT_DIR})
+  --rename <from>=<to>         Rename a submitted notebook, e.g.
+                               --rename assignment.ipynb=ps1.ipynb
+`);
+  process.exit(flags.help ? 0 : 1);
+}
+
+// -----------------------------------------------------------------------
+// Export
+// -----------------------------------------------------------------------
+
+/**
+ * nbgrader's timestamp.txt format: "2024-03-01 14:05:09.000000 UTC".
+ */
+function nbgraderTimestamp(date) {
+  return date.toISOString().replace('T', ' ').replace(/\.(\d{3})Z$/, '.$1000 UTC');
+}
+
+function main() {
+  const assignment = safeStudentId(flags.assignment);
+  const outDir = path.resolve(flags.out || DEFAULT_OUT_DIR);
+
+  let dump;
+  try {
+    dump = loadSubmissionDump(path.resolve(flags.dump));
+  } catch (e) {
+    console.error('✗ Could not read submissions:', e.message);
+    process.exit(1);
+  }
+
+  const latest = latestByStudent(dump);
+  latest.warnings.forEach(msg => console.warn(`  ⚠ ${msg}`));
+  latest.errors.forEach(msg => console.error(`  ✗ ${msg}`));
+  let failed = latest.errors.length;
+
+  let exported = 0;
+  for (const entry of latest.entries) {
+    const id = entry.id;
+    const notebooks = submittedNotebooks(entry.artifacts);
+    const paths = Object.keys(notebooks);
+    if (paths.length === 0) {
+      console.error(`  ✗ ${entry.record.student}: no notebooks in the submission`);
+      failed++;
+      continue;
+    }
+
+    const dest = path.join(outDir, 'submitted', id, assignment);
+    fs.rmSync(dest, { recursive: true, force: true });
+    for (const nbPath of paths) {
+      const target = path.join(dest, ...(flags.renames[nbPath] || nbPath).split('/'));
+      if (!target.startsWith(dest + path.sep)) {
+        console.warn(`  ⚠ ${entry.record.student}: skipped notebook with unsafe path ${nbPath}`);
+        continue;
+      }
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, JSON.stringify(notebooks[nbPath], null, 1) + '\n');
+    }
+    fs.writeFileSync(path.join(dest, 'timestamp.txt'), nbgraderTimestamp(entry.time || new Date()));
+    console.log(`  ✓ ${id} (${paths.length} notebook${paths.length === 1 ? '' : 's'})`);
+    exported++;
+  }
+
+  console.log(`\nExported ${exported} submission(s) to ${path.join(outDir, 'submitted')}` +
+    (failed ? `, ${failed} failed` : ''));
+  if (failed > 0) process.exitCode = 1;
+}
+
+main();
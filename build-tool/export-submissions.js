@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+
+/* =========================================================================
+   export-submissions.js — Export a whole class's submissions
+
+   Reads a dump of Zest submission records (see lib/submissions.js) and
+   writes one folder per student, plus a class summary and an archive:
+
+     <out>/
+       index.html                   Class summary (open in a browser)
+       summary.csv                  The same, for spreadsheets
+       <student>/
+         submission.json            Score, feedback, grading, stats, events
+         workspace/                 Notebooks and uploaded files as submitted
+     <out>.zip                      The whole folder, for archiving
+
+   Where a student has several records, the latest one is exported.
+
+   Usage:
+     node export-submissions.js <dump> [--out <dir>] [--force] [--no-zip]
+   ========================================================================= */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+  loadSubmissionDump,
+  submittedNotebooks,
+  latestByStudent
+} = require('./lib/submissions');
+const { writeZip } = require('./lib/zip');
+
+const DEFAULT_OUT_DIR = 'submissions-export';
+const WORKSPACE_DIR = 'workspace';
+
+// -----------------------------------------------------------------------
+// CLI Arguments
+// -----------------------------------------------------------------------
+
+const args = process.argv.slice(2);
+const flags = {};
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--out' && args[i + 1]) {
+    flags.out = args[++i];
+  } else if (args[i] === '--force') {
+    flags.force = true;
+  } else if (args[i] === '--no-zip') {
+    flags.noZip = true;
+  } else if (args[i] === '--help' || args[i] === '-h') {
+    flags.help = true;
+  } else if (!args[i].startsWith('--')) {
+    flags.dump = args[i];
+  }
+}
+
+if (flags.help || !flags.dump) {
+  console.log(`
+Export Zest submissions for a whole class
+
+Usage:
+  node export-submissions.js <dump> [options]
+
+  <dump>          JSON file or directory of submission records
+  --out <dir>     Output folder (default: ${DEFAULT_OUT_DIR}); <dir>.zip is
+                  written next to it
+  --force         Replace the output folder if it already exists
+  --no-zip        Skip the archive
+`);
+  process.exit(flags.help ? 0 : 1);
+}
+
+// -----------------------------------------------------------------------
+// Per-student folders
+// -----------------------------------------------------------------------
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Write a file from the uploaded-files list (JupyterLite contents models:
+ * text, base64 or JSON content).
+ */
+function writeUploadedFile(file, dest) {
+  if (file.format === 'base64') {
+    fs.writeFileSync(dest, Buffer.from(String(file.content), 'base64'));
+  } else if (file.format === 'json' || typeof file.content !== 'string') {
+    fs.writeFileSync(dest, JSON.stringify(file.content, null, 1) + '\n');
+  } else {
+    fs.writeFileSync(dest, file.content);
+  }
+}
+
+/**
+ * Resolve a submitted path inside `root`, or null if it would escape it.
+ */
+function safeJoin(root, relPath) {
+  const target = path.resolve(root, ...String(relPath).split('/').filter(Boolean));
+  return target.startsWith(root + path.sep) ? target : null;
+}
+
+/**
+ * Write a student's folder.
+ *
+ * @returns {object} Summary row
+ */
+function exportStudent(outDir, entry) {
+  const { id, record, artifacts, time } = entry;
+  const studentDir = path.join(outDir, id);
+  const workspace = path.join(studentDir, WORKSPACE_DIR);
+  fs.mkdirSync(workspace, { recursive: true });
+  const skipped = [];
+
+  const notebooks = submittedNotebooks(artifacts);
+  for (const nbPath of Object.keys(notebooks)) {
+    const target = safeJoin(workspace, nbPath);
+    if (!target) {
+      skipped.push(nbPath);
+      continue;
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, JSON.stringify(notebooks[nbPath], null, 1) + '\n');
+  }
+
+  const files = Array.isArray(artifacts.files) ? artifacts.files : [];
+  for (const file of files) {
+    if (!isObject(file) || file.content === null || file.content === undefined) continue;
+    // Older submissions may list the notebook among the files too
+    if (notebooks[file.path]) continue;
+    const filePath = file.path || file.name || '';
+    const target = safeJoin(workspace, filePath);
+    if (!target) {
+      skipped.push(filePath || '(unnamed)');
+      continue;
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    writeUploadedFile(file, target);
+  }
+
+  const work = record.work;
+  fs.writeFileSync(path.join(studentDir, 'submission.json'), JSON.stringify({
+    student: record.student,
+    name: record.name,
+    submittedAt: time ? time.toISOString() : null,
+    score: work.score !== undefined ? work.score : null,
+    maxScore: work.maxScore !== undefined ? work.maxScore : null,
+    feedback: work.feedback || null,
+    grading: artifacts.grading || null,
+    stats: artifacts.stats || null,
+    events: artifacts.events || []
+  }, null, 2) + '\n');
+
+  if (skipped.length > 0) {
+    console.warn(`  ⚠ ${record.student}: skipped ${skipped.length} file(s) with unusable paths: ${skipped.join(', ')}`);
+  }
+
+  const stats = artifacts.stats || {};
+  return {
+    id,
+    student: record.student,
+    name: record.name || '',
+    submittedAt: time ? time.toISOString() : '',
+    score: work.score !== undefined ? work.score : '',
+    maxScore: work.maxScore !== undefined ? work.maxScore : '',
+    timeSpent: stats.timeSpent !== undefined ? stats.timeSpent : '',
+    cellExecutions: stats.cellExecutions !== undefined ? stats.cellExecutions : '',
+    interactions: stats.interactions !== undefined ? stats.interactions : '',
+    notebooks: Object.keys(notebooks),
+    fileCount: files.length
+  };
+}
+
+// -----------------------------------------------------------------------
+// Class summary
+// -----------------------------------------------------------------------
+
+// Row field → CSV column
+const CSV_COLUMNS = [
+  ['student', 'student'],
+  ['name', 'name'],
+  ['submittedAt', 'submitted_at'],
+  ['score', 'score'],
+  ['maxScore', 'max_score'],
+  ['timeSpent', 'time_spent_s'],
+  ['cellExecutions', 'cell_executions'],
+  ['interactions', 'interactions'],
+  ['fileCount', 'files']
+];
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function writeCsv(file, rows) {
+  const lines = [CSV_COLUMNS.map(c => c[1]).join(',')];
+  rows.forEach(row => lines.push(CSV_COLUMNS.map(c => csvField(row[c[0]])).join(',')));
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+function formatDuration(seconds) {
+  if (seconds === '') return '';
+  const minutes = Math.round(seconds / 60);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+}
+
+function average(rows, key) {
+  const values = rows.map(r => r[key]).filter(v => typeof v === 'number');
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function writeHtml(file, rows) {
+  const avgTime = average(rows, 'timeSpent');
+  const avgRuns = average(rows, 'cellExecutions');
+  const avgScore = average(rows, 'score');
+  const body = rows.map(row => {
+    const links = row.notebooks.map(nbPath =>
+      `<a href="${escapeHtml(encodeURI(`${row.id}/${WORKSPACE_DIR}/${nbPath}`))}">${escapeHtml(nbPath)}</a>`).join('<br>');
+    return `      <tr>
+        <td>${escapeHtml(row.student)}${row.name ? `<div class="name">${escapeHtml(row.name)}</div>` : ''}</td>
+        <td>${escapeHtml(row.submittedAt.replace('T', ' ').replace(/\.\d+Z$/, ' UTC'))}</td>
+        <td class="num">${row.score === '' ? '—' : escapeHtml(`${row.score} / ${row.maxScore}`)}</td>
+        <td class="num">${escapeHtml(formatDuration(row.timeSpent))}</td>
+        <td class="num">${escapeHtml(row.cellExecutions)}</td>
+        <td class="num">${escapeHtml(row.interactions)}</td>
+        <td>${links}</td>
+        <td class="num">${row.fileCount}</td>
+      </tr>`;
+  }).join('\n');
+
+  fs.writeFileSync(file, `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Class submissions</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 24px; color: #2c3e50; }
+    h1 { font-size: 20px; }
+    .totals { color: #7f8c8d; margin-bottom: 16px; }
+    table { border-collapse: collapse; font-size: 13px; }
+    th, td { border-bottom: 1px solid #ecf0f1; padding: 6px 10px; text-align: left; vertical-align: top; }
+    th { background: #f8f9fa; }
+    .num { text-align: right; }
+    .name { color: #7f8c8d; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <h1>Class submissions</h1>
+  <div class="totals">
+    ${rows.length} student(s)${avgScore !== null ? ` · average score ${avgScore.toFixed(1)}` : ''}${avgTime !== null ? ` · average time ${formatDuration(avgTime)}` : ''}${avgRuns !== null ? ` · average ${avgRuns.toFixed(0)} cell executions` : ''}
+  </div>
+  <table>
+    <thead>
+      <tr><th>Student</th><th>Submitted</th><th>Score</th><th>Time spent</th><th>Cell executions</th><th>Interactions</th><th>Notebooks</th><th>Files</th></tr>
+    </thead>
+    <tbody>
+${body}
+    </tbody>
+  </table>
+</body>
+</html>
+`);
+}
+
+// -----------------------------------------------------------------------
+// Main
+// -----------------------------------------------------------------------
+
+function main() {
+  const outDir = path.resolve(flags.out || DEFAULT_OUT_DIR);
+  if (fs.existsSync(outDir) && fs.readdirSync(outDir).length > 0) {
+    if (!flags.force) {
+      console.error(`✗ ${outDir} is not empty (use --force to replace it)`);
+      process.exit(1);
+    }
+    fs.rmSync(outDir, { recursive: true });
+  }
+
+  let dump;
+  try {
+    dump = loadSubmissionDump(path.resolve(flags.dump));
+  } catch (e) {
+    console.error('✗ Could not read submissions:', e.message);
+    process.exit(1);
+  }
+
+  const latest = latestByStudent(dump);
+  latest.warnings.forEach(msg => console.warn(`  ⚠ ${msg}`));
+  latest.errors.forEach(msg => console.error(`  ✗ ${msg}`));
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const rows = [];
+  for (const entry of latest.entries) {
+    rows.push(exportStudent(outDir, entry));
+    console.log(`  ✓ ${entry.id}`);
+  }
+  writeCsv(path.join(outDir, 'summary.csv'), rows);
+  writeHtml(path.join(outDir, 'index.html'), rows);
+  console.log(`\nExported ${rows.length} submission(s) to ${outDir}` +
+    (latest.errors.length ? `, ${latest.errors.length} failed` : ''));
+
+  if (!flags.noZip) {
+    const zipPath = outDir + '.zip';
+    try {
+      const zip = writeZip(outDir, zipPath);
+      console.log(`Archive: ${zipPath} (${zip.entries} files, ${(zip.size / 1024 / 1024).toFixed(1)} MB)`);
+    } catch (e) {
+      console.error('✗ Archive failed:', e.message);
+      process.exitCode = 1;
+    }
+  }
+  if (latest.errors.length > 0) process.exitCode = 1;
+}
+
+main();
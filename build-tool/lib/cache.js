@@ -0,0 +1,140 @@
+/* =========================================================================
+   cache.js — Build cache for build.js
+
+   A project's zip is rebuilt only when its cache key changes. The key is
+   a SHA-256 over:
+     - the build tool itself (build.js and lib/)
+     - the template files
+     - the JupyterLite runtime (path, size and mtime of every file —
+       hashing hundreds of MB of Pyodide on every run would cost more
+       than the build it saves)
+     - the project's own files (path and content)
+
+   Keys are stored in dist/.cache/<slug>.json next to the zips they
+   describe; deleting dist/ or running with --force rebuilds everything.
+   ========================================================================= */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_VERSION = 1;
+
+/**
+ * Relative paths of all files under `dir`, sorted so that fingerprints do
+ * not depend on directory listing order. Dotfiles are skipped.
+ */
+function listTree(dir, prefix = '') {
+  if (!fs.existsSync(dir)) return [];
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const rel = prefix + entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listTree(path.join(dir, entry.name), rel + '/'));
+    } else {
+      files.push(rel);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Fingerprint a file or directory tree.
+ *
+ * @param {string} target - File or directory
+ * @param {{ contents?: boolean }} [options] - contents: hash file bytes
+ *   (default); false: hash size and mtime only
+ * @returns {string} Hex SHA-256, or '' if target does not exist
+ */
+function fingerprint(target, options = {}) {
+  if (!fs.existsSync(target)) return '';
+  const hash = crypto.createHash('sha256');
+  const isDir = fs.statSync(target).isDirectory();
+  const files = isDir ? listTree(target) : [path.basename(target)];
+  const root = isDir ? target : path.dirname(target);
+
+  for (const rel of files) {
+    const full = path.join(root, rel);
+    hash.update(rel + '\0');
+    if (options.contents === false) {
+      const stat = fs.statSync(full);
+      hash.update(`${stat.size}:${stat.mtimeMs}\0`);
+    } else {
+      hash.update(fs.readFileSync(full));
+      hash.update('\0');
+    }
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Combine named parts into a cache key.
+ *
+ * @param {object} parts - name → fingerprint (or any string)
+ */
+function cacheKey(parts) {
+  const hash = crypto.createHash('sha256');
+  hash.update(`zest-build-cache:${CACHE_VERSION}\0`);
+  for (const name of Object.keys(parts).sort()) {
+    hash.update(`${name}=${parts[name]}\0`);
+  }
+  return hash.digest('hex');
+}
+
+function entryPath(cacheDir, slug) {
+  return path.join(cacheDir, slug + '.json');
+}
+
+/**
+ * True if `slug` was last built with `key` and its zip is still there.
+ */
+function isUpToDate(cacheDir, slug, key, zipPath) {
+  const file = entryPath(cacheDir, slug);
+  if (!fs.existsSync(file) || !fs.existsSync(zipPath)) return false;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).key === key;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Record that `slug` was built with `key`. `manifest` (the package's build
+ * manifest) is kept so cached packages can be listed in dist/manifest.json.
+ */
+function recordBuild(cacheDir, slug, key, manifest) {
+  fs.mkdirSync(cacheDir, { recursive: true });
+  fs.writeFileSync(entryPath(cacheDir, slug), JSON.stringify({
+    key,
+    builtAt: new Date().toISOString(),
+    manifest: manifest || null
+  }, null, 2));
+}
+
+/**
+ * The build manifest recorded for `slug`, or null.
+ */
+function cachedManifest(cacheDir, slug) {
+  try {
+    return JSON.parse(fs.readFileSync(entryPath(cacheDir, slug), 'utf8')).manifest || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function forgetBuild(cacheDir, slug) {
+  const file = entryPath(cacheDir, slug);
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+}
+
+module.exports = {
+  fingerprint,
+  cacheKey,
+  isUpToDate,
+  recordBuild,
+  cachedManifest,
+  forgetBuild
+};
@@ -0,0 +1,194 @@
+/* =========================================================================
+   manifest.js — Build manifests
+
+   Every package gets a build-manifest.json at its root recording what went
+   into it:
+     - the build tool, JupyterLite, Pyodide and runtime extension versions
+     - SHA-256 of the wrapper files (index.html, bridge.js, ...)
+     - each notebook's path, title and SHA-256
+     - the data files bundled with the notebooks, with sizes and SHA-256
+     - the kernels and preloaded Pyodide packages shipped
+   It holds no timestamps, so the zip stays reproducible.
+
+   build.js also writes dist/manifest.json, listing every package from the
+   run with its zip's size and SHA-256 and its build manifest.
+   ========================================================================= */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_FILE = 'build-manifest.json';
+
+// Package files that come from template/, relative to the package root
+const WRAPPER_FILES = [
+  'index.html',
+  'bridge.js',
+  'transport.js',
+  'protocol.js',
+  'grading.js',
+  'review.html',
+  'lite/lab/protocol.js',
+  'lite/lab/bridge-shim.js'
+];
+
+function sha256File(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Versions of what the runtime was built from, read from runtime/_output:
+ * JupyterLite (jupyter-lite.json appVersion), Pyodide (pyodide-lock.json)
+ * and each federated extension (its package.json). Anything that can't be
+ * found is null.
+ */
+function runtimeVersions(runtimeDir) {
+  const liteConfig = readJson(path.join(runtimeDir, 'jupyter-lite.json'));
+  const data = (liteConfig && liteConfig['jupyter-config-data']) || {};
+  const lock = readJson(path.join(runtimeDir, 'static', 'pyodide', 'pyodide-lock.json'));
+
+  const extensions = {};
+  const extDir = path.join(runtimeDir, 'extensions');
+  if (fs.existsSync(extDir)) {
+    for (const entry of fs.readdirSync(extDir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      const names = entry.name.startsWith('@')
+        ? fs.readdirSync(path.join(extDir, entry.name)).map(sub => entry.name + '/' + sub)
+        : [entry.name];
+      for (const name of names) {
+        const pkg = readJson(path.join(extDir, ...name.split('/'), 'package.json'));
+        extensions[name] = (pkg && pkg.version) || null;
+      }
+    }
+  }
+
+  return {
+    jupyterlite: data.appVersion || null,
+    pyodide: (lock && lock.info && lock.info.version) || null,
+    extensions
+  };
+}
+
+/**
+ * Build the manifest for the package laid out in `buildDir`.
+ *
+ * @param {string} buildDir
+ * @param {object} info
+ * @param {string} info.slug
+ * @param {string} info.title
+ * @param {string} info.tool - Build tool version
+ * @param {object} info.runtime - runtimeVersions() of the shared runtime
+ * @param {{ path: string, title: string }[]} info.notebooks - As in zest.json
+ * @param {string[]} info.kernels - Kernels shipped
+ * @param {string[]} info.packages - Pyodide packages preloaded
+ * @param {number} info.tests - Hidden test count
+ * @param {number} info.lockedCells - Locked cell count
+ */
+function packageManifest(buildDir, info) {
+  const filesDir = path.join(buildDir, 'lite', 'files');
+
+  const template = {};
+  for (const rel of WRAPPER_FILES) {
+    const file = path.join(buildDir, ...rel.split('/'));
+    if (fs.existsSync(file)) template[rel] = sha256File(file);
+  }
+
+  const notebookPaths = new Set(info.notebooks.map(n => n.path));
+  const notebooks = info.notebooks.map(n => ({
+    path: n.path,
+    title: n.title,
+    sha256: sha256File(path.join(filesDir, ...n.path.split('/')))
+  }));
+
+  const data = [];
+  (function walk(dir, prefix) {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const rel = prefix + entry.name;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(full, rel + '/');
+      } else if (!notebookPaths.has(rel)) {
+        data.push({ path: rel, size: fs.statSync(full).size, sha256: sha256File(full) });
+      }
+    }
+  })(filesDir, '');
+  data.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+  // Extensions pruned from this package are left out of its versions
+  const liteConfig = readJson(path.join(buildDir, 'lite', 'jupyter-lite.json'));
+  const shipped = liteConfig && liteConfig['jupyter-config-data'] &&
+    liteConfig['jupyter-config-data'].federated_extensions;
+  const extensions = {};
+  for (const name of Object.keys(info.runtime.extensions).sort()) {
+    if (!Array.isArray(shipped) || shipped.some(ext => ext.name === name)) {
+      extensions[name] = info.runtime.extensions[name];
+    }
+  }
+
+  return {
+    version: MANIFEST_VERSION,
+    slug: info.slug,
+    title: info.title,
+    tool: info.tool,
+    runtime: {
+      jupyterlite: info.runtime.jupyterlite,
+      pyodide: info.kernels.indexOf('python') !== -1 ? info.runtime.pyodide : null,
+      extensions
+    },
+    kernels: info.kernels.slice().sort(),
+    packages: info.packages.slice(),
+    template,
+    notebooks,
+    data,
+    grading: { tests: info.tests, lockedCells: info.lockedCells }
+  };
+}
+
+function writePackageManifest(buildDir, manifest) {
+  fs.writeFileSync(path.join(buildDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/**
+ * Write dist/manifest.json.
+ *
+ * @param {string} file
+ * @param {{ slug: string, status: string, zip: string|null, manifest: object|null }[]} packages
+ *   zip: path of the package's zip (null if it failed)
+ */
+function writeSummary(file, packages) {
+  const summary = {
+    version: MANIFEST_VERSION,
+    builtAt: new Date().toISOString(),
+    packages: packages.map(p => {
+      const entry = { slug: p.slug, status: p.status };
+      if (p.zip && fs.existsSync(p.zip)) {
+        entry.zip = path.basename(p.zip);
+        entry.size = fs.statSync(p.zip).size;
+        entry.sha256 = sha256File(p.zip);
+      }
+      if (p.manifest) entry.manifest = p.manifest;
+      return entry;
+    })
+  };
+  fs.writeFileSync(file, JSON.stringify(summary, null, 2) + '\n');
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  runtimeVersions,
+  packageManifest,
+  writePackageManifest,
+  writeSummary
+};
@@ -0,0 +1,196 @@
+/* =========================================================================
+   nbgrader.js — nbgrader source notebooks
+
+   A notebook with nbgrader cell metadata, or with `### BEGIN SOLUTION`
+   regions, is treated as an nbgrader *source* notebook and turned into
+   the release version students get, the way `nbgrader generate_assignment`
+   does:
+
+     - BEGIN SOLUTION / END SOLUTION regions are replaced with a stub
+       (`# YOUR CODE HERE` + `raise NotImplementedError()` for Python,
+       the JavaScript equivalent, or `YOUR ANSWER HERE` in Markdown),
+       keeping the indentation of the BEGIN line. A solution cell without
+       delimiters is replaced entirely.
+     - Outputs of solution and grade cells are cleared.
+     - Autograder test cells (grade, not solution) are locked.
+     - nbgrader metadata (grade_id, points, grade, solution, locked) is
+       kept, so submissions can go back into nbgrader.
+
+   Points are mapped onto Zest grading:
+     - autograder test cells become hidden tests (lib/notebook.js), worth
+       their nbgrader points; `### BEGIN HIDDEN TESTS` regions are
+       stripped as before
+     - manually graded answers and tasks become rubric criteria for the
+       review page, unless the project's zest.json gives a rubric
+   ========================================================================= */
+
+'use strict';
+
+const { cellSource, toMultiline } = require('./notebook');
+
+// A line that is only a delimiter, optionally in a comment
+const BEGIN_SOLUTION_RE = /^(\s*)(?:#+|\/\/+|<!--)?\s*BEGIN SOLUTION\s*(?:-->)?\s*$/;
+const END_SOLUTION_RE = /^\s*(?:#+|\/\/+|<!--)?\s*END SOLUTION\s*(?:-->)?\s*$/;
+
+const CODE_STUBS = {
+  python: ['# YOUR CODE HERE', 'raise NotImplementedError()'],
+  javascript: ['// YOUR CODE HERE', 'throw new Error("Not implemented");']
+};
+const TEXT_STUB = 'YOUR ANSWER HERE';
+
+function nbgraderMeta(cell) {
+  return (cell && cell.metadata && cell.metadata.nbgrader) || null;
+}
+
+function notebookLanguage(nb) {
+  const meta = nb.metadata || {};
+  const name = (meta.kernelspec && (meta.kernelspec.language || meta.kernelspec.name)) ||
+    (meta.language_info && meta.language_info.name) || 'python';
+  return String(name).toLowerCase().indexOf('javascript') !== -1 ? 'javascript' : 'python';
+}
+
+/**
+ * True if `nb` looks like an nbgrader source notebook.
+ */
+function isNbgraderSource(nb) {
+  return (nb.cells || []).some(cell => {
+    const meta = nbgraderMeta(cell);
+    if (meta && (meta.grade || meta.solution || meta.task)) return true;
+    return cellSource(cell).split('\n').some(line => BEGIN_SOLUTION_RE.test(line));
+  });
+}
+
+/**
+ * Replace the solution regions in `source` with `stub` lines.
+ *
+ * @returns {{ source: string, regions: number, error: string|null }}
+ */
+function clearSolutionRegions(source, stub) {
+  const out = [];
+  let regions = 0;
+  let inSolution = false;
+
+  for (const line of source.split('\n')) {
+    const begin = BEGIN_SOLUTION_RE.exec(line);
+    if (begin) {
+      if (inSolution) return { source, regions, error: 'BEGIN SOLUTION inside a solution region' };
+      inSolution = true;
+      regions++;
+      stub.forEach(stubLine => out.push(begin[1] + stubLine));
+      continue;
+    }
+    if (END_SOLUTION_RE.test(line)) {
+      if (!inSolution) return { source, regions, error: 'END SOLUTION without BEGIN SOLUTION' };
+      inSolution = false;
+      continue;
+    }
+    if (!inSolution) out.push(line);
+  }
+
+  if (inSolution) return { source, regions, error: 'BEGIN SOLUTION without END SOLUTION' };
+  return { source: out.join('\n'), regions, error: null };
+}
+
+function cellLabel(cell, index) {
+  const meta = nbgraderMeta(cell);
+  return (meta && meta.grade_id) ? `cell "${meta.grade_id}"` : `cell ${index + 1}`;
+}
+
+/**
+ * Check an nbgrader source notebook for what generate_assignment would
+ * reject: unbalanced solution delimiters, grade cells without a grade_id
+ * or points, and duplicate grade_ids.
+ *
+ * @returns {string[]} Errors
+ */
+function checkNbgraderSource(nb) {
+  const errors = [];
+  const ids = new Set();
+  (nb.cells || []).forEach((cell, index) => {
+    const result = clearSolutionRegions(cellSource(cell), []);
+    if (result.error) errors.push(`${cellLabel(cell, index)}: ${result.error}`);
+
+    const meta = nbgraderMeta(cell);
+    if (!meta || !(meta.grade || meta.solution || meta.task || meta.locked)) return;
+    if (!meta.grade_id) {
+      errors.push(`${cellLabel(cell, index)}: nbgrader cell without a "grade_id"`);
+      return;
+    }
+    if (ids.has(meta.grade_id)) errors.push(`${cellLabel(cell, index)}: duplicate nbgrader grade_id`);
+    ids.add(meta.grade_id);
+    if ((meta.grade || meta.task) && !(Number(meta.points) >= 0)) {
+      errors.push(`${cellLabel(cell, index)}: graded cell needs non-negative nbgrader "points"`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * A criterion title for a manually graded cell: the first heading or line
+ * of a Markdown cell, otherwise the grade_id.
+ */
+function criterionTitle(cell, meta) {
+  if (cell.cell_type === 'markdown') {
+    const first = cellSource(cell).split('\n').map(l => l.replace(/^#+\s*/, '').trim()).find(Boolean);
+    if (first && first !== TEXT_STUB) return first.length > 80 ? first.slice(0, 77) + '...' : first;
+  }
+  return meta.grade_id;
+}
+
+/**
+ * Turn an nbgrader source notebook into its release version (see above).
+ * Run checkNbgraderSource() first; regions it rejects are left as they are.
+ *
+ * @param {object} nb - Parsed notebook (not modified)
+ * @returns {{ notebook: object, rubric: object[], solutions: number }}
+ *   rubric: criteria for the manually graded cells (lib/rubric.js format);
+ *   solutions: how many solution regions or cells were cleared
+ */
+function releaseNotebook(nb) {
+  const notebook = JSON.parse(JSON.stringify(nb));
+  const codeStub = CODE_STUBS[notebookLanguage(nb)];
+  const rubric = [];
+  let solutions = 0;
+
+  (notebook.cells || []).forEach(cell => {
+    const meta = nbgraderMeta(cell) || {};
+    const stub = cell.cell_type === 'code' ? codeStub : [TEXT_STUB];
+    const source = cellSource(cell);
+    const cleared = clearSolutionRegions(source, stub);
+
+    if (!cleared.error && cleared.regions > 0) {
+      cell.source = toMultiline(cleared.source);
+      solutions += cleared.regions;
+    } else if (meta.solution && cell.cell_type !== 'raw') {
+      // A solution cell without delimiters is all solution
+      cell.source = toMultiline(stub.join('\n'));
+      solutions++;
+    }
+
+    if (cell.cell_type === 'code' && (meta.solution || meta.grade || cleared.regions > 0)) {
+      cell.outputs = [];
+      cell.execution_count = null;
+    }
+    // Autograder tests are read-only for students, as nbgrader locks them
+    if (meta.grade && !meta.solution && cell.cell_type === 'code') {
+      meta.locked = true;
+    }
+    // Answers and tasks graded by hand
+    if ((meta.grade && meta.solution) || meta.task) {
+      rubric.push({
+        id: meta.grade_id,
+        title: criterionTitle(cell, meta),
+        points: Number(meta.points) || 0,
+        description: meta.task ? 'Task' : (cell.cell_type === 'code' ? 'Code answer' : 'Written answer')
+      });
+    }
+  });
+
+  return { notebook, rubric, solutions };
+}
+
+module.exports = {
+  isNbgraderSource,
+  checkNbgraderSource,
+  releaseNotebook
+};
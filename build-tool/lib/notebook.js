@@ -0,0 +1,309 @@
+/* =========================================================================
+   notebook.js — Build-time notebook transforms
+
+   Helpers that turn a teacher's source notebook into the copy students
+   receive, plus the grading material that is packaged alongside it.
+
+   Hidden tests (nbgrader-style):
+     - A code cell containing a region between `### BEGIN HIDDEN TESTS`
+       and `### END HIDDEN TESTS` (or `// BEGIN HIDDEN TESTS` for the
+       JavaScript kernel) is an autograder test. Students see the cell
+       with the hidden region removed; the full cell is run on submit.
+     - A cell tagged `hidden-test`, or with `metadata.zest.hiddenTest`
+       set, is removed from the student copy entirely.
+     - An nbgrader autograder test cell (`grade` without `solution`) is
+       a test even without a hidden region; students see all of it.
+
+   Points come from `metadata.zest.points` or `metadata.nbgrader.points`
+   (default 1).
+
+   Locked cells:
+     - `metadata.editable: false` makes a cell read-only, and
+       `metadata.deletable: false` makes it undeletable (standard nbformat).
+     - The `locked` tag, `metadata.zest.locked` or `metadata.nbgrader.locked`
+       set both.
+     Each locked cell gets a `metadata.zest.lockId`, and its original
+     content is packaged separately so the wrapper and extension can put
+     it back if a saved notebook has been tampered with.
+
+   Starter fingerprints:
+     A compact record of the notebook students start from — cell ids,
+     types and sources, plus a hash of each cell's outputs — that the
+     review page diffs submissions against. The output hash must match
+     outputsFingerprint() in template/review.html.
+   ========================================================================= */
+
+'use strict';
+
+const BEGIN_HIDDEN_RE = /^\s*(?:#+|\/\/+)\s*BEGIN HIDDEN TESTS\s*$/;
+const END_HIDDEN_RE = /^\s*(?:#+|\/\/+)\s*END HIDDEN TESTS\s*$/;
+const LOCKED_TAG = 'locked';
+
+// -----------------------------------------------------------------------
+// Cell helpers
+// -----------------------------------------------------------------------
+
+function cellSource(cell) {
+  if (!cell || cell.source === undefined || cell.source === null) return '';
+  return Array.isArray(cell.source) ? cell.source.join('') : String(cell.source);
+}
+
+/**
+ * Split a string into nbformat's multiline form (lines keep their '\n').
+ */
+function toMultiline(str) {
+  if (!str) return [];
+  const lines = str.split('\n');
+  const out = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (i < lines.length - 1) {
+      out.push(lines[i] + '\n');
+    } else if (lines[i] !== '') {
+      out.push(lines[i]);
+    }
+  }
+  return out;
+}
+
+function cellMeta(cell, ns) {
+  return (cell && cell.metadata && cell.metadata[ns]) || {};
+}
+
+function cellTags(cell) {
+  return (cell && cell.metadata && Array.isArray(cell.metadata.tags)) ? cell.metadata.tags : [];
+}
+
+function cellPoints(cell) {
+  const zest = cellMeta(cell, 'zest');
+  const nbgrader = cellMeta(cell, 'nbgrader');
+  const points = zest.points !== undefined ? zest.points : nbgrader.points;
+  const n = Number(points);
+  return Number.isFinite(n) && n >= 0 ? n : 1;
+}
+
+// -----------------------------------------------------------------------
+// Hidden tests
+// -----------------------------------------------------------------------
+
+/**
+ * Split a cell's source into the visible part (markers and hidden region
+ * removed) and the full test code (markers removed, hidden region kept).
+ * Returns null if the cell has no hidden-test markers.
+ */
+function splitHiddenRegion(source) {
+  const lines = source.split('\n');
+  const visible = [];
+  const full = [];
+  let inHidden = false;
+  let found = false;
+
+  for (const line of lines) {
+    if (BEGIN_HIDDEN_RE.test(line)) {
+      inHidden = true;
+      found = true;
+      continue;
+    }
+    if (END_HIDDEN_RE.test(line)) {
+      inHidden = false;
+      continue;
+    }
+    full.push(line);
+    if (!inHidden) visible.push(line);
+  }
+
+  if (!found) return null;
+  return {
+    visible: visible.join('\n').replace(/\n+$/, ''),
+    full: full.join('\n')
+  };
+}
+
+/**
+ * Remove hidden tests from a notebook.
+ *
+ * @param {object} nb - Parsed nbformat notebook (not modified)
+ * @param {string} notebookPath - Path of the notebook inside lite/files/
+ * @returns {{ notebook: object, tests: object[] }} Student copy and tests
+ */
+function extractHiddenTests(nb, notebookPath) {
+  const notebook = JSON.parse(JSON.stringify(nb));
+  const tests = [];
+  const cells = [];
+
+  (notebook.cells || []).forEach(function (cell) {
+    if (cell.cell_type !== 'code') {
+      cells.push(cell);
+      return;
+    }
+
+    const zest = cellMeta(cell, 'zest');
+    const nbgrader = cellMeta(cell, 'nbgrader');
+    const source = cellSource(cell);
+    const wholeCellHidden = zest.hiddenTest === true || cellTags(cell).indexOf('hidden-test') !== -1;
+    const split = wholeCellHidden ? null : splitHiddenRegion(source);
+    const nbgraderTest = nbgrader.grade === true && nbgrader.solution !== true;
+
+    if (!wholeCellHidden && !split && !nbgraderTest) {
+      cells.push(cell);
+      return;
+    }
+
+    tests.push({
+      id: nbgrader.grade_id || zest.testId || cell.id || 'test-' + (tests.length + 1),
+      notebook: notebookPath,
+      points: cellPoints(cell),
+      source: split ? split.full : source
+    });
+
+    if (wholeCellHidden) return;
+    if (!split) {
+      cells.push(cell);
+      return;
+    }
+
+    // Outputs from the teacher's run could reveal the hidden assertions
+    cell.source = toMultiline(split.visible);
+    cell.outputs = [];
+    cell.execution_count = null;
+    cells.push(cell);
+  });
+
+  notebook.cells = cells;
+  return { notebook, tests };
+}
+
+// -----------------------------------------------------------------------
+// Locked cells
+// -----------------------------------------------------------------------
+
+function lockFlags(cell) {
+  const meta = cell.metadata || {};
+  const locked = cellTags(cell).indexOf(LOCKED_TAG) !== -1 ||
+    cellMeta(cell, 'zest').locked === true ||
+    cellMeta(cell, 'nbgrader').locked === true;
+  return {
+    editable: !locked && meta.editable !== false,
+    deletable: !locked && meta.deletable !== false
+  };
+}
+
+/**
+ * Mark locked cells and record their original content.
+ *
+ * @param {object} nb - Parsed nbformat notebook (not modified)
+ * @returns {{ notebook: object, locks: object[] }} Notebook with lock ids
+ *   and lock metadata set, and one record per locked cell:
+ *   { lockId, index, editable, deletable, cell: { cell_type, source, metadata } }
+ */
+function extractLockedCells(nb) {
+  const notebook = JSON.parse(JSON.stringify(nb));
+  const locks = [];
+  const usedIds = new Set();
+
+  (notebook.cells || []).forEach(function (cell, index) {
+    const flags = lockFlags(cell);
+    if (flags.editable && flags.deletable) return;
+
+    cell.metadata = cell.metadata || {};
+    const zest = cell.metadata.zest = cell.metadata.zest || {};
+    let lockId = zest.lockId || cell.id || 'locked-' + index;
+    while (usedIds.has(lockId)) lockId += '-' + index;
+    usedIds.add(lockId);
+    zest.lockId = lockId;
+    if (!flags.editable) cell.metadata.editable = false;
+    if (!flags.deletable) cell.metadata.deletable = false;
+
+    const original = {
+      cell_type: cell.cell_type,
+      source: toMultiline(cellSource(cell)),
+      metadata: JSON.parse(JSON.stringify(cell.metadata))
+    };
+    if (cell.attachments) original.attachments = cell.attachments;
+
+    locks.push({
+      lockId,
+      index,
+      editable: flags.editable,
+      deletable: flags.deletable,
+      cell: original
+    });
+  });
+
+  return { notebook, locks };
+}
+
+// -----------------------------------------------------------------------
+// Starter fingerprints
+// -----------------------------------------------------------------------
+
+/**
+ * cyrb53 — fast 53-bit string hash, hex. Same function as bridge.js and
+ * review.html, so fingerprints can be compared in the browser.
+ */
+function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+function joinText(value) {
+  return Array.isArray(value) ? value.join('') : (value || '');
+}
+
+/**
+ * Hash of a cell's outputs that ignores how they were serialized
+ * (string vs. line array, trailing whitespace, output metadata and
+ * execution counts).
+ */
+function outputsFingerprint(outputs) {
+  if (!outputs || outputs.length === 0) return '';
+  const canonical = outputs.map(function (o) {
+    const data = o.data || {};
+    return {
+      t: o.output_type || null,
+      n: o.name || null,
+      x: joinText(o.text).replace(/\s+$/, ''),
+      d: Object.keys(data).sort().map(function (mime) {
+        const value = data[mime];
+        const text = typeof value === 'string' || Array.isArray(value) ? joinText(value) : JSON.stringify(value);
+        return [mime, text.replace(/\s+$/, '')];
+      }),
+      e: o.ename || null,
+      v: o.evalue || null
+    };
+  });
+  return hashString(JSON.stringify(canonical));
+}
+
+/**
+ * @param {object} nb - The student copy of a notebook
+ * @returns {{ cells: object[] }} { id, cell_type, source, outputs } per cell
+ */
+function starterFingerprint(nb) {
+  return {
+    cells: (nb.cells || []).map(function (cell) {
+      const entry = {
+        id: cell.id || null,
+        cell_type: cell.cell_type,
+        source: cellSource(cell)
+      };
+      if (cell.cell_type === 'code') entry.outputs = outputsFingerprint(cell.outputs);
+      return entry;
+    })
+  };
+}
+
+module.exports = {
+  cellSource,
+  toMultiline,
+  extractHiddenTests,
+  extractLockedCells,
+  starterFingerprint
+};
@@ -0,0 +1,296 @@
+/* =========================================================================
+   preview.js — Local preview server for `build.js --serve`
+
+   Serves one built project over HTTP, the way Zest would:
+
+     /                      the built package (index.html, review.html, lite/)
+     /public/zest-bridge.js zest-mock.js, pointed at the /__zest/ store below,
+                            plus a live-reload client
+     /__zest/<name>         GET/PUT JSON: state, submission, feedback,
+                            chunk/<id>; DELETE /__zest/ clears them
+     /__zest/events         Server-sent events; "reload" after a rebuild
+
+   The mock's data is kept as JSON files in `dataDir`, so saved work
+   survives restarts. review.html shows the last submission, or a fake
+   one made from the packaged notebooks if nothing has been submitted.
+
+   Watched paths trigger `rebuild()` (debounced); when it succeeds, open
+   pages reload.
+   ========================================================================= */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const MOCK_SCRIPT = path.join(__dirname, '..', 'zest-mock.js');
+const STORE_PREFIX = '/__zest/';
+const STORE_NAME_RE = /^(state|submission|feedback|chunk\/[A-Za-z0-9_-]+)$/;
+const REBUILD_DELAY_MS = 300;
+const MAX_BODY_BYTES = 200 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.ipynb': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.wasm': 'application/wasm',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.csv': 'text/csv; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.whl': 'application/zip',
+  '.zip': 'application/zip'
+};
+
+// Runs in the page after zest-mock.js
+const RELOAD_CLIENT = `
+(function () {
+  var source = new EventSource('${STORE_PREFIX}events');
+  source.addEventListener('reload', function () {
+    console.log('[preview] Rebuilt — reloading');
+    window.location.reload();
+  });
+})();
+`;
+
+// -----------------------------------------------------------------------
+// Mock store (JSON files)
+// -----------------------------------------------------------------------
+
+function storeFile(dataDir, name) {
+  return path.join(dataDir, name.replace('/', path.sep) + '.json');
+}
+
+/**
+ * A submission made from the packaged notebooks, so review.html has
+ * something to show before anyone has submitted.
+ */
+function fakeSubmission(buildDir) {
+  const filesDir = path.join(buildDir, 'lite', 'files');
+  let manifest = {};
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(buildDir, 'zest.json'), 'utf8'));
+  } catch (e) {
+    // No manifest: fall back to assignment.ipynb
+  }
+  const paths = (manifest.notebooks || []).map(n => n.path);
+  if (paths.length === 0) paths.push('assignment.ipynb');
+
+  const notebooks = {};
+  let cellCount = 0;
+  for (const nbPath of paths) {
+    try {
+      notebooks[nbPath] = JSON.parse(fs.readFileSync(path.join(filesDir, nbPath), 'utf8'));
+      cellCount += (notebooks[nbPath].cells || []).length;
+    } catch (e) {
+      // Skipped; the build would have failed on a missing notebook
+    }
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    preview: true,
+    artifacts: {
+      notebook: notebooks[paths[0]] || null,
+      notebooks,
+      files: [],
+      events: [
+        { t: now - 900, type: 'session_start', data: {} },
+        { t: now - 600, type: 'cell_executed', data: {} },
+        { t: now, type: 'submission', data: {} }
+      ],
+      history: [],
+      grading: null,
+      stats: {
+        timeSpent: 900,
+        cellExecutions: 1,
+        interactions: 0,
+        cellCount,
+        notebookCount: Object.keys(notebooks).length,
+        fileCount: 0
+      }
+    }
+  };
+}
+
+function displayPath(file) {
+  const rel = path.relative(process.cwd(), file);
+  return rel.startsWith('..') ? file : rel;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const parts = [];
+    let bytes = 0;
+    req.on('data', chunk => {
+      bytes += chunk.length;
+      if (bytes > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      parts.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(parts).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, value) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(value));
+}
+
+function handleStore(req, res, options) {
+  const name = decodeURIComponent(req.url.split('?')[0].slice(STORE_PREFIX.length));
+
+  if (name === '' && req.method === 'DELETE') {
+    fs.rmSync(options.dataDir, { recursive: true, force: true });
+    sendJson(res, 200, { success: true });
+    return;
+  }
+  if (!STORE_NAME_RE.test(name)) {
+    sendJson(res, 404, { error: 'Unknown store entry' });
+    return;
+  }
+
+  const file = storeFile(options.dataDir, name);
+  if (req.method === 'GET') {
+    if (fs.existsSync(file)) {
+      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+      fs.createReadStream(file).pipe(res);
+    } else if (name === 'submission') {
+      sendJson(res, 200, fakeSubmission(options.buildDir));
+    } else {
+      sendJson(res, 404, null);
+    }
+    return;
+  }
+  if (req.method === 'PUT') {
+    readBody(req).then(body => {
+      JSON.parse(body);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, body);
+      sendJson(res, 200, { success: true });
+    }).catch(e => sendJson(res, 400, { error: e.message }));
+    return;
+  }
+  sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+// -----------------------------------------------------------------------
+// Static files
+// -----------------------------------------------------------------------
+
+function serveStatic(req, res, buildDir) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(req.url.split('?')[0]);
+  } catch (e) {
+    res.writeHead(400);
+    res.end('Bad request');
+    return;
+  }
+  let file = path.join(buildDir, path.normalize(urlPath));
+  if (file !== buildDir && !file.startsWith(buildDir + path.sep)) {
+    res.writeHead(403);
+    res.end('Forbidden');
+    return;
+  }
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+    file = path.join(file, 'index.html');
+  }
+  if (!fs.existsSync(file)) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found: ' + urlPath);
+    return;
+  }
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+    'Cache-Control': 'no-store'
+  });
+  fs.createReadStream(file).pipe(res);
+}
+
+// -----------------------------------------------------------------------
+// Server
+// -----------------------------------------------------------------------
+
+/**
+ * Start the preview server.
+ *
+ * @param {object} options
+ * @param {string} options.buildDir - Directory holding the built package
+ * @param {string} options.dataDir - Where the mock's JSON files are kept
+ * @param {number} options.port
+ * @param {string[]} options.watch - Files/directories that trigger a rebuild
+ * @param {function(string[]): boolean} options.rebuild - Rebuild into
+ *   buildDir; gets the changed paths, returns false on failure
+ * @returns {http.Server}
+ */
+function startPreview(options) {
+  const clients = new Set();
+
+  const server = http.createServer((req, res) => {
+    const url = req.url.split('?')[0];
+    if (url === STORE_PREFIX + 'events') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+      res.write(': connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+    if (url.startsWith(STORE_PREFIX)) {
+      handleStore(req, res, options);
+      return;
+    }
+    if (url === '/public/zest-bridge.js') {
+      res.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(`window.ZEST_MOCK_SERVER = '${STORE_PREFIX}';\n` +
+        fs.readFileSync(MOCK_SCRIPT, 'utf8') + RELOAD_CLIENT);
+      return;
+    }
+    serveStatic(req, res, options.buildDir);
+  });
+
+  // Rebuild once things settle; editors often write a file several times
+  let timer = null;
+  let changed = new Set();
+  function scheduleRebuild(file) {
+    changed.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const files = Array.from(changed);
+      changed = new Set();
+      console.log(`\nChanged: ${files.map(displayPath).join(', ')}`);
+      if (options.rebuild(files)) {
+        clients.forEach(client => client.write('event: reload\ndata: {}\n\n'));
+      }
+    }, REBUILD_DELAY_MS);
+  }
+
+  for (const target of options.watch) {
+    if (!fs.existsSync(target)) continue;
+    const isDir = fs.statSync(target).isDirectory();
+    fs.watch(target, { recursive: isDir }, (event, name) => {
+      if (name && path.basename(String(name)).startsWith('.')) return;
+      scheduleRebuild(isDir && name ? path.join(target, String(name)) : target);
+    });
+  }
+
+  server.listen(options.port, '127.0.0.1');
+  return server;
+}
+
+module.exports = {
+  startPreview
+};
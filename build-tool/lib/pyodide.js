@@ -0,0 +1,252 @@
+/* =========================================================================
+   pyodide.js — Python packages for a project's Pyodide kernel
+
+   When the runtime is built with a local Pyodide distribution
+   (`build-runtime.js --pyodide <tarball>`), lite/static/pyodide/ holds
+   pyodide-lock.json and a wheel for every package Pyodide provides —
+   several hundred MB. Each project only ships the wheels it needs:
+
+     - packages listed in its requirements.txt, plus their dependencies
+     - packages the notebooks import (found by scanning code cells)
+     - the packages the kernel itself loads at startup (KERNEL_PACKAGES)
+
+   Requirements are also preloaded when the kernel starts, through the
+   kernel's `loadPyodideOptions.packages` setting in the project's
+   jupyter-lite.json.
+
+   requirements.txt supports one package per line with an optional
+   version specifier. Pyodide ships a single version of each package, so
+   a `==` pin that doesn't match it is reported as a warning.
+   ========================================================================= */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { cellSource } = require('./notebook');
+
+const LOCK_FILE = 'pyodide-lock.json';
+const KERNEL_SETTINGS_ID = '@jupyterlite/pyodide-kernel-extension:kernel';
+
+// Loaded by jupyterlite-pyodide-kernel when a kernel starts (names not in
+// the lock file are skipped)
+const KERNEL_PACKAGES = ['micropip', 'packaging', 'ssl', 'sqlite3', 'ipython', 'jedi', 'traitlets', 'pygments'];
+
+const REQUIREMENT_RE = /^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(\[[^\]]*\])?\s*(.*)$/;
+const IMPORT_RE = /^\s*import\s+(.+)$/;
+const FROM_IMPORT_RE = /^\s*from\s+([A-Za-z_][\w.]*)\s+import\b/;
+
+/**
+ * PEP 503 normalized package name.
+ */
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+// -----------------------------------------------------------------------
+// requirements.txt
+// -----------------------------------------------------------------------
+
+/**
+ * @param {string} text - requirements.txt contents
+ * @returns {{ requirements: object[], errors: string[] }} One
+ *   { name, spec, line } per package line
+ */
+function parseRequirements(text) {
+  const requirements = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) return;
+    const match = line.startsWith('-') ? null : line.match(REQUIREMENT_RE);
+    if (!match || /[;@]|:\/\//.test(match[3])) {
+      errors.push(`requirements.txt line ${i + 1}: "${line}" is not supported (use a package name and optional version)`);
+      return;
+    }
+    requirements.push({ name: match[1], spec: match[3].trim(), line: i + 1 });
+  });
+
+  return { requirements, errors };
+}
+
+// -----------------------------------------------------------------------
+// Lock file
+// -----------------------------------------------------------------------
+
+/**
+ * Read pyodide-lock.json from a Pyodide distribution directory.
+ *
+ * @returns {{ version: string, packages: Map<string, object> }|null}
+ *   Packages keyed by normalized name, or null if there is no lock file
+ */
+function loadPyodideLock(pyodideDir) {
+  const lockPath = path.join(pyodideDir, LOCK_FILE);
+  if (!fs.existsSync(lockPath)) return null;
+  const lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  const packages = new Map();
+  for (const key of Object.keys(lock.packages || {})) {
+    const entry = lock.packages[key];
+    packages.set(normalizeName(entry.name || key), entry);
+  }
+  return { version: (lock.info && lock.info.version) || 'unknown', packages };
+}
+
+/**
+ * Names plus everything they depend on.
+ *
+ * @returns {{ resolved: Map<string, object>, missing: string[] }}
+ */
+function resolvePackages(lock, names) {
+  const resolved = new Map();
+  const missing = [];
+  const queue = names.map(normalizeName);
+
+  while (queue.length > 0) {
+    const name = queue.shift();
+    if (resolved.has(name)) continue;
+    const entry = lock.packages.get(name);
+    if (!entry) {
+      if (missing.indexOf(name) === -1) missing.push(name);
+      continue;
+    }
+    resolved.set(name, entry);
+    (entry.depends || []).forEach(dep => queue.push(normalizeName(dep)));
+  }
+  return { resolved, missing };
+}
+
+/**
+ * Lock packages that provide the given top-level modules. Standard-library
+ * and unknown modules are ignored.
+ */
+function packagesForImports(lock, modules) {
+  const byImport = new Map();
+  for (const [name, entry] of lock.packages) {
+    (entry.imports || []).forEach(mod => byImport.set(mod, name));
+  }
+  const names = new Set();
+  modules.forEach(mod => {
+    if (byImport.has(mod)) names.add(byImport.get(mod));
+  });
+  return Array.from(names);
+}
+
+// -----------------------------------------------------------------------
+// Notebook imports
+// -----------------------------------------------------------------------
+
+function isPythonNotebook(nb) {
+  const spec = (nb.metadata && nb.metadata.kernelspec) || {};
+  const language = spec.language || (nb.metadata && nb.metadata.language_info && nb.metadata.language_info.name);
+  return !language || language === 'python';
+}
+
+/**
+ * Top-level modules imported by a notebook's Python code cells.
+ *
+ * @param {object} nb - Parsed notebook
+ * @returns {string[]}
+ */
+function findImports(nb) {
+  const modules = new Set();
+  if (!isPythonNotebook(nb)) return [];
+
+  (nb.cells || []).forEach(cell => {
+    if (cell.cell_type !== 'code') return;
+    for (const line of cellSource(cell).split('\n')) {
+      const from = line.match(FROM_IMPORT_RE);
+      if (from) {
+        if (!from[1].startsWith('.')) modules.add(from[1].split('.')[0]);
+        continue;
+      }
+      const imp = line.match(IMPORT_RE);
+      if (!imp) continue;
+      imp[1].replace(/#.*$/, '').split(',').forEach(part => {
+        const mod = part.trim().split(/\s+/)[0];
+        if (/^[A-Za-z_][\w.]*$/.test(mod)) modules.add(mod.split('.')[0]);
+      });
+    }
+  });
+  return Array.from(modules);
+}
+
+// -----------------------------------------------------------------------
+// Project resolution
+// -----------------------------------------------------------------------
+
+/**
+ * Work out which Pyodide packages a project needs.
+ *
+ * @param {object} options
+ * @param {string|null} options.requirementsText - requirements.txt contents
+ * @param {object[]} options.notebooks - Parsed notebooks
+ * @param {string} options.pyodideDir - The runtime's Pyodide directory
+ * @returns {{ preload: string[], dropFiles: Set<string>,
+ *   errors: string[], warnings: string[] }} preload: packages for
+ *   loadPyodideOptions; dropFiles: package files in the Pyodide directory
+ *   that the project does not need
+ */
+function resolveProjectPackages(options) {
+  const errors = [];
+  const warnings = [];
+  const parsed = options.requirementsText ? parseRequirements(options.requirementsText) : { requirements: [], errors: [] };
+  errors.push(...parsed.errors);
+  const requested = parsed.requirements.map(r => r.name);
+
+  const lock = loadPyodideLock(options.pyodideDir);
+  if (!lock) {
+    if (requested.length > 0) {
+      warnings.push('the runtime has no local Pyodide distribution, so requirements are downloaded ' +
+        'from the Pyodide CDN when the kernel starts (rebuild it with --pyodide to work offline)');
+    }
+    return { preload: requested, dropFiles: new Set(), errors, warnings };
+  }
+
+  const preload = [];
+  parsed.requirements.forEach(req => {
+    const entry = lock.packages.get(normalizeName(req.name));
+    if (!entry) {
+      errors.push(`requirements.txt line ${req.line}: "${req.name}" is not a Pyodide ${lock.version} package`);
+      return;
+    }
+    const pin = req.spec.match(/^==\s*([^,\s]+)$/);
+    if (pin && pin[1] !== entry.version) {
+      warnings.push(`requirements.txt line ${req.line}: Pyodide ${lock.version} provides ${entry.name} ` +
+        `${entry.version}, not ${pin[1]}`);
+    }
+    preload.push(entry.name);
+  });
+
+  const imports = [];
+  options.notebooks.forEach(nb => imports.push(...findImports(nb)));
+  const wanted = KERNEL_PACKAGES.filter(name => lock.packages.has(normalizeName(name)))
+    .concat(preload, packagesForImports(lock, imports));
+  const { resolved, missing } = resolvePackages(lock, wanted);
+  missing.forEach(name => warnings.push(`Pyodide lock file lists "${name}" as a dependency but has no such package`));
+
+  // Core files (interpreter, standard library, lock file) are not
+  // packages and are always kept
+  const dropFiles = new Set();
+  for (const [name, entry] of lock.packages) {
+    if (entry.file_name && !resolved.has(name)) dropFiles.add(entry.file_name);
+  }
+  return { preload, dropFiles, errors, warnings };
+}
+
+/**
+ * Add the preload list to a parsed jupyter-lite.json (modified in place).
+ */
+function setPreloadPackages(config, packages) {
+  const data = config['jupyter-config-data'] = config['jupyter-config-data'] || {};
+  const plugins = data.litePluginSettings = data.litePluginSettings || {};
+  const settings = plugins[KERNEL_SETTINGS_ID] = plugins[KERNEL_SETTINGS_ID] || {};
+  settings.loadPyodideOptions = Object.assign({}, settings.loadPyodideOptions, { packages });
+  return config;
+}
+
+module.exports = {
+  parseRequirements,
+  resolveProjectPackages,
+  setPreloadPackages
+};
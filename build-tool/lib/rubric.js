@@ -0,0 +1,63 @@
+/* =========================================================================
+   rubric.js — Rubric definitions from a project's zest.json
+
+   A rubric is a list of criteria the teacher scores in the review page:
+
+     "rubric": [
+       { "id": "correctness", "title": "Correct results", "points": 6 },
+       { "title": "Code style", "points": 2, "description": "Readable names" }
+     ]
+
+   It can be set per notebook (`notebooks[].rubric`) or, for single-notebook
+   projects, at the top level. Criteria are normalized to
+   { id, title, points, description } and copied into the packaged
+   zest.json, where review.html and bridge.js read them.
+   ========================================================================= */
+
+'use strict';
+
+function slugId(str) {
+  return String(str).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Validate and normalize a rubric.
+ *
+ * @param {*} rubric - Value from zest.json (may be undefined)
+ * @param {string} where - Label for error messages
+ * @returns {object[]|null} Normalized criteria, or null if no rubric
+ * @throws {Error} If the rubric is malformed
+ */
+function normalizeRubric(rubric, where) {
+  if (rubric === undefined || rubric === null) return null;
+  if (!Array.isArray(rubric)) {
+    throw new Error(`${where}: "rubric" must be a list of criteria`);
+  }
+
+  const ids = new Set();
+  return rubric.map((criterion, i) => {
+    if (!criterion || typeof criterion !== 'object' || !criterion.title) {
+      throw new Error(`${where}: rubric criterion ${i + 1} needs a "title"`);
+    }
+    const points = Number(criterion.points);
+    if (!Number.isFinite(points) || points < 0) {
+      throw new Error(`${where}: rubric criterion "${criterion.title}" needs non-negative "points"`);
+    }
+    const id = String(criterion.id || slugId(criterion.title) || 'criterion-' + (i + 1));
+    if (ids.has(id)) {
+      throw new Error(`${where}: duplicate rubric criterion id "${id}"`);
+    }
+    ids.add(id);
+
+    return {
+      id,
+      title: String(criterion.title),
+      points,
+      description: criterion.description ? String(criterion.description) : ''
+    };
+  });
+}
+
+module.exports = {
+  normalizeRubric
+};
@@ -0,0 +1,140 @@
+/* =========================================================================
+   runtime.js — Per-project runtime pruning
+
+   The shared runtime has both kernels. A project only ships the kernels
+   its notebooks use, going by each notebook's kernelspec (no kernelspec
+   means Python, JupyterLite's default). A project can list the kernels
+   to ship in zest.json instead — e.g. `"kernels": ["python", "javascript"]`
+   to let students switch — and must then include every kernel its
+   notebooks use.
+
+   Pruning a kernel removes its federated extension from lite/extensions/
+   and from jupyter-lite.json, plus the files only it uses (the Pyodide
+   distribution for Python). Unused Pyodide packages within a shipped
+   Python kernel are handled by lib/pyodide.js.
+   ========================================================================= */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// What each kernel adds to the runtime, relative to runtime/_output/
+const KERNELS = {
+  python: {
+    label: 'Python (Pyodide)',
+    extensions: ['@jupyterlite/pyodide-kernel-extension'],
+    paths: ['static/pyodide']
+  },
+  javascript: {
+    label: 'JavaScript',
+    extensions: ['@jupyterlite/javascript-kernel-extension'],
+    paths: []
+  }
+};
+const DEFAULT_KERNEL = 'python';
+const LITE_CONFIG_FILES = ['jupyter-lite.json', 'lab/jupyter-lite.json'];
+
+/**
+ * Kernels a project ships.
+ *
+ * @param {object[]} notebooks - Parsed notebooks
+ * @param {*} declared - `kernels` from the project's zest.json (may be undefined)
+ * @returns {{ kernels: string[], errors: string[] }}
+ */
+function projectKernels(notebooks, declared) {
+  const used = new Set();
+  notebooks.forEach(nb => {
+    const spec = nb.metadata && nb.metadata.kernelspec;
+    used.add(spec && typeof spec.name === 'string' ? spec.name : DEFAULT_KERNEL);
+  });
+
+  if (declared === undefined) {
+    return { kernels: Array.from(used).filter(name => KERNELS[name]), errors: [] };
+  }
+
+  const errors = [];
+  if (!Array.isArray(declared) || declared.length === 0) {
+    return { kernels: Object.keys(KERNELS), errors: ['zest.json: "kernels" must be a non-empty list'] };
+  }
+  declared.forEach(name => {
+    if (!KERNELS[name]) {
+      errors.push(`zest.json: unknown kernel "${name}" in "kernels" (known: ${Object.keys(KERNELS).join(', ')})`);
+    }
+  });
+  used.forEach(name => {
+    if (KERNELS[name] && declared.indexOf(name) === -1) {
+      errors.push(`zest.json: "kernels" leaves out "${name}", which a notebook uses`);
+    }
+  });
+  return { kernels: declared.filter(name => KERNELS[name]), errors };
+}
+
+/**
+ * What to leave out of lite/ for a project shipping `kernels`.
+ *
+ * @returns {{ pruned: string[], paths: string[], extensions: string[] }}
+ *   pruned: kernel names left out; paths: runtime-relative paths to skip
+ *   (extension directories included); extensions: federated extension names
+ */
+function pruneRules(kernels) {
+  const rules = { pruned: [], paths: [], extensions: [] };
+  for (const name of Object.keys(KERNELS)) {
+    if (kernels.indexOf(name) !== -1) continue;
+    rules.pruned.push(name);
+    rules.paths.push(...KERNELS[name].paths);
+    KERNELS[name].extensions.forEach(ext => {
+      rules.extensions.push(ext);
+      rules.paths.push('extensions/' + ext);
+    });
+  }
+  return rules;
+}
+
+/**
+ * True if `relPath` (runtime-relative, '/'-separated) is left out.
+ */
+function isPruned(rules, relPath) {
+  return rules.paths.some(p => relPath === p || relPath.startsWith(p + '/'));
+}
+
+/**
+ * Drop pruned extensions from the jupyter-lite.json files under `liteDir`.
+ * Files are replaced rather than rewritten in place, as they may be hard
+ * links into the shared runtime.
+ */
+function pruneLiteConfig(liteDir, rules) {
+  if (rules.extensions.length === 0) return;
+  for (const rel of LITE_CONFIG_FILES) {
+    const file = path.join(liteDir, rel);
+    if (!fs.existsSync(file)) continue;
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const data = config['jupyter-config-data'];
+    if (!data || !Array.isArray(data.federated_extensions)) continue;
+    data.federated_extensions = data.federated_extensions.filter(ext => rules.extensions.indexOf(ext.name) === -1);
+    fs.unlinkSync(file);
+    fs.writeFileSync(file, JSON.stringify(config, null, 2));
+  }
+}
+
+/**
+ * Total size in bytes of the files under `dir`.
+ */
+function treeSize(dir) {
+  if (!fs.existsSync(dir)) return 0;
+  let total = 0;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    total += entry.isDirectory() ? treeSize(full) : fs.statSync(full).size;
+  }
+  return total;
+}
+
+module.exports = {
+  KERNELS,
+  projectKernels,
+  pruneRules,
+  isPruned,
+  pruneLiteConfig,
+  treeSize
+};
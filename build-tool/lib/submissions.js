@@ -0,0 +1,254 @@
+/* =========================================================================
+   submissions.js — Reading dumps of Zest submission records
+
+   A dump is one of:
+     - a JSON file holding one record, a list of records, or
+       { "submissions": [...], "chunks": { id: packed } }
+     - a directory of such JSON files, with chunks as chunk/<id>.json
+       or chunks/<id>.json. A `build.js --serve` data directory
+       (dist/.preview/<project>/) is a dump of one submission.
+
+   A record is the `work` object bridge.js passes to Zest.submitWork(),
+   either as it is or wrapped with the student's identity:
+     { "userId": "...", "name": "...", "submittedAt": "...", "work": {...} }
+   (`submission` is accepted for `work`; `studentId`, `user_id` or
+   `user.id` for `userId`).
+
+   Artifacts written with transport.js are decoded here in Node: gzip
+   envelopes are inflated and chunk markers filled in from the dump's
+   chunks.
+   ========================================================================= */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const TRANSPORT_VERSION = 1;
+const CHUNK_MARKER = '$zestChunk';
+const CHUNK_DIRS = ['chunk', 'chunks'];
+const DEFAULT_NOTEBOOK_FILE = 'assignment.ipynb';
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// -----------------------------------------------------------------------
+// Transport decoding (mirrors template/transport.js)
+// -----------------------------------------------------------------------
+
+function unpack(packed) {
+  if (!packed || packed.enc === 'none') return packed ? packed.data : '';
+  if (packed.enc !== 'gzip') throw new Error('Unknown payload encoding: ' + packed.enc);
+  return zlib.gunzipSync(Buffer.from(packed.data, 'base64')).toString('utf8');
+}
+
+function fillChunks(node, chunks) {
+  if (isObject(node) && typeof node[CHUNK_MARKER] === 'string' && Object.keys(node).length === 1) {
+    const id = node[CHUNK_MARKER];
+    if (!chunks.has(id)) throw new Error('Missing chunk ' + id);
+    return unpack(chunks.get(id));
+  }
+  if (Array.isArray(node)) return node.map(n => fillChunks(n, chunks));
+  if (isObject(node)) {
+    const out = {};
+    for (const key of Object.keys(node)) out[key] = fillChunks(node[key], chunks);
+    return out;
+  }
+  return node;
+}
+
+/**
+ * Decode submission artifacts written by transport.js. Plain artifacts
+ * are returned unchanged.
+ *
+ * @param {object} artifacts
+ * @param {Map<string, object>} chunks - Chunk id → packed chunk
+ * @throws {Error} If the payload is unreadable or a chunk is missing
+ */
+function decodeArtifacts(artifacts, chunks) {
+  if (!(isObject(artifacts) && artifacts.transport && artifacts.doc)) return artifacts;
+  if (artifacts.transport > TRANSPORT_VERSION) {
+    throw new Error(`Submission uses a newer transport format (${artifacts.transport})`);
+  }
+  return fillChunks(JSON.parse(unpack(artifacts.doc)), chunks);
+}
+
+// -----------------------------------------------------------------------
+// Loading dumps
+// -----------------------------------------------------------------------
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`${file}: ${e.message}`);
+  }
+}
+
+function readChunkDirs(dir, chunks) {
+  for (const name of CHUNK_DIRS) {
+    const chunkDir = path.join(dir, name);
+    if (!fs.existsSync(chunkDir)) continue;
+    for (const file of fs.readdirSync(chunkDir)) {
+      if (file.endsWith('.json')) chunks.set(file.slice(0, -5), readJson(path.join(chunkDir, file)));
+    }
+  }
+}
+
+/**
+ * Records from one parsed JSON value. `label` is the fallback student
+ * id for a lone record (its file or directory name).
+ */
+function recordsFrom(value, label, chunks) {
+  if (isObject(value) && Array.isArray(value.submissions)) {
+    if (isObject(value.chunks)) {
+      Object.keys(value.chunks).forEach(id => chunks.set(id, value.chunks[id]));
+    }
+    return value.submissions.map(rec => ({ raw: rec, label: null }));
+  }
+  if (Array.isArray(value)) return value.map(rec => ({ raw: rec, label: null }));
+  return [{ raw: value, label }];
+}
+
+function normalizeRecord(raw, label, index) {
+  if (!isObject(raw)) throw new Error(`record ${index + 1} is not an object`);
+  const work = raw.work || raw.submission || raw;
+  if (!isObject(work) || !isObject(work.artifacts)) {
+    throw new Error(`record ${index + 1} has no artifacts`);
+  }
+  const user = isObject(raw.user) ? raw.user : {};
+  const student = raw.userId || raw.studentId || raw.user_id || user.id || user.login_id || user.sub || label;
+  return {
+    student: student !== undefined && student !== null ? String(student) : `student-${index + 1}`,
+    name: raw.name || user.name || null,
+    submittedAt: raw.submittedAt || raw.submitted_at || raw.timestamp || null,
+    work
+  };
+}
+
+/**
+ * Load every record in a dump (see above).
+ *
+ * @param {string} target - File or directory
+ * @returns {{ records: object[], chunks: Map<string, object> }} records:
+ *   { student, name, submittedAt, work } with artifacts still encoded
+ * @throws {Error} If the dump cannot be read
+ */
+function loadSubmissionDump(target) {
+  const chunks = new Map();
+  const found = [];
+
+  if (fs.statSync(target).isDirectory()) {
+    readChunkDirs(target, chunks);
+    const previewSubmission = path.join(target, 'submission.json');
+    if (fs.existsSync(previewSubmission)) {
+      found.push(...recordsFrom(readJson(previewSubmission), path.basename(path.resolve(target)), chunks));
+    } else {
+      for (const file of fs.readdirSync(target).sort()) {
+        if (!file.endsWith('.json')) continue;
+        found.push(...recordsFrom(readJson(path.join(target, file)), path.basename(file, '.json'), chunks));
+      }
+    }
+  } else {
+    readChunkDirs(path.dirname(target), chunks);
+    found.push(...recordsFrom(readJson(target), path.basename(target, '.json'), chunks));
+  }
+
+  return {
+    records: found.map((rec, i) => normalizeRecord(rec.raw, rec.label, i)),
+    chunks
+  };
+}
+
+// -----------------------------------------------------------------------
+// Reading artifacts
+// -----------------------------------------------------------------------
+
+/**
+ * The submitted notebooks, keyed by path. Submissions from
+ * single-notebook packages only carry `notebook`.
+ */
+function submittedNotebooks(artifacts) {
+  const notebooks = {};
+  const parse = nb => (typeof nb === 'string' ? JSON.parse(nb) : nb);
+  if (isObject(artifacts.notebooks)) {
+    for (const nbPath of Object.keys(artifacts.notebooks)) {
+      if (artifacts.notebooks[nbPath]) notebooks[nbPath] = parse(artifacts.notebooks[nbPath]);
+    }
+  } else if (artifacts.notebook) {
+    notebooks[DEFAULT_NOTEBOOK_FILE] = parse(artifacts.notebook);
+  }
+  return notebooks;
+}
+
+/**
+ * When the work was submitted: the record's own timestamp, else the last
+ * `submission` event. Null if neither is known.
+ *
+ * @returns {Date|null}
+ */
+function submissionTime(record, artifacts) {
+  if (record.submittedAt) {
+    const date = new Date(record.submittedAt);
+    if (!isNaN(date.getTime())) return date;
+  }
+  const events = Array.isArray(artifacts.events) ? artifacts.events : [];
+  for (let i = events.length - 1; i >= 0; i--) {
+    if (events[i] && events[i].type === 'submission' && typeof events[i].t === 'number') {
+      return new Date(events[i].t * 1000);
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode every record in a dump and keep each student's latest.
+ *
+ * @param {{ records: object[], chunks: Map }} dump - From loadSubmissionDump()
+ * @returns {{ entries: object[], errors: string[], warnings: string[] }}
+ *   entries: { id, record, artifacts, time } sorted by id, where id is
+ *   the directory-safe student id
+ */
+function latestByStudent(dump) {
+  const latest = new Map();
+  const errors = [];
+  const warnings = [];
+  for (const record of dump.records) {
+    let artifacts;
+    try {
+      artifacts = decodeArtifacts(record.work.artifacts, dump.chunks);
+    } catch (e) {
+      errors.push(`${record.student}: ${e.message}`);
+      continue;
+    }
+    const time = submissionTime(record, artifacts);
+    const id = safeStudentId(record.student);
+    const previous = latest.get(id);
+    if (previous) {
+      warnings.push(`${record.student}: several submissions, keeping the latest`);
+      if (previous.time && (!time || time < previous.time)) continue;
+    }
+    latest.set(id, { id, record, artifacts, time });
+  }
+  const entries = Array.from(latest.values()).sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  return { entries, errors, warnings };
+}
+
+/**
+ * A student id that is safe as a directory name.
+ */
+function safeStudentId(id) {
+  const safe = String(id).replace(/[^A-Za-z0-9._@-]+/g, '_').replace(/^\.+/, '_');
+  return safe || '_';
+}
+
+module.exports = {
+  decodeArtifacts,
+  loadSubmissionDump,
+  submittedNotebooks,
+  submissionTime,
+  latestByStudent,
+  safeStudentId
+};
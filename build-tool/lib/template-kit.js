@@ -0,0 +1,141 @@
+/* =========================================================================
+   template-kit.js — Contents of the teacher kit (build.js --template)
+
+   The kit is a ready-to-upload package whose notebook is a placeholder:
+   teachers swap in their own assignment.ipynb, edit zest.json and zip it
+   back up, without installing the build tool. build.js assembles it from
+   the current runtime and template/; this module supplies the parts that
+   only the kit has: the placeholder notebook and HOW-TO-USE.txt.
+   ========================================================================= */
+
+'use strict';
+
+const KIT_TITLE = 'My Notebook';
+const KIT_DESCRIPTION = 'Describe your assignment here.';
+
+function lines(text) {
+  const parts = text.split('\n');
+  return parts.map((line, i) => (i < parts.length - 1 ? line + '\n' : line));
+}
+
+/**
+ * The notebook the kit ships at lite/files/assignment.ipynb.
+ */
+function placeholderNotebook() {
+  return {
+    cells: [
+      {
+        id: 'title',
+        cell_type: 'markdown',
+        metadata: {},
+        source: lines(
+          `# ${KIT_TITLE}\n` +
+          '\n' +
+          'This is a placeholder. Replace this file (`lite/files/assignment.ipynb`) ' +
+          'with your own notebook — see HOW-TO-USE.txt.'
+        )
+      },
+      {
+        id: 'hello',
+        cell_type: 'code',
+        execution_count: null,
+        metadata: {},
+        outputs: [],
+        source: lines('print("Hello from JupyterLite!")')
+      }
+    ],
+    metadata: {
+      kernelspec: { display_name: 'Python (Pyodide)', language: 'python', name: 'python' },
+      language_info: { name: 'python' }
+    },
+    nbformat: 4,
+    nbformat_minor: 5
+  };
+}
+
+/**
+ * Instructions shipped as HOW-TO-USE.txt.
+ *
+ * @param {object} info
+ * @param {string} info.tool - Build tool version
+ * @param {object} info.runtime - runtimeVersions() (lib/manifest.js)
+ * @param {string[]} info.kernels - Kernels in the kit's runtime
+ */
+function howToUse(info) {
+  const versions = [`build tool ${info.tool}`];
+  if (info.runtime.jupyterlite) versions.push(`JupyterLite ${info.runtime.jupyterlite}`);
+  if (info.runtime.pyodide) versions.push(`Pyodide ${info.runtime.pyodide}`);
+
+  return `JupyterLite Notebook Template for Zest
+======================================
+
+This folder is a complete Zest content package. Swap in your own
+notebook, give it a title, zip it up and upload it to Canvas.
+
+
+1. ADD YOUR NOTEBOOK
+
+   Replace lite/files/assignment.ipynb with your notebook. The file
+   must be called assignment.ipynb.
+
+   Data files your notebook reads go in lite/files/ as well, for
+   example lite/files/data/sales.csv, which the notebook opens as
+   "data/sales.csv".
+
+   The notebook's kernel must be one the package includes:
+   ${info.kernels.join(', ')}.
+   A notebook saved in desktop Jupyter usually has the "python3"
+   kernel. Students are then asked to pick a kernel when it opens. To
+   avoid that, open it in JupyterLite (or this package) and save it
+   with the "Python (Pyodide)" kernel.
+
+
+2. EDIT zest.json
+
+   Open zest.json in a text editor and change:
+
+     "name"          the title students and teachers see in Canvas
+     "description"   a sentence or two about the assignment
+
+   Leave the other fields as they are unless you know you need to
+   change them.
+
+
+3. ZIP IT
+
+   Zip the CONTENTS of this folder, not the folder itself: index.html
+   and zest.json must be at the top level of the zip.
+
+     macOS:    select everything inside the folder, right-click,
+               "Compress"
+     Windows:  select everything inside the folder, right-click,
+               "Send to" > "Compressed (zipped) folder"
+
+
+4. UPLOAD
+
+   Upload the zip in the Zest content picker in Canvas. Students'
+   work is saved as they go. Submitted notebooks can be reviewed in
+   SpeedGrader.
+
+
+Not included
+------------
+
+Hidden autograder tests, locked cells and the review page's
+"Changes" tab are added by the build tool (build-tool/build.js).
+They are not available when you edit this template by hand. Ask
+whoever maintains your Zest notebooks to build the assignment if you
+need them.
+
+
+Built with ${versions.join(', ')}.
+`;
+}
+
+module.exports = {
+  KIT_TITLE,
+  KIT_DESCRIPTION,
+  placeholderNotebook,
+  howToUse
+};
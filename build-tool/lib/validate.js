@@ -0,0 +1,270 @@
+/* =========================================================================
+   validate.js — Build-time notebook checks
+
+   Run on every notebook before it is packaged. Findings are either errors
+   (the build of that project fails) or warnings (reported, build goes on):
+
+   Errors:
+     - not valid JSON, or not an nbformat 4 notebook: required fields,
+       cell and output shapes, and cell ids for nbformat 4.5+ (a
+       hand-written subset of the official nbformat v4 schema)
+     - a kernelspec the runtime does not provide (JupyterLite would ask
+       the student to pick a kernel)
+
+   Warnings:
+     - no kernelspec (JupyterLite falls back to its default kernel)
+     - a cell whose stored outputs exceed OUTPUT_WARN_BYTES
+     - a data file named in code (e.g. pd.read_csv("data/x.csv")) that is
+       not packaged with the project and is not written by the notebook
+   ========================================================================= */
+
+'use strict';
+
+const path = require('path');
+const { cellSource } = require('./notebook');
+
+// Kernels in the runtime built by build-runtime.js
+const DEFAULT_KERNELS = ['python', 'javascript'];
+const OUTPUT_WARN_BYTES = 1024 * 1024;
+
+const CELL_TYPES = ['code', 'markdown', 'raw'];
+const CELL_FIELDS = {
+  code: ['id', 'cell_type', 'metadata', 'source', 'outputs', 'execution_count'],
+  markdown: ['id', 'cell_type', 'metadata', 'source', 'attachments'],
+  raw: ['id', 'cell_type', 'metadata', 'source', 'attachments']
+};
+const OUTPUT_TYPES = ['stream', 'display_data', 'execute_result', 'error'];
+const CELL_ID_RE = /^[a-zA-Z0-9-_]{1,64}$/;
+
+// A quoted relative path with a data-file extension
+const DATA_REF_RE = /(["'])([^"'\s{}]+?\.(?:csv|tsv|json|txt|xlsx?|parquet|feather|npy|npz|dat|h5|pkl|xml|png|jpe?g|gif|wav|zip))\1/gi;
+// Lines that create a file rather than read one
+const WRITE_LINE_RE = /\.to_\w+\(|savefig\(|np\.save|open\([^)]*,\s*["'][wax]/;
+
+// -----------------------------------------------------------------------
+// Shape helpers
+// -----------------------------------------------------------------------
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// nbformat "multiline string": a string or a list of strings
+function isMultiline(value) {
+  return typeof value === 'string' ||
+    (Array.isArray(value) && value.every(line => typeof line === 'string'));
+}
+
+function formatBytes(n) {
+  return n >= 1024 * 1024 ? (n / 1024 / 1024).toFixed(1) + ' MB' : Math.round(n / 1024) + ' KB';
+}
+
+// -----------------------------------------------------------------------
+// Schema
+// -----------------------------------------------------------------------
+
+function checkOutput(output, where, errors) {
+  if (!isObject(output)) {
+    errors.push(`${where}: output is not an object`);
+    return;
+  }
+  if (OUTPUT_TYPES.indexOf(output.output_type) === -1) {
+    errors.push(`${where}: unknown output_type ${JSON.stringify(output.output_type)}`);
+    return;
+  }
+
+  switch (output.output_type) {
+    case 'stream':
+      if (output.name !== 'stdout' && output.name !== 'stderr') {
+        errors.push(`${where}: stream output needs "name" of "stdout" or "stderr"`);
+      }
+      if (!isMultiline(output.text)) errors.push(`${where}: stream output needs "text"`);
+      break;
+    case 'execute_result':
+      if (output.execution_count !== null && !Number.isInteger(output.execution_count)) {
+        errors.push(`${where}: execute_result needs an integer or null "execution_count"`);
+      }
+      // falls through
+    case 'display_data':
+      if (!isObject(output.data)) errors.push(`${where}: ${output.output_type} needs a "data" object`);
+      if (!isObject(output.metadata)) errors.push(`${where}: ${output.output_type} needs a "metadata" object`);
+      break;
+    case 'error':
+      if (typeof output.ename !== 'string' || typeof output.evalue !== 'string') {
+        errors.push(`${where}: error output needs "ename" and "evalue" strings`);
+      }
+      if (!Array.isArray(output.traceback)) errors.push(`${where}: error output needs a "traceback" list`);
+      break;
+  }
+}
+
+function checkCell(cell, where, needsId, errors) {
+  if (!isObject(cell)) {
+    errors.push(`${where}: not an object`);
+    return;
+  }
+  if (CELL_TYPES.indexOf(cell.cell_type) === -1) {
+    errors.push(`${where}: unknown cell_type ${JSON.stringify(cell.cell_type)}`);
+    return;
+  }
+
+  for (const key of Object.keys(cell)) {
+    if (CELL_FIELDS[cell.cell_type].indexOf(key) === -1) {
+      errors.push(`${where}: unexpected "${key}" in a ${cell.cell_type} cell`);
+    }
+  }
+  if (!isObject(cell.metadata)) errors.push(`${where}: "metadata" must be an object`);
+  if (!isMultiline(cell.source)) errors.push(`${where}: "source" must be a string or list of strings`);
+
+  if (cell.id !== undefined && !(typeof cell.id === 'string' && CELL_ID_RE.test(cell.id))) {
+    errors.push(`${where}: invalid cell id ${JSON.stringify(cell.id)} (1-64 letters, digits, - or _)`);
+  } else if (cell.id === undefined && needsId) {
+    errors.push(`${where}: nbformat 4.5+ cells need an "id"`);
+  }
+
+  if (cell.cell_type === 'code') {
+    if (cell.execution_count !== null && !Number.isInteger(cell.execution_count)) {
+      errors.push(`${where}: "execution_count" must be an integer or null`);
+    }
+    if (!Array.isArray(cell.outputs)) {
+      errors.push(`${where}: code cell needs an "outputs" list`);
+    } else {
+      cell.outputs.forEach((output, i) => checkOutput(output, `${where}, output ${i + 1}`, errors));
+    }
+  } else if (cell.attachments !== undefined && !isObject(cell.attachments)) {
+    errors.push(`${where}: "attachments" must be an object`);
+  }
+}
+
+function checkSchema(nb, errors) {
+  if (!isObject(nb)) {
+    errors.push('not a notebook (top level is not an object)');
+    return false;
+  }
+  if (nb.nbformat !== 4) {
+    errors.push(`nbformat ${JSON.stringify(nb.nbformat)} is not supported (convert it to nbformat 4)`);
+    return false;
+  }
+  if (!Number.isInteger(nb.nbformat_minor) || nb.nbformat_minor < 0) {
+    errors.push('"nbformat_minor" must be a non-negative integer');
+  }
+  for (const key of Object.keys(nb)) {
+    if (['cells', 'metadata', 'nbformat', 'nbformat_minor'].indexOf(key) === -1) {
+      errors.push(`unexpected top-level "${key}"`);
+    }
+  }
+  if (!isObject(nb.metadata)) errors.push('"metadata" must be an object');
+  if (!Array.isArray(nb.cells)) {
+    errors.push('"cells" must be a list');
+    return false;
+  }
+
+  const needsId = nb.nbformat_minor >= 5;
+  const ids = new Set();
+  nb.cells.forEach((cell, i) => {
+    const where = `cell ${i + 1}`;
+    checkCell(cell, where, needsId, errors);
+    if (isObject(cell) && typeof cell.id === 'string') {
+      if (ids.has(cell.id)) errors.push(`${where}: duplicate cell id "${cell.id}"`);
+      ids.add(cell.id);
+    }
+  });
+  return true;
+}
+
+// -----------------------------------------------------------------------
+// Kernel, outputs, data files
+// -----------------------------------------------------------------------
+
+function checkKernel(nb, kernels, errors, warnings) {
+  const spec = isObject(nb.metadata) ? nb.metadata.kernelspec : undefined;
+  if (spec === undefined) {
+    warnings.push(`no kernelspec — JupyterLite will use its default kernel (available: ${kernels.join(', ')})`);
+    return;
+  }
+  if (!isObject(spec) || typeof spec.name !== 'string' || typeof spec.display_name !== 'string') {
+    errors.push('kernelspec needs "name" and "display_name" strings');
+    return;
+  }
+  if (kernels.indexOf(spec.name) === -1) {
+    const language = typeof spec.language === 'string' ? spec.language.toLowerCase() : '';
+    const hint = kernels.indexOf(language) !== -1 ? ` — use "${language}"` : '';
+    errors.push(`kernelspec "${spec.name}" is not in the runtime (available: ${kernels.join(', ')})${hint}`);
+  }
+}
+
+function checkOutputSizes(nb, warnings) {
+  nb.cells.forEach((cell, i) => {
+    if (!isObject(cell) || !Array.isArray(cell.outputs) || cell.outputs.length === 0) return;
+    const bytes = Buffer.byteLength(JSON.stringify(cell.outputs));
+    if (bytes > OUTPUT_WARN_BYTES) {
+      warnings.push(`cell ${i + 1}: outputs are ${formatBytes(bytes)} — clear them before packaging unless students need them`);
+    }
+  });
+}
+
+// Relative paths resolve against the notebook's directory, as in the kernel
+function resolveRef(ref, notebookPath) {
+  const base = path.posix.dirname(notebookPath || '');
+  return path.posix.normalize(path.posix.join(base, ref.replace(/\\/g, '/')));
+}
+
+function checkDataRefs(nb, files, notebookPath, warnings) {
+  const missing = new Map();   // ref → first cell number
+  nb.cells.forEach((cell, i) => {
+    if (!isObject(cell) || cell.cell_type !== 'code' || !isMultiline(cell.source)) return;
+    for (const line of cellSource(cell).split('\n')) {
+      if (WRITE_LINE_RE.test(line)) continue;
+      DATA_REF_RE.lastIndex = 0;
+      let match;
+      while ((match = DATA_REF_RE.exec(line)) !== null) {
+        const ref = match[2];
+        if (/^[a-z][a-z0-9+.-]*:/i.test(ref) || ref.startsWith('/')) continue;
+        const file = resolveRef(ref, notebookPath);
+        if (!files.has(file) && !missing.has(file)) missing.set(file, i + 1);
+      }
+    }
+  });
+  for (const [file, cellNum] of missing) {
+    warnings.push(`cell ${cellNum}: reads "${file}", which is not packaged with the project`);
+  }
+}
+
+// -----------------------------------------------------------------------
+// Public API
+// -----------------------------------------------------------------------
+
+/**
+ * Validate one notebook.
+ *
+ * @param {string} text - Raw .ipynb file contents
+ * @param {object} [options]
+ * @param {string} [options.path] - Notebook path inside lite/files/
+ * @param {string[]} [options.kernels] - Kernel names the runtime provides
+ * @param {Set<string>} [options.files] - Paths (relative to lite/files/)
+ *   packaged with the project; data-file references are not checked if omitted
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function validateNotebook(text, options = {}) {
+  const errors = [];
+  const warnings = [];
+
+  let nb;
+  try {
+    nb = JSON.parse(text);
+  } catch (e) {
+    errors.push(`not valid JSON (${e.message})`);
+    return { errors, warnings };
+  }
+  if (!checkSchema(nb, errors)) return { errors, warnings };
+
+  checkKernel(nb, options.kernels || DEFAULT_KERNELS, errors, warnings);
+  checkOutputSizes(nb, warnings);
+  if (options.files) checkDataRefs(nb, options.files, options.path, warnings);
+  return { errors, warnings };
+}
+
+module.exports = {
+  DEFAULT_KERNELS,
+  validateNotebook
+};
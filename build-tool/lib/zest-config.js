@@ -0,0 +1,286 @@
+/* =========================================================================
+   zest-config.js — zest.json merging and checks
+
+   A project's zest.json is merged over template/zest.json, so it only
+   needs the fields it changes:
+     - objects (sandbox, attribution) are merged key by key
+     - parameters are matched by "key": a project entry updates the
+       template entry with the same key, other entries are added after
+       the template's
+     - tags are combined, template tags first
+     - anything else in the project file replaces the template value
+     - null removes a field, e.g. "attribution": null
+   Placeholders such as {{NOTEBOOK_TITLE}} are then filled in anywhere in
+   the result.
+
+   The project file is checked against SCHEMA before merging, so each
+   finding names the field as the author wrote it. Unknown top-level
+   fields are warnings: Zest may understand fields this tool does not.
+   ========================================================================= */
+
+'use strict';
+
+const PLACEHOLDER_RE = /\{\{\s*([A-Z_]+)\s*\}\}/g;
+
+const PARAMETER = {
+  type: 'object',
+  properties: {
+    key: { type: 'string', required: true },
+    type: { type: 'string' },          // Required unless the template has the key
+    label: { type: 'string' },
+    default: { type: 'any' },
+    options: { type: 'array', items: { type: 'any' } }
+  }
+};
+
+const NOTEBOOK_ENTRY = {
+  type: ['string', 'object'],
+  properties: {
+    file: { type: 'string' },
+    path: { type: 'string' },
+    title: { type: 'string' },
+    rubric: { type: 'any' }            // Checked by lib/rubric.js
+  },
+  check: (entry, where, errors) => {
+    if (typeof entry === 'object' && entry.file === undefined && entry.path === undefined) {
+      errors.push(`"${where}.file" is required`);
+    }
+  }
+};
+
+// The fields of zest.json this tool knows about
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', nonEmpty: true },
+    version: { type: 'string' },
+    description: { type: 'string' },
+    grading: { type: 'string', enum: ['manual', 'auto'] },
+    parameters: { type: 'array', items: PARAMETER },
+    sandbox: {
+      type: 'object',
+      properties: {
+        allowScripts: { type: 'boolean' },
+        allowSameOrigin: { type: 'boolean' },
+        allowPopups: { type: 'boolean' },
+        allowForms: { type: 'boolean' },
+        allowDownloads: { type: 'boolean' }
+      }
+    },
+    tags: { type: 'array', items: { type: 'string' } },
+    width: { type: 'integer', minimum: 1 },
+    height: { type: 'integer', minimum: 1 },
+    reviewFile: { type: 'string', nonEmpty: true },
+    attribution: {
+      type: 'object',
+      properties: {
+        source: { type: 'string' },
+        license: { type: 'string' },
+        url: { type: 'string' }
+      }
+    },
+    // Build inputs
+    notebooks: { type: 'array', items: NOTEBOOK_ENTRY },
+    rubric: { type: 'any' },           // Checked by lib/rubric.js
+    kernels: { type: 'array', items: { type: 'string' } }   // Checked by lib/runtime.js
+  }
+};
+
+// -----------------------------------------------------------------------
+// Checks
+// -----------------------------------------------------------------------
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'any') return true;
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+const TYPE_NAMES = {
+  string: 'a string',
+  boolean: 'true or false',
+  integer: 'a whole number',
+  number: 'a number',
+  array: 'a list',
+  object: 'an object'
+};
+
+function checkValue(value, schema, where, findings, topLevel) {
+  const errorCount = findings.errors.length;
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (!types.some(type => matchesType(value, type))) {
+    findings.errors.push(`"${where}" must be ${types.map(t => TYPE_NAMES[t]).join(' or ')}`);
+    return;
+  }
+  if (schema.enum && schema.enum.indexOf(value) === -1) {
+    findings.errors.push(`"${where}" must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (schema.nonEmpty && value === '') {
+    findings.errors.push(`"${where}" must not be empty`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    findings.errors.push(`"${where}" must be at least ${schema.minimum}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => checkValue(item, schema.items, `${where}[${i}]`, findings, false));
+  }
+  if (isObject(value) && schema.properties) {
+    for (const key of Object.keys(schema.properties)) {
+      if (schema.properties[key].required && value[key] === undefined) {
+        findings.errors.push(`"${where ? where + '.' : ''}${key}" is required`);
+      }
+    }
+    for (const key of Object.keys(value)) {
+      const field = where ? `${where}.${key}` : key;
+      const fieldSchema = schema.properties[key];
+      if (!fieldSchema) {
+        if (topLevel) {
+          findings.warnings.push(`unknown field "${field}" (passed through to Zest unchanged)`);
+        } else {
+          findings.errors.push(`unknown field "${field}"`);
+        }
+      } else if (value[key] !== null || !topLevel) {
+        // null at the top level removes a template field
+        checkValue(value[key], fieldSchema, field, findings, false);
+      }
+    }
+  }
+  if (schema.check && findings.errors.length === errorCount) {
+    schema.check(value, where, findings.errors);
+  }
+}
+
+/**
+ * Check a project's zest.json against SCHEMA. Parameters are checked as
+ * they will be after merging over the template's.
+ *
+ * @param {*} config - The parsed file
+ * @param {object} template - The parsed template/zest.json
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function validateZestConfig(config, template) {
+  const findings = { errors: [], warnings: [] };
+  if (!isObject(config)) {
+    findings.errors.push('must be a JSON object');
+    return findings;
+  }
+  checkValue(config, SCHEMA, '', findings, true);
+  if (findings.errors.length > 0 || !Array.isArray(config.parameters)) return findings;
+
+  const seen = new Set();
+  config.parameters.forEach((param, i) => {
+    const where = `parameters[${i}]`;
+    if (seen.has(param.key)) findings.errors.push(`"${where}.key": duplicate key "${param.key}"`);
+    seen.add(param.key);
+
+    const base = (template.parameters || []).find(p => p.key === param.key);
+    const merged = Object.assign({}, base, param);
+    if (merged.type === undefined) {
+      findings.errors.push(`"${where}.type" is required (the template has no "${param.key}" parameter)`);
+    } else if (merged.type === 'select') {
+      if (!Array.isArray(merged.options)) {
+        findings.errors.push(`"${where}.options" is required for a select parameter`);
+      } else if (merged.default !== undefined && merged.options.indexOf(merged.default) === -1) {
+        findings.errors.push(`"${where}.default" must be one of its options: ` +
+          merged.options.map(o => JSON.stringify(o)).join(', '));
+      }
+    }
+  });
+  return findings;
+}
+
+// -----------------------------------------------------------------------
+// Merging
+// -----------------------------------------------------------------------
+
+function mergeObjects(base, override) {
+  const merged = Object.assign({}, base);
+  for (const key of Object.keys(override)) {
+    if (override[key] === null) {
+      delete merged[key];
+    } else if (isObject(merged[key]) && isObject(override[key])) {
+      merged[key] = mergeObjects(merged[key], override[key]);
+    } else {
+      merged[key] = override[key];
+    }
+  }
+  return merged;
+}
+
+function mergeParameters(base, override) {
+  const merged = base.map(param => Object.assign({}, param));
+  for (const param of override) {
+    const i = merged.findIndex(p => p.key === param.key);
+    if (i === -1) {
+      merged.push(param);
+    } else {
+      merged[i] = Object.assign(merged[i], param);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Merge a project's zest.json over the template's (rules above).
+ * Neither argument is modified.
+ */
+function mergeZestConfig(template, project) {
+  const merged = mergeObjects(template, project);
+  if (Array.isArray(template.parameters) && Array.isArray(project.parameters)) {
+    merged.parameters = mergeParameters(template.parameters, project.parameters);
+  }
+  if (Array.isArray(template.tags) && Array.isArray(project.tags)) {
+    merged.tags = template.tags.concat(project.tags.filter(tag => template.tags.indexOf(tag) === -1));
+  }
+  return merged;
+}
+
+// -----------------------------------------------------------------------
+// Placeholders
+// -----------------------------------------------------------------------
+
+/**
+ * Replace {{NAME}} placeholders in every string of `config`.
+ *
+ * @param {object} config
+ * @param {object} values - NAME → replacement
+ * @returns {{ config: object, errors: string[] }} errors name fields
+ *   holding unknown placeholders (left as they are)
+ */
+function fillPlaceholders(config, values) {
+  const errors = [];
+  function fill(value, where) {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER_RE, (match, name) => {
+        if (Object.prototype.hasOwnProperty.call(values, name)) return values[name];
+        errors.push(`"${where}": unknown placeholder ${match} (known: ${Object.keys(values).map(n => `{{${n}}}`).join(', ')})`);
+        return match;
+      });
+    }
+    if (Array.isArray(value)) return value.map((item, i) => fill(item, `${where}[${i}]`));
+    if (isObject(value)) {
+      const out = {};
+      for (const key of Object.keys(value)) out[key] = fill(value[key], where ? `${where}.${key}` : key);
+      return out;
+    }
+    return value;
+  }
+  return { config: fill(config, ''), errors };
+}
+
+module.exports = {
+  validateZestConfig,
+  mergeZestConfig,
+  fillPlaceholders
+};
@@ -0,0 +1,259 @@
+/* =========================================================================
+   zip.js — Reproducible zip archives without the `zip` binary
+
+   writeZip(srcDir, zipPath) packages a directory the way build.js needs:
+     - entries sorted by path and stamped with a fixed time (1980-01-01,
+       the DOS epoch), with fixed permissions, so identical inputs give
+       byte-identical zips
+     - already-compressed files (wasm, wheels, archives, images, fonts)
+       are stored; everything else is deflated, unless deflating doesn't
+       make the file smaller
+     - top-level dotfiles are left out
+     - UTF-8 file names
+   The archive is read back and every entry's size and CRC-32 checked
+   before writeZip() returns; verifyZip(zipPath, entries) is that check.
+
+   Zip64 is not supported: archives are limited to 65,535 entries and
+   4 GB, which is far beyond a Zest package.
+   ========================================================================= */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const STORED_EXTENSIONS = new Set([
+  '.wasm', '.whl', '.zip', '.gz', '.tgz', '.bz2', '.xz', '.br', '.zst',
+  '.png', '.jpg', '.jpeg', '.gif', '.webp', '.woff', '.woff2', '.mp3', '.mp4'
+]);
+const DEFLATE_LEVEL = 6;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8 = 0x0800;
+const DOS_TIME = 0;                        // 00:00:00
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;  // 1980-01-01
+const VERSION_NEEDED = 20;
+const VERSION_MADE_BY = (3 << 8) | 20;     // Unix, zip 2.0
+const FILE_MODE = 0o100644;
+
+const LOCAL_HEADER_SIG = 0x04034b50;
+const CENTRAL_HEADER_SIG = 0x02014b50;
+const END_OF_CENTRAL_SIG = 0x06054b50;
+const MAX_ENTRIES = 0xffff;
+const MAX_OFFSET = 0xffffffff;
+
+// -----------------------------------------------------------------------
+// CRC-32
+// -----------------------------------------------------------------------
+
+let crcTable = null;
+
+function crc32(buf) {
+  if (typeof zlib.crc32 === 'function') return zlib.crc32(buf);   // Node 20.15+
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+  let crc = -1;
+  for (let i = 0; i < buf.length; i++) crc = crcTable[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+// -----------------------------------------------------------------------
+// Writing
+// -----------------------------------------------------------------------
+
+/**
+ * Files under `dir` as zip entry names ('/'-separated), sorted.
+ */
+function listEntries(dir) {
+  const names = [];
+  (function walk(sub, prefix) {
+    for (const entry of fs.readdirSync(sub, { withFileTypes: true })) {
+      if (!prefix && entry.name.startsWith('.')) continue;
+      const name = prefix + entry.name;
+      if (entry.isDirectory()) {
+        walk(path.join(sub, entry.name), name + '/');
+      } else {
+        names.push(name);
+      }
+    }
+  })(dir, '');
+  return names.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+function localHeader(entry) {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(LOCAL_HEADER_SIG, 0);
+  header.writeUInt16LE(VERSION_NEEDED, 4);
+  header.writeUInt16LE(FLAG_UTF8, 6);
+  header.writeUInt16LE(entry.method, 8);
+  header.writeUInt16LE(DOS_TIME, 10);
+  header.writeUInt16LE(DOS_DATE, 12);
+  header.writeUInt32LE(entry.crc, 14);
+  header.writeUInt32LE(entry.compressedSize, 18);
+  header.writeUInt32LE(entry.size, 22);
+  header.writeUInt16LE(entry.nameBytes.length, 26);
+  header.writeUInt16LE(0, 28);
+  return Buffer.concat([header, entry.nameBytes]);
+}
+
+function centralHeader(entry) {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(CENTRAL_HEADER_SIG, 0);
+  header.writeUInt16LE(VERSION_MADE_BY, 4);
+  header.writeUInt16LE(VERSION_NEEDED, 6);
+  header.writeUInt16LE(FLAG_UTF8, 8);
+  header.writeUInt16LE(entry.method, 10);
+  header.writeUInt16LE(DOS_TIME, 12);
+  header.writeUInt16LE(DOS_DATE, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(entry.compressedSize, 20);
+  header.writeUInt32LE(entry.size, 24);
+  header.writeUInt16LE(entry.nameBytes.length, 28);
+  header.writeUInt16LE(0, 30);               // Extra field length
+  header.writeUInt16LE(0, 32);               // Comment length
+  header.writeUInt16LE(0, 34);               // Disk number
+  header.writeUInt16LE(0, 36);               // Internal attributes
+  header.writeUInt32LE((FILE_MODE << 16) >>> 0, 38);
+  header.writeUInt32LE(entry.offset, 42);
+  return Buffer.concat([header, entry.nameBytes]);
+}
+
+function endOfCentralDirectory(count, size, offset) {
+  const record = Buffer.alloc(22);
+  record.writeUInt32LE(END_OF_CENTRAL_SIG, 0);
+  record.writeUInt16LE(count, 8);
+  record.writeUInt16LE(count, 10);
+  record.writeUInt32LE(size, 12);
+  record.writeUInt32LE(offset, 16);
+  return record;
+}
+
+/**
+ * Zip the contents of `srcDir` into `zipPath` (replaced if it exists).
+ *
+ * @returns {{ entries: number, size: number, stored: number }} Entry
+ *   count, archive size in bytes and how many entries were stored
+ * @throws {Error} If the archive is too large or fails verification
+ */
+function writeZip(srcDir, zipPath) {
+  const names = listEntries(srcDir);
+  if (names.length > MAX_ENTRIES) {
+    throw new Error(`${names.length} files is more than a zip without Zip64 can hold`);
+  }
+
+  const tmpPath = zipPath + '.tmp';
+  const fd = fs.openSync(tmpPath, 'w');
+  const entries = [];
+  let offset = 0;
+  let stored = 0;
+
+  try {
+    for (const name of names) {
+      const data = fs.readFileSync(path.join(srcDir, ...name.split('/')));
+      let method = METHOD_STORE;
+      let body = data;
+      if (!STORED_EXTENSIONS.has(path.extname(name).toLowerCase()) && data.length > 0) {
+        const deflated = zlib.deflateRawSync(data, { level: DEFLATE_LEVEL });
+        if (deflated.length < data.length) {
+          method = METHOD_DEFLATE;
+          body = deflated;
+        }
+      }
+      if (method === METHOD_STORE) stored++;
+
+      const entry = {
+        name,
+        nameBytes: Buffer.from(name, 'utf8'),
+        method,
+        crc: crc32(data),
+        size: data.length,
+        compressedSize: body.length,
+        offset
+      };
+      const header = localHeader(entry);
+      fs.writeSync(fd, header);
+      fs.writeSync(fd, body);
+      offset += header.length + body.length;
+      if (offset > MAX_OFFSET) throw new Error('Archive is larger than 4 GB (Zip64 is not supported)');
+      entries.push(entry);
+    }
+
+    const central = Buffer.concat(entries.map(centralHeader));
+    fs.writeSync(fd, central);
+    fs.writeSync(fd, endOfCentralDirectory(entries.length, central.length, offset));
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    verifyZip(tmpPath, entries);
+  } catch (e) {
+    fs.unlinkSync(tmpPath);
+    throw e;
+  }
+  fs.renameSync(tmpPath, zipPath);
+  return { entries: entries.length, size: fs.statSync(zipPath).size, stored };
+}
+
+// -----------------------------------------------------------------------
+// Verification
+// -----------------------------------------------------------------------
+
+/**
+ * Read a zip back and check it against the entries written: names,
+ * order, sizes and CRC-32 of the decompressed data.
+ *
+ * @param {string} zipPath
+ * @param {{ name: string, size: number, crc: number }[]} expected - In archive order
+ * @throws {Error} Describing the first problem found
+ */
+function verifyZip(zipPath, expected) {
+  const zip = fs.readFileSync(zipPath);
+  const eocd = zip.length - 22;
+  if (eocd < 0 || zip.readUInt32LE(eocd) !== END_OF_CENTRAL_SIG) {
+    throw new Error('Zip verification failed: no end-of-central-directory record');
+  }
+  const count = zip.readUInt16LE(eocd + 10);
+  if (count !== expected.length) {
+    throw new Error(`Zip verification failed: ${count} entries, expected ${expected.length}`);
+  }
+
+  let pos = zip.readUInt32LE(eocd + 16);
+  for (const want of expected) {
+    if (zip.readUInt32LE(pos) !== CENTRAL_HEADER_SIG) {
+      throw new Error(`Zip verification failed: bad central header for ${want.name}`);
+    }
+    const nameLength = zip.readUInt16LE(pos + 28);
+    const name = zip.toString('utf8', pos + 46, pos + 46 + nameLength);
+    const localOffset = zip.readUInt32LE(pos + 42);
+    pos += 46 + nameLength + zip.readUInt16LE(pos + 30) + zip.readUInt16LE(pos + 32);
+    if (name !== want.name) {
+      throw new Error(`Zip verification failed: found ${name}, expected ${want.name}`);
+    }
+
+    if (zip.readUInt32LE(localOffset) !== LOCAL_HEADER_SIG) {
+      throw new Error(`Zip verification failed: bad local header for ${name}`);
+    }
+    const method = zip.readUInt16LE(localOffset + 8);
+    const compressedSize = zip.readUInt32LE(localOffset + 18);
+    const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26) + zip.readUInt16LE(localOffset + 28);
+    const body = zip.subarray(dataStart, dataStart + compressedSize);
+    const data = method === METHOD_DEFLATE ? zlib.inflateRawSync(body) : body;
+    if (data.length !== want.size || crc32(data) !== want.crc) {
+      throw new Error(`Zip verification failed: ${name} is corrupt`);
+    }
+  }
+}
+
+module.exports = {
+  writeZip,
+  verifyZip
+};
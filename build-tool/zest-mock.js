@@ -0,0 +1,221 @@
+/* =========================================================================
+   zest-mock.js — Local stand-in for the Zest browser API
+
+   `node build-tool/build.js --serve <project>` serves this file at
+   /public/zest-bridge.js and keeps the mock's data in JSON files under
+   dist/.preview/<project>/ (see lib/preview.js).
+
+   It also works on its own, with localStorage as the store. Serve a built
+   package with this file at /public/zest-bridge.js:
+
+     unzip dist/my-notebook.zip -d /tmp/pkg
+     mkdir -p /tmp/pkg/public
+     cp build-tool/zest-mock.js /tmp/pkg/public/zest-bridge.js
+     (cd /tmp/pkg && python3 -m http.server 8000)
+
+   Then open http://localhost:8000/ (student) or
+   http://localhost:8000/review.html (review of the last submission).
+
+   Every request is logged with its size, which is the easiest way to see
+   what an autosave actually sends.
+
+   URL parameters (on index.html):
+     ?review        — open the wrapper in review mode
+     ?nochunks      — hide putChunk/getChunk (inline transport)
+     ?fail=0.5      — fail that fraction of saveState/putChunk calls
+     ?user=alice    — user id passed in the Zest context
+     ?reset         — clear the mock's storage first
+
+   Zest._mock.stats() prints totals; Zest._mock.reset() clears storage.
+   ========================================================================= */
+
+(function () {
+  'use strict';
+
+  var PREFIX = 'zest-mock:';
+  var LATENCY_MS = 50;
+  var params = new URLSearchParams(window.location.search);
+  var failRate = parseFloat(params.get('fail')) || 0;
+  var totals = { saves: 0, saveBytes: 0, chunksPut: 0, chunkBytes: 0, chunksGot: 0 };
+  // Set by the preview server (build.js --serve) in front of this file
+  var server = window.ZEST_MOCK_SERVER || null;
+  var _submission = null;         // Loaded before onReady (getSubmission is synchronous)
+
+  // -----------------------------------------------------------------------
+  // Storage: preview server JSON files, or localStorage
+  // -----------------------------------------------------------------------
+
+  var store = server ? {
+    get: function (name) {
+      return fetch(server + name, { cache: 'no-store' }).then(function (res) {
+        if (res.status === 404) return null;
+        if (!res.ok) throw new Error('Preview server: ' + res.status);
+        return res.json();
+      });
+    },
+    put: function (name, value) {
+      return fetch(server + name, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(value)
+      }).then(function (res) {
+        if (!res.ok) throw new Error('Preview server: ' + res.status);
+      });
+    },
+    clear: function () {
+      return fetch(server, { method: 'DELETE' });
+    }
+  } : {
+    get: function (name) {
+      var raw = localStorage.getItem(PREFIX + name);
+      return Promise.resolve(raw ? JSON.parse(raw) : null);
+    },
+    put: function (name, value) {
+      localStorage.setItem(PREFIX + name, JSON.stringify(value));
+      return Promise.resolve();
+    },
+    clear: function () {
+      Object.keys(localStorage).forEach(function (k) {
+        if (k.indexOf(PREFIX) === 0) localStorage.removeItem(k);
+      });
+      return Promise.resolve();
+    }
+  };
+
+  function size(value) {
+    return JSON.stringify(value || null).length;
+  }
+
+  function kb(n) {
+    return (n / 1024).toFixed(1) + ' KB';
+  }
+
+  // Resolve after a short delay, like a network round trip
+  function later(fn) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, LATENCY_MS);
+    }).then(fn);
+  }
+
+  function maybeFail(what) {
+    if (failRate > 0 && Math.random() < failRate) {
+      console.warn('[zest-mock] Simulated failure:', what);
+      throw new Error('Simulated network failure (' + what + ')');
+    }
+  }
+
+  function reset() {
+    return store.clear().then(function () {
+      console.log('[zest-mock] Storage cleared');
+    });
+  }
+
+  var Zest = {
+    onReady: function (callback) {
+      var isReview = params.has('review') || /review\.html$/.test(window.location.pathname);
+      var cleared = params.has('reset') ? reset() : Promise.resolve();
+      cleared.then(function () {
+        return store.get('submission');
+      }).then(function (submission) {
+        _submission = submission;
+      }).catch(function (err) {
+        console.error('[zest-mock] Could not load submission:', err);
+      }).then(function () {
+        return later(function () {
+          callback({
+            isReview: isReview,
+            userId: params.get('user') || 'mock-student',
+            parameters: {}
+          });
+        });
+      });
+    },
+
+    loadState: function () {
+      return later(function () {
+        return store.get('state');
+      }).then(function (state) {
+        console.log('[zest-mock] loadState:', state ? kb(size(state)) : 'empty');
+        return state;
+      });
+    },
+
+    saveState: function (state) {
+      return later(function () {
+        maybeFail('saveState');
+        var bytes = size(state);
+        totals.saves++;
+        totals.saveBytes += bytes;
+        return store.put('state', state).then(function () {
+          console.log('[zest-mock] saveState:', kb(bytes));
+          return { success: true };
+        });
+      });
+    },
+
+    submitWork: function (work) {
+      return later(function () {
+        _submission = work;
+        return store.put('submission', work);
+      }).then(function () {
+        console.log('[zest-mock] submitWork:', kb(size(work)),
+          work.score !== undefined ? '(score ' + work.score + '/' + work.maxScore + ')' : '');
+        return { success: true };
+      });
+    },
+
+    getSubmission: function () {
+      return _submission;
+    },
+
+    saveFeedback: function (feedback) {
+      return later(function () {
+        return store.put('feedback', feedback);
+      }).then(function () {
+        console.log('[zest-mock] saveFeedback:', (feedback.comments || []).length, 'comments',
+          feedback.score !== undefined ? '(score ' + feedback.score + '/' + feedback.maxScore + ')' : '');
+        return { success: true };
+      });
+    },
+
+    getFeedback: function () {
+      return later(function () {
+        return store.get('feedback');
+      });
+    },
+
+    _mock: {
+      stats: function () {
+        console.table(totals);
+        return totals;
+      },
+      reset: reset
+    }
+  };
+
+  if (!params.has('nochunks')) {
+    Zest.putChunk = function (id, data) {
+      return later(function () {
+        maybeFail('putChunk');
+        var bytes = size(data);
+        totals.chunksPut++;
+        totals.chunkBytes += bytes;
+        return store.put('chunk/' + id, data).then(function () {
+          console.log('[zest-mock] putChunk:', id.slice(0, 20), kb(bytes));
+          return { success: true };
+        });
+      });
+    };
+
+    Zest.getChunk = function (id) {
+      return later(function () {
+        totals.chunksGot++;
+        return store.get('chunk/' + id);
+      });
+    };
+  }
+
+  window.Zest = Zest;
+  console.log('[zest-mock] Mock Zest API ready' + (server ? ' (preview server)' : '') +
+    (failRate ? ' (failing ' + failRate * 100 + '% of writes)' : ''));
+})();
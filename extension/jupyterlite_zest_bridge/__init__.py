@@ -1,3 +1,3 @@
 """JupyterLab extension that bridges JupyterLite with the Zest LTI platform."""
 
-__version__ = "1.0.0"
+__version__ = "1.2.0"
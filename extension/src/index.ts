@@ -9,16 +9,20 @@
  * - Cell execution tracking (for event logging)
  * - Dirty state monitoring (for auto-save triggers)
  * - Kernel status reporting
+ * - Hidden-test execution against the live kernel (autograding)
+ * - Teacher-locked cells (read-only in the UI, restored on load/save)
+ * - Teacher comments shown inline under the cells they refer to
+ * - The application itself, for bridge-shim.js's command channel
  *
  * The wrapper page (index.html + bridge.js) handles all Zest API
  * communication. This extension just exposes JupyterLite internals
  * to the wrapper via a clean postMessage protocol.
  *
- * Message protocol:
- *   type: 'zest-jupyter'
- *   action: string
- *   requestId?: string (for request-response correlation)
- *   data?: any
+ * Message protocol: see protocol.ts (and template/protocol.js, which
+ * the wrapper and bridge-shim.js share). The wrapper picks one responder
+ * in the page; this extension is preferred over the shim, and ignores
+ * requests addressed to the shim. Requests are only taken from the
+ * wrapper (window.parent, same origin) once they pass the session guard.
  */
 
 import {
@@ -26,24 +30,48 @@ import {
   JupyterFrontEndPlugin
 } from '@jupyterlab/application';
 
-import { INotebookTracker, NotebookActions } from '@jupyterlab/notebook';
+import {
+  INotebookTracker,
+  NotebookActions,
+  NotebookPanel
+} from '@jupyterlab/notebook';
 
-// -----------------------------------------------------------------------
-// Message Protocol Types
-// -----------------------------------------------------------------------
+import { Kernel, KernelMessage, Session } from '@jupyterlab/services';
 
-interface ZestMessage {
-  type: 'zest-jupyter';
-  action: string;
-  requestId?: string;
-  data?: any;
-}
+import {
+  CellComment,
+  Events,
+  HiddenTest,
+  LockedCell,
+  Replies,
+  RequestAction,
+  Requests,
+  REQUESTS,
+  RESPONDER_ID,
+  TestResult,
+  ZestMessage,
+  CHANNEL,
+  MIN_PROTOCOL_VERSION,
+  PROTOCOL_VERSION,
+  createGuard,
+  isAddressedTo,
+  isMessage,
+  isRequest,
+  isTrusted,
+  negotiate,
+  origin,
+  pageId,
+  validateRequest
+} from './protocol';
 
 // -----------------------------------------------------------------------
 // Plugin
 // -----------------------------------------------------------------------
 
 const PLUGIN_ID = 'jupyterlite-zest-bridge:bridge';
+const EXTENSION_VERSION = '1.3.0';
+/** How long to wait for JupyterLite to open a notebook after start */
+const NOTEBOOK_WAIT_MS = 10000;
 
 const plugin: JupyterFrontEndPlugin<void> = {
   id: PLUGIN_ID,
@@ -55,6 +83,10 @@ const plugin: JupyterFrontEndPlugin<void> = {
 
     let cellExecutionCount = 0;
     let lastSavedHash = '';
+    let lockedCells: { [path: string]: LockedCell[] } = {};
+    let cellComments: CellComment[] = [];
+    const watchedPanels = new WeakSet<NotebookPanel>();
+    let negotiatedVersion = MIN_PROTOCOL_VERSION;
 
     // -------------------------------------------------------------------
     // Helper: Get current notebook as JSON
@@ -71,6 +103,251 @@ const plugin: JupyterFrontEndPlugin<void> = {
       }
     }
 
+    // -------------------------------------------------------------------
+    // Helper: Find the open panel for a notebook path
+    // -------------------------------------------------------------------
+
+    function findPanel(path?: string): NotebookPanel | null {
+      if (!path) return tracker.currentWidget;
+      return tracker.find(panel => panel.context.path === path) || null;
+    }
+
+    // -------------------------------------------------------------------
+    // Helper: Get a notebook by path — live model if open, else from disk
+    // -------------------------------------------------------------------
+
+    async function readNotebook(path?: string): Promise<any | null> {
+      const panel = findPanel(path);
+      if (panel) {
+        return panel.context.model.toJSON();
+      }
+      if (!path) return null;
+      const model = await app.serviceManager.contents.get(path, { content: true });
+      return model.content;
+    }
+
+    // -------------------------------------------------------------------
+    // Helper: A grading kernel that has run the student's notebook
+    // -------------------------------------------------------------------
+
+    /**
+     * Start a kernel of its own for grading `path` and run the notebook's
+     * code cells in it, top to bottom, as the student has them now. The
+     * tests then never see an empty kernel (after a reload, a restore or
+     * a restart), and the student's tab, kernel and outputs are left
+     * alone. The caller shuts the session down.
+     */
+    async function startGradingSession(path: string, notebook: any): Promise<Session.ISessionConnection> {
+      const specs = app.serviceManager.kernelspecs;
+      await specs.ready;
+      const kernelName = notebook?.metadata?.kernelspec?.name || specs.specs?.default;
+      if (!kernelName) throw new Error('No kernel to run the tests in');
+
+      // Next to the notebook, so relative paths (data files) resolve as they do for the student
+      const dir = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+      const session = await app.serviceManager.sessions.startNew({
+        path: dir + '.zest-grading-' + Date.now().toString(36) + '.ipynb',
+        name: 'Zest grading',
+        type: 'notebook',
+        kernel: { name: kernelName }
+      });
+      try {
+        const kernel = session.kernel;
+        if (!kernel) throw new Error('The grading kernel did not start');
+        await kernel.info;
+        for (const cell of notebook?.cells || []) {
+          const code = cell.cell_type === 'code' ? joinSource(cell.source) : '';
+          if (!code.trim()) continue;
+          // A failing cell is the student's: keep going, as the tests decide.
+          // No stdin, so input() fails instead of waiting forever
+          await kernel.requestExecute({ code, store_history: true, stop_on_error: false, allow_stdin: false }).done;
+        }
+        return session;
+      } catch (e) {
+        session.shutdown().catch(() => undefined);
+        throw e;
+      }
+    }
+
+    // -------------------------------------------------------------------
+    // Helper: Run one hidden test in the kernel, without touching cells
+    // -------------------------------------------------------------------
+
+    async function runTest(
+      kernel: Kernel.IKernelConnection,
+      test: HiddenTest
+    ): Promise<TestResult> {
+      let output = '';
+      let error: string | null = null;
+
+      const future = kernel.requestExecute({
+        code: test.source,
+        silent: false,
+        store_history: false,
+        stop_on_error: true
+      });
+      future.onIOPub = msg => {
+        if (KernelMessage.isStreamMsg(msg)) {
+          output += msg.content.text;
+        } else if (KernelMessage.isErrorMsg(msg)) {
+          error = msg.content.ename + ': ' + msg.content.evalue;
+        }
+      };
+
+      const reply = await future.done;
+      const passed = reply.content.status === 'ok';
+      if (!passed && !error && reply.content.status === 'error') {
+        error = reply.content.ename + ': ' + reply.content.evalue;
+      }
+      return {
+        id: test.id,
+        passed,
+        error: passed ? null : error || 'Test failed',
+        output: output.slice(-2000)
+      };
+    }
+
+    // -------------------------------------------------------------------
+    // Helpers: Locked cells
+    // -------------------------------------------------------------------
+
+    function joinSource(source: string | string[] | undefined): string {
+      return Array.isArray(source) ? source.join('') : source || '';
+    }
+
+    function cellLockId(metadata: any): string | null {
+      return (metadata && metadata.zest && metadata.zest.lockId) || null;
+    }
+
+    /**
+     * Put the teacher's version of locked cells back into nbformat JSON:
+     * read-only cells get their original source, type and metadata;
+     * undeletable cells that are missing are re-inserted after the
+     * previous locked cell. Duplicates (a pasted copy keeps the lock id)
+     * are dropped. Outputs of code cells are kept.
+     */
+    function applyLocks(notebook: any, locks?: LockedCell[]): any {
+      if (!notebook || !Array.isArray(notebook.cells) || !locks || locks.length === 0) {
+        return notebook;
+      }
+      const nb = JSON.parse(JSON.stringify(notebook));
+      const lockIds = new Set(locks.map(l => l.lockId));
+      const seen = new Set<string>();
+      nb.cells = nb.cells.filter((cell: any) => {
+        const id = cellLockId(cell.metadata);
+        if (!id || !lockIds.has(id)) return true;
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      });
+
+      let insertAt = -1;
+      for (const lock of locks) {
+        let index = nb.cells.findIndex((cell: any) => cellLockId(cell.metadata) === lock.lockId);
+        if (index === -1) {
+          if (lock.deletable) continue;
+          index = insertAt >= 0 ? insertAt : Math.min(lock.index, nb.cells.length);
+          nb.cells.splice(index, 0, restoreCell({}, lock));
+        } else if (!lock.editable) {
+          nb.cells[index] = restoreCell(nb.cells[index], lock);
+        } else {
+          nb.cells[index].metadata = { ...nb.cells[index].metadata, deletable: false };
+        }
+        insertAt = index + 1;
+      }
+      return nb;
+    }
+
+    function restoreCell(cell: any, lock: LockedCell): any {
+      const original = JSON.parse(JSON.stringify(lock.cell));
+      const restored: any = { ...cell, ...original };
+      if (original.cell_type === 'code') {
+        restored.outputs = cell.cell_type === 'code' && cell.outputs ? cell.outputs : [];
+        restored.execution_count = cell.cell_type === 'code' ? cell.execution_count ?? null : null;
+      } else {
+        delete restored.outputs;
+        delete restored.execution_count;
+      }
+      return restored;
+    }
+
+    /**
+     * Make the live cells of a panel match its locks. Runs on open and
+     * whenever cells or their metadata change, so read-only cannot be
+     * switched off from the property inspector.
+     */
+    function enforceLocks(panel: NotebookPanel) {
+      const locks = lockedCells[panel.context.path];
+      if (!locks || locks.length === 0) return;
+      const byId = new Map(locks.map(l => [l.lockId, l]));
+
+      for (const cell of panel.content.widgets) {
+        const lock = byId.get(cellLockId(cell.model.metadata) || '');
+        if (!lock) continue;
+        if (!lock.editable) {
+          cell.readOnly = true;
+          const source = joinSource(lock.cell.source);
+          if (cell.model.sharedModel.getSource() !== source) {
+            cell.model.sharedModel.setSource(source);
+          }
+          if (cell.model.getMetadata('editable') !== false) {
+            cell.model.setMetadata('editable', false);
+          }
+        }
+        if (!lock.deletable && cell.model.getMetadata('deletable') !== false) {
+          cell.model.setMetadata('deletable', false);
+        }
+      }
+    }
+
+    // -------------------------------------------------------------------
+    // Helper: Teacher comments under their cells
+    // -------------------------------------------------------------------
+
+    function renderComments(panel: NotebookPanel) {
+      const path = panel.context.path;
+      const comments = cellComments.filter(c => c.notebook === path);
+
+      panel.content.widgets.forEach((cell, index) => {
+        cell.node.querySelectorAll(':scope > .jp-ZestComment').forEach(node => node.remove());
+        // Anchored by cell id; comments on cells without one fall back to position
+        const mine = comments.filter(c =>
+          c.cellId ? c.cellId === cell.model.id : c.cellIndex === index
+        );
+        if (mine.length === 0) return;
+
+        const box = document.createElement('div');
+        box.className = 'jp-ZestComment';
+        const label = document.createElement('div');
+        label.className = 'jp-ZestComment-label';
+        label.textContent = 'Teacher comment';
+        box.appendChild(label);
+        for (const comment of mine) {
+          const text = document.createElement('div');
+          text.className = 'jp-ZestComment-text';
+          text.textContent = comment.text;
+          box.appendChild(text);
+        }
+        cell.node.appendChild(box);
+      });
+    }
+
+    function watchPanel(panel: NotebookPanel) {
+      if (watchedPanels.has(panel)) return;
+      watchedPanels.add(panel);
+      panel.context.ready.then(() => {
+        enforceLocks(panel);
+        renderComments(panel);
+        // Covers source edits that bypass the read-only editor
+        // (find/replace, undo) and metadata edits
+        panel.context.model.contentChanged.connect(() => enforceLocks(panel));
+        panel.context.model.cells.changed.connect(() => {
+          enforceLocks(panel);
+          renderComments(panel);
+        });
+      });
+    }
+
     // -------------------------------------------------------------------
     // Helper: Simple hash for change detection
     // -------------------------------------------------------------------
@@ -86,153 +363,211 @@ const plugin: JupyterFrontEndPlugin<void> = {
     }
 
     // -------------------------------------------------------------------
-    // Helper: Send message to parent wrapper
+    // Helpers: Send messages to the parent wrapper
     // -------------------------------------------------------------------
 
-    function sendToWrapper(action: string, data?: any, requestId?: string) {
-      const msg: ZestMessage = {
-        type: 'zest-jupyter',
-        action,
-        data: data || {},
-        requestId
-      };
+    function post(msg: ZestMessage) {
       try {
-        window.parent.postMessage(msg, '*');
+        window.parent.postMessage(msg, origin());
       } catch (e) {
         console.warn('[zest-bridge-ext] postMessage failed:', e);
       }
     }
 
+    function emit<E extends keyof Events>(event: E, data: Events[E]) {
+      post({ type: CHANNEL, protocol: negotiatedVersion, action: event, from: RESPONDER_ID, data });
+    }
+
+    function reply<A extends RequestAction>(
+      request: ZestMessage<A>,
+      data: Replies[A] | { success: false; error: string }
+    ) {
+      post({
+        type: CHANNEL,
+        protocol: negotiatedVersion,
+        action: REQUESTS[request.action].reply,
+        requestId: request.requestId,
+        from: RESPONDER_ID,
+        data
+      });
+    }
+
     // -------------------------------------------------------------------
-    // Handle incoming messages from the wrapper
+    // Request handlers — one per action in REQUESTS that this extension
+    // serves; each resolves with the reply's data. The wrapper sends
+    // getFiles/loadFiles to bridge-shim.js, which reads IndexedDB.
     // -------------------------------------------------------------------
 
-    window.addEventListener('message', async (event: MessageEvent) => {
-      const msg = event.data;
-      if (!msg || msg.type !== 'zest-jupyter') return;
-
-      console.log('[zest-bridge-ext] Received:', msg.action);
+    type Handler<A extends RequestAction> = (data: Requests[A]) => Promise<Replies[A]>;
 
-      switch (msg.action) {
-        // ---------------------------------------------------------------
-        // Get the current notebook content as nbformat JSON
-        // ---------------------------------------------------------------
-        case 'getNotebook': {
-          const nbJSON = getNotebookJSON();
-          sendToWrapper('notebookContent', {
-            notebook: nbJSON,
-            path: tracker.currentWidget?.context.path || null,
-            cellCount: nbJSON?.cells?.length || 0,
-            executionCount: cellExecutionCount
-          }, msg.requestId);
-          break;
+    const handlers: { [A in RequestAction]?: Handler<A> } = {
+      // Version negotiation: the wrapper picked this extension
+      connect: async ({ protocol }) => {
+        const version = negotiate(protocol);
+        if (version === null) {
+          throw new Error(`Protocol ${protocol} is not supported (${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION})`);
         }
+        negotiatedVersion = version;
+        return { protocol: version, capabilities: CAPABILITIES };
+      },
+
+      // The current notebook content as nbformat JSON
+      getNotebook: async ({ path }) => {
+        const notebookPath = path || tracker.currentWidget?.context.path || null;
+        const nbJSON = applyLocks(await readNotebook(path), lockedCells[notebookPath || '']);
+        return {
+          notebook: nbJSON,
+          path: notebookPath,
+          cellCount: nbJSON?.cells?.length || 0,
+          executionCount: cellExecutionCount
+        };
+      },
+
+      // Write a notebook from JSON into the JupyterLite file system
+      loadNotebook: async ({ notebook, path, open }) => {
+        const fileName = path || 'assignment.ipynb';
+
+        // With the teacher's locked cells put back
+        await app.serviceManager.contents.save(fileName, {
+          type: 'notebook',
+          format: 'json',
+          content: applyLocks(notebook, lockedCells[fileName])
+        });
 
-        // ---------------------------------------------------------------
-        // Load a notebook from JSON into the JupyterLite file system
-        // ---------------------------------------------------------------
-        case 'loadNotebook': {
-          try {
-            const { notebook, path } = msg.data;
-            const fileName = path || 'assignment.ipynb';
-            const contentsManager = app.serviceManager.contents;
-
-            // Write the notebook to the virtual filesystem
-            await contentsManager.save(fileName, {
-              type: 'notebook',
-              format: 'json',
-              content: notebook
-            });
-
-            // Open the notebook
-            await app.commands.execute('docmanager:open', {
-              path: fileName
-            });
-
-            sendToWrapper('notebookLoaded', {
-              path: fileName,
-              success: true
-            }, msg.requestId);
-          } catch (e: any) {
-            console.error('[zest-bridge-ext] loadNotebook failed:', e);
-            sendToWrapper('notebookLoaded', {
-              success: false,
-              error: e.message
-            }, msg.requestId);
-          }
-          break;
+        // An open view still holds the old model: reread it in place
+        const panel = tracker.find(p => p.context.path === fileName);
+        if (panel) {
+          await panel.context.ready;
+          await panel.context.revert();
         }
 
-        // ---------------------------------------------------------------
-        // Trigger a save of the current notebook
-        // ---------------------------------------------------------------
-        case 'save': {
-          try {
-            await app.commands.execute('docmanager:save');
-            const nbJSON = getNotebookJSON();
-            sendToWrapper('saved', {
-              notebook: nbJSON,
-              success: true
-            }, msg.requestId);
-          } catch (e: any) {
-            sendToWrapper('saved', {
-              success: false,
-              error: e.message
-            }, msg.requestId);
+        // The wrapper passes open: false when restoring notebooks that
+        // are not currently shown
+        if (open !== false) {
+          await app.commands.execute('docmanager:open', { path: fileName });
+        }
+        return { path: fileName, success: true };
+      },
+
+      // Switch to another notebook of a multi-notebook assignment
+      openNotebook: async ({ path }) => {
+        await app.commands.execute('docmanager:open', { path });
+        return { path, success: true };
+      },
+
+      // The package's locked cells (locked-cells.json)
+      setLockedCells: async ({ notebooks }) => {
+        lockedCells = notebooks || {};
+        tracker.forEach(panel => enforceLocks(panel));
+        return { success: true, count: Object.keys(lockedCells).length };
+      },
+
+      // Teacher comments shown inline (feedback from review.html)
+      showComments: async ({ comments }) => {
+        cellComments = comments || [];
+        tracker.forEach(panel => renderComments(panel));
+        return { success: true, count: cellComments.length };
+      },
+
+      // Save the current notebook
+      save: async () => {
+        await app.commands.execute('docmanager:save');
+        return { notebook: getNotebookJSON(), success: true };
+      },
+
+      getStatus: async () => {
+        const panel = tracker.currentWidget;
+        return {
+          hasNotebook: !!panel,
+          isDirty: panel?.context.model.dirty || false,
+          path: panel?.context.path || null,
+          cellCount: getNotebookJSON()?.cells?.length || 0,
+          executionCount: cellExecutionCount,
+          kernelStatus: panel?.sessionContext?.session?.kernel?.status || 'unknown'
+        };
+      },
+
+      runAll: async () => {
+        await app.commands.execute('notebook:run-all-cells');
+        return { success: true };
+      },
+
+      // Reset notebook — clear all outputs
+      clearOutputs: async () => {
+        await app.commands.execute('notebook:clear-all-cell-outputs');
+        return { success: true };
+      },
+
+      // Run hidden tests in a grading kernel that has run the notebook
+      runTests: async ({ path, tests }) => {
+        const notebookPath = path || tracker.currentWidget?.context.path;
+        if (!notebookPath) throw new Error('No notebook to test');
+        const notebook = applyLocks(await readNotebook(notebookPath), lockedCells[notebookPath]);
+        if (!notebook) throw new Error('Could not read ' + notebookPath);
+
+        const session = await startGradingSession(notebookPath, notebook);
+        try {
+          // Sequential: later tests may depend on state set by earlier ones
+          const results: TestResult[] = [];
+          for (const test of tests || []) {
+            results.push(await runTest(session.kernel!, test));
           }
-          break;
+          return { success: true, results };
+        } finally {
+          session.shutdown().catch(() => undefined);
         }
+      }
+    };
+
+    const CAPABILITIES = [
+      ...Object.keys(handlers).filter(action => action !== 'connect'),
+      'cellExecutionTracking',
+      'dirtyStateTracking',
+      'kernelStatusTracking',
+      'startupProgress',
+      // runTests runs the notebook in a kernel of its own first
+      'gradingKernel'
+    ];
 
-        // ---------------------------------------------------------------
-        // Get current status
-        // ---------------------------------------------------------------
-        case 'getStatus': {
-          const panel = tracker.currentWidget;
-          sendToWrapper('status', {
-            hasNotebook: !!panel,
-            isDirty: panel?.context.model.dirty || false,
-            path: panel?.context.path || null,
-            cellCount: getNotebookJSON()?.cells?.length || 0,
-            executionCount: cellExecutionCount,
-            kernelStatus: panel?.sessionContext?.session?.kernel?.status || 'unknown'
-          }, msg.requestId);
-          break;
-        }
+    // -------------------------------------------------------------------
+    // Handle incoming messages from the wrapper
+    // -------------------------------------------------------------------
 
-        // ---------------------------------------------------------------
-        // Execute all cells
-        // ---------------------------------------------------------------
-        case 'runAll': {
-          try {
-            await app.commands.execute('notebook:run-all-cells');
-            sendToWrapper('runAllComplete', { success: true }, msg.requestId);
-          } catch (e: any) {
-            sendToWrapper('runAllComplete', {
-              success: false,
-              error: e.message
-            }, msg.requestId);
-          }
-          break;
-        }
+    const guard = createGuard();
 
-        // ---------------------------------------------------------------
-        // Reset notebook — clear all outputs
-        // ---------------------------------------------------------------
-        case 'clearOutputs': {
-          try {
-            await app.commands.execute('notebook:clear-all-cell-outputs');
-            sendToWrapper('outputsCleared', { success: true }, msg.requestId);
-          } catch (e: any) {
-            sendToWrapper('outputsCleared', {
-              success: false,
-              error: e.message
-            }, msg.requestId);
-          }
-          break;
-        }
+    window.addEventListener('message', async (event: MessageEvent) => {
+      const msg = event.data;
+      if (!isMessage(msg) || !isAddressedTo(msg, RESPONDER_ID) || !isRequest(msg)) return;
+      if (!isTrusted(event, window.parent)) {
+        console.warn('[zest-bridge-ext] Rejected', msg.action, 'from', event.origin || 'an unknown origin', '(not the wrapper)');
+        return;
+      }
+
+      const handler = handlers[msg.action] as Handler<RequestAction> | undefined;
+      // v1 requests reach every responder; leave this one to the shim
+      if (!handler && msg.to !== RESPONDER_ID) return;
+
+      const rejection = await guard.check(msg);
+      if (rejection) {
+        console.warn('[zest-bridge-ext] Rejected', msg.action + ':', rejection);
+        return;
+      }
+      if (!handler) {
+        reply(msg, { success: false, error: 'Unsupported action: ' + msg.action });
+        return;
+      }
 
-        default:
-          console.warn('[zest-bridge-ext] Unknown action:', msg.action);
+      console.log('[zest-bridge-ext] Received:', msg.action);
+      const problem = validateRequest(msg.action, msg.data || {});
+      if (problem) {
+        reply(msg, { success: false, error: problem });
+        return;
+      }
+      try {
+        reply(msg, await handler(msg.data || {}));
+      } catch (e: any) {
+        console.warn(`[zest-bridge-ext] ${msg.action} failed:`, e);
+        reply(msg, { success: false, error: e.message });
       }
     });
 
@@ -243,7 +578,7 @@ const plugin: JupyterFrontEndPlugin<void> = {
     NotebookActions.executionScheduled.connect((_, args) => {
       const { cell, notebook } = args;
       const cellIndex = notebook.widgets.indexOf(cell);
-      sendToWrapper('cellExecutionScheduled', {
+      emit('cellExecutionScheduled', {
         cellIndex,
         cellType: cell.model.type
       });
@@ -253,7 +588,7 @@ const plugin: JupyterFrontEndPlugin<void> = {
       const { cell, notebook, success } = args;
       const cellIndex = notebook.widgets.indexOf(cell);
       cellExecutionCount++;
-      sendToWrapper('cellExecuted', {
+      emit('cellExecuted', {
         cellIndex,
         cellType: cell.model.type,
         success,
@@ -269,9 +604,9 @@ const plugin: JupyterFrontEndPlugin<void> = {
       if (!panel) return;
 
       // Notify wrapper when notebook is opened
-      sendToWrapper('notebookOpened', {
+      emit('notebookOpened', {
         path: panel.context.path,
-        cellCount: panel.context.model.toJSON()?.cells?.length || 0
+        cellCount: panel.context.model.cells.length
       });
 
       // Monitor content changes for auto-save
@@ -282,7 +617,7 @@ const plugin: JupyterFrontEndPlugin<void> = {
         const currentHash = simpleHash(JSON.stringify(nbJSON));
         if (currentHash !== lastSavedHash) {
           lastSavedHash = currentHash;
-          sendToWrapper('dirty', {
+          emit('dirty', {
             isDirty: true,
             path: panel.context.path
           });
@@ -292,7 +627,7 @@ const plugin: JupyterFrontEndPlugin<void> = {
       // Monitor save events
       panel.context.saveState.connect((_, state) => {
         if (state === 'completed') {
-          sendToWrapper('dirty', {
+          emit('dirty', {
             isDirty: false,
             path: panel.context.path
           });
@@ -300,6 +635,13 @@ const plugin: JupyterFrontEndPlugin<void> = {
       });
     });
 
+    // -------------------------------------------------------------------
+    // Enforce locked cells in every notebook that opens
+    // -------------------------------------------------------------------
+
+    tracker.widgetAdded.connect((_, panel) => watchPanel(panel));
+    tracker.forEach(panel => watchPanel(panel));
+
     // -------------------------------------------------------------------
     // Track kernel status
     // -------------------------------------------------------------------
@@ -308,7 +650,7 @@ const plugin: JupyterFrontEndPlugin<void> = {
       if (!panel) return;
 
       panel.sessionContext.statusChanged.connect((_, status) => {
-        sendToWrapper('kernelStatus', {
+        emit('kernelStatus', {
           status,
           path: panel.context.path
         });
@@ -316,27 +658,81 @@ const plugin: JupyterFrontEndPlugin<void> = {
     });
 
     // -------------------------------------------------------------------
-    // Signal ready to wrapper
+    // Startup progress: the first notebook's kernel
+    // -------------------------------------------------------------------
+
+    /** The notebook JupyterLite opens at start, or null if none opens */
+    function firstNotebook(): Promise<NotebookPanel | null> {
+      if (tracker.currentWidget) return Promise.resolve(tracker.currentWidget);
+      return new Promise(resolve => {
+        const onAdded = (_: unknown, panel: NotebookPanel) => {
+          clearTimeout(timer);
+          tracker.widgetAdded.disconnect(onAdded);
+          resolve(panel);
+        };
+        const timer = setTimeout(() => {
+          tracker.widgetAdded.disconnect(onAdded);
+          resolve(null);
+        }, NOTEBOOK_WAIT_MS);
+        tracker.widgetAdded.connect(onAdded);
+      });
+    }
+
+    /**
+     * Report the kernel's start: `kernel` once it is starting, then
+     * `kernelReady` when it answers kernel_info — Pyodide has loaded, with
+     * the packages the runtime preloads — or when there is no kernel.
+     */
+    async function reportKernelProgress() {
+      const panel = await firstNotebook();
+      if (panel) {
+        emit('progress', { stage: 'kernel' });
+        try {
+          await panel.sessionContext.ready;
+          const kernel = panel.sessionContext.session?.kernel;
+          if (kernel) await kernel.info;
+        } catch (e) {
+          console.warn('[zest-bridge-ext] Kernel did not start:', e);
+        }
+      }
+      emit('progress', { stage: 'kernelReady' });
+    }
+
+    // -------------------------------------------------------------------
+    // Signal ready to wrapper, once every plugin is restored
     // -------------------------------------------------------------------
 
-    setTimeout(() => {
-      sendToWrapper('ready', {
-        version: '1.0.0',
-        capabilities: [
-          'getNotebook',
-          'loadNotebook',
-          'save',
-          'getStatus',
-          'runAll',
-          'clearOutputs',
-          'cellExecutionTracking',
-          'dirtyStateTracking',
-          'kernelStatusTracking'
-        ]
+    app.restored.then(() => {
+      emit('ready', {
+        responder: RESPONDER_ID,
+        version: EXTENSION_VERSION,
+        protocol: { min: MIN_PROTOCOL_VERSION, max: PROTOCOL_VERSION },
+        page: pageId(),
+        capabilities: CAPABILITIES
       });
       console.log('[zest-bridge-ext] Zest bridge extension ready');
-    }, 100);
+      return reportKernelProgress();
+    });
+  }
+};
+
+// -----------------------------------------------------------------------
+// App handle for bridge-shim.js
+// -----------------------------------------------------------------------
+
+/**
+ * Exposes the application as `window.zestJupyterApp`, so bridge-shim.js
+ * can execute commands (docmanager:save, notebook:run-all-cells, ...)
+ * and wait for them, instead of simulating key presses.
+ */
+const appHandlePlugin: JupyterFrontEndPlugin<void> = {
+  id: 'jupyterlite-zest-bridge:app-handle',
+  description: 'Exposes the JupyterLab application to the Zest bridge shim',
+  autoStart: true,
+  activate: (app: JupyterFrontEnd) => {
+    (window as any).zestJupyterApp = app;
+    window.dispatchEvent(new Event('zest-app'));
   }
 };
 
-export default plugin;
+export default [plugin, appHandlePlugin];
@@ -0,0 +1,329 @@
+/**
+ * The zest-jupyter postMessage protocol, typed.
+ *
+ * Mirrors template/protocol.js, which the wrapper pages and bridge-shim.js
+ * load; see there for the handshake and channel security. Keep the two in step: a new request needs
+ * an entry in REQUESTS here and there, and its data and reply types below.
+ */
+
+export const CHANNEL = 'zest-jupyter';
+export const PROTOCOL_VERSION = 2;
+export const MIN_PROTOCOL_VERSION = 1;
+
+/** This side's id in the handshake */
+export const RESPONDER_ID = 'extension';
+
+// -----------------------------------------------------------------------
+// Envelope
+// -----------------------------------------------------------------------
+
+export interface ZestMessage<A extends string = string, D = any> {
+  type: typeof CHANNEL;
+  /** Absent in v1 messages */
+  protocol?: number;
+  action: A;
+  requestId?: string;
+  from?: string;
+  to?: string;
+  /** HMAC of requestId, action, `to` and data (requests after `connect`) */
+  signature?: string;
+  data?: D;
+}
+
+// -----------------------------------------------------------------------
+// Shared data types
+// -----------------------------------------------------------------------
+
+export interface HiddenTest {
+  id: string;
+  notebook: string;
+  points: number;
+  source: string;
+}
+
+export interface TestResult {
+  id: string;
+  passed: boolean;
+  error: string | null;
+  output: string;
+}
+
+/** A teacher's comment on one cell, saved from review.html */
+export interface CellComment {
+  notebook: string;
+  cellId: string | null;
+  cellIndex: number;
+  text: string;
+}
+
+/** One entry of the package's locked-cells.json (see build-tool/lib/notebook.js) */
+export interface LockedCell {
+  lockId: string;
+  index: number;
+  editable: boolean;
+  deletable: boolean;
+  cell: {
+    cell_type: string;
+    source: string | string[];
+    metadata: any;
+    attachments?: any;
+  };
+}
+
+/** A workspace file, as saved in the state's `files` list */
+export interface WorkspaceFile {
+  path: string;
+  name: string;
+  type: string;
+  format: string;
+  content: any;
+  mimetype: string;
+}
+
+/** Every reply carries these when the request failed */
+export interface Failure {
+  success?: false;
+  error?: string;
+}
+
+// -----------------------------------------------------------------------
+// Requests (wrapper → responder): data, and the reply's data
+// -----------------------------------------------------------------------
+
+export interface Requests {
+  connect: { protocol: number; nonce: string };
+  getNotebook: { path?: string };
+  /** `reload` only matters to runtimes that restore by reloading the page */
+  loadNotebook: { notebook: any; path?: string; open?: boolean; reload?: boolean };
+  openNotebook: { path: string };
+  save: { path?: string };
+  getStatus: Record<string, never>;
+  runAll: Record<string, never>;
+  clearOutputs: Record<string, never>;
+  getFiles: { exclude?: string[] };
+  loadFiles: { files: WorkspaceFile[] };
+  runTests: { path?: string; tests: HiddenTest[] };
+  setLockedCells: { notebooks: { [path: string]: LockedCell[] } };
+  showComments: { comments: CellComment[] };
+}
+
+export interface Replies {
+  connect: { protocol: number; capabilities: string[] };
+  getNotebook: { notebook: any | null; path: string | null; cellCount?: number; executionCount?: number; error?: string };
+  /** `reloading`: the page reloads to show the notebook (legacy fallback) */
+  loadNotebook: { success: boolean; path?: string; reloading?: boolean; error?: string };
+  openNotebook: { success: boolean; path?: string; error?: string };
+  save: { success: boolean; notebook?: any; error?: string };
+  getStatus: {
+    hasNotebook: boolean;
+    isDirty: boolean;
+    path: string | null;
+    cellCount?: number;
+    executionCount?: number;
+    kernelStatus?: string;
+  };
+  runAll: { success: boolean; error?: string };
+  clearOutputs: { success: boolean; error?: string };
+  getFiles: { files: WorkspaceFile[]; count?: number; error?: string };
+  loadFiles: { success: boolean; count?: number; error?: string };
+  runTests: { success: boolean; results?: TestResult[]; error?: string };
+  setLockedCells: { success: boolean; count: number };
+  showComments: { success: boolean; count: number };
+}
+
+export type RequestAction = keyof Requests;
+
+/** Request action → reply action, and the request's data schema (see protocol.js) */
+export const REQUESTS: { [A in RequestAction]: { reply: string; data: { [field: string]: string } } } = {
+  connect: { reply: 'connected', data: { protocol: 'number', nonce: 'string' } },
+  getNotebook: { reply: 'notebookContent', data: { path: 'string?' } },
+  loadNotebook: {
+    reply: 'notebookLoaded',
+    data: { notebook: 'object', path: 'string?', open: 'boolean?', reload: 'boolean?' }
+  },
+  openNotebook: { reply: 'notebookSwitched', data: { path: 'string' } },
+  save: { reply: 'saved', data: { path: 'string?' } },
+  getStatus: { reply: 'status', data: {} },
+  runAll: { reply: 'runAllComplete', data: {} },
+  clearOutputs: { reply: 'outputsCleared', data: {} },
+  getFiles: { reply: 'filesContent', data: { exclude: 'array?' } },
+  loadFiles: { reply: 'filesLoaded', data: { files: 'array' } },
+  runTests: { reply: 'testResults', data: { path: 'string?', tests: 'array' } },
+  setLockedCells: { reply: 'lockedCellsSet', data: { notebooks: 'object' } },
+  showComments: { reply: 'commentsShown', data: { comments: 'array' } }
+};
+
+// -----------------------------------------------------------------------
+// Events (responder → wrapper)
+// -----------------------------------------------------------------------
+
+export interface Events {
+  ready: {
+    responder: string;
+    version: string;
+    protocol: { min: number; max: number };
+    page: number;
+    capabilities: string[];
+  };
+  cellExecutionScheduled: { cellIndex: number; cellType: string };
+  cellExecuted: { cellIndex: number; cellType: string; success: boolean; executionCount: number };
+  notebookOpened: { path: string; cellCount: number };
+  dirty: { isDirty: boolean; path: string };
+  kernelStatus: { status: string; path: string };
+  /** Startup progress after `ready`: the kernel is starting, then ready */
+  progress: { stage: 'kernel' | 'kernelReady' };
+}
+
+// -----------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------
+
+export function isMessage(msg: any): msg is ZestMessage {
+  return !!msg && typeof msg === 'object' && msg.type === CHANNEL && typeof msg.action === 'string';
+}
+
+export function isRequest(msg: ZestMessage): msg is ZestMessage<RequestAction> {
+  return Object.prototype.hasOwnProperty.call(REQUESTS, msg.action);
+}
+
+/** True if this responder should answer: addressed to it, or to nobody (v1) */
+export function isAddressedTo(msg: ZestMessage, id: string): boolean {
+  return !msg.to || msg.to === id;
+}
+
+function typeOf(value: any): string {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Check a request's data against its schema.
+ *
+ * @returns The first problem, or null if the data is valid
+ */
+export function validateRequest(action: RequestAction, data: any): string | null {
+  if (typeOf(data) !== 'object') return action + ': data must be an object';
+  const schema = REQUESTS[action].data;
+  for (const field of Object.keys(schema)) {
+    let type = schema[field];
+    const optional = type.endsWith('?');
+    if (optional) type = type.slice(0, -1);
+    const value = data[field];
+    if (value === undefined || value === null) {
+      if (!optional) return action + ': missing ' + field;
+      continue;
+    }
+    if (type !== 'any' && typeOf(value) !== type) {
+      return action + ': ' + field + ' must be ' + (type === 'array' || type === 'object' ? 'an ' : 'a ') + type;
+    }
+  }
+  return null;
+}
+
+/** The highest version both sides speak, or null */
+export function negotiate(requested: number): number | null {
+  const version = Math.min(PROTOCOL_VERSION, requested);
+  return version >= MIN_PROTOCOL_VERSION ? version : null;
+}
+
+/** Identifies this load of the page (the same for the shim) */
+export function pageId(): number {
+  return window.performance.timeOrigin;
+}
+
+// -----------------------------------------------------------------------
+// Channel security (see protocol.js)
+// -----------------------------------------------------------------------
+
+const NONCE_BYTES = 16;
+
+/** The origin of the wrapper and of JupyterLite, and every message's target origin */
+export function origin(): string {
+  return window.location.origin;
+}
+
+/** True if `event` comes from window `source` on our origin */
+export function isTrusted(event: MessageEvent, source: Window): boolean {
+  return event.source === source && event.origin === origin();
+}
+
+function fromHex(text: unknown): Uint8Array | null {
+  if (typeof text !== 'string' || !/^([0-9a-f]{2})+$/.test(text)) return null;
+  const bytes = new Uint8Array(text.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(text.substr(i * 2, 2), 16);
+  return bytes;
+}
+
+/** JSON with object keys sorted: the text protocol.js signs for the same data */
+export function canonicalJson(value: unknown): string {
+  if (Array.isArray(value)) {
+    return '[' + value.map(v => (v === undefined ? 'null' : canonicalJson(v))).join(',') + ']';
+  }
+  if (value && typeof value === 'object') {
+    const obj = value as { [key: string]: unknown };
+    return '{' + Object.keys(obj).sort()
+      .filter(key => obj[key] !== undefined)
+      .map(key => JSON.stringify(key) + ':' + canonicalJson(obj[key]))
+      .join(',') + '}';
+  }
+  return value === undefined ? 'null' : JSON.stringify(value);
+}
+
+function signedText(msg: ZestMessage): Uint8Array {
+  return new TextEncoder().encode([msg.requestId, msg.action, msg.to || '', canonicalJson(msg.data || {})].join('\n'));
+}
+
+export interface Guard {
+  /** Resolves to the reason to reject `msg`, or null to answer it */
+  check(msg: ZestMessage<RequestAction>): Promise<string | null>;
+}
+
+/**
+ * Check incoming requests: the first `connect` starts the session with
+ * its nonce; any other request must be signed with it, and every request
+ * must use a fresh requestId.
+ */
+export function createGuard(): Guard {
+  let session: Promise<CryptoKey> | null = null;
+  let sessionNonce: string | null = null;
+  const seen = new Set<string>();
+
+  function accept(msg: ZestMessage): string | null {
+    if (!msg.requestId || seen.has(msg.requestId)) return 'replayed or missing requestId';
+    seen.add(msg.requestId);
+    return null;
+  }
+
+  return {
+    async check(msg) {
+      if (msg.action === 'connect') {
+        const nonce = msg.data?.nonce;
+        if (typeof nonce !== 'string' || nonce.length < NONCE_BYTES * 2) {
+          return 'connect without a session nonce';
+        }
+        // A repeated connect must belong to the same session
+        if (session) return nonce === sessionNonce ? accept(msg) : 'connect from another session';
+        if (!window.crypto?.subtle) {
+          return 'Web Crypto is unavailable (the page must be served over https or from localhost)';
+        }
+        sessionNonce = nonce;
+        session = window.crypto.subtle.importKey(
+          'raw', new TextEncoder().encode(nonce), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']
+        );
+        try {
+          await session;
+        } catch (e: any) {
+          session = sessionNonce = null;
+          return e.message;
+        }
+        return accept(msg);
+      }
+      if (!session) return 'request before connect';
+      const signature = fromHex(msg.signature);
+      if (!signature) return 'unsigned request';
+      const valid = await window.crypto.subtle.verify('HMAC', await session, signature, signedText(msg));
+      return valid ? accept(msg) : 'bad signature';
+    }
+  };
+}
@@ -1,15 +1,14 @@
 /**
- * bridge-shim.js v3.1 — Direct IndexedDB bridge for JupyterLite
+ * bridge-shim.js v3.3 — Direct IndexedDB bridge for JupyterLite
  *
  * This script runs INSIDE the JupyterLite iframe. It reads/writes notebook
- * and file content directly from JupyterLite's IndexedDB storage, completely
- * bypassing both the ServiceWorker (which drops /api/ requests) and the
- * JupyterLab app object (which isn't exposed globally).
+ * and file content directly from JupyterLite's IndexedDB storage,
+ * bypassing the ServiceWorker (which drops /api/ requests).
  *
  * JupyterLite stores files via localforage in IndexedDB:
  *   - Database name: "JupyterLite Storage" (with possible suffix)
  *   - Object store: "files"
- *   - Keys: file paths (e.g., "assignment.ipynb")
+ *   - Keys: file paths (e.g., "assignment.ipynb", "part1.ipynb")
  *   - Values: IModel objects with { name, path, type, format, content, ... }
  *
  * CRITICAL: We must NOT keep the IndexedDB connection open persistently.
@@ -19,26 +18,70 @@
  * JupyterLite's file operations (including drag-and-drop upload).
  * Instead, we open → operate → close for each operation.
  *
- * To trigger saves (flush in-memory model to IndexedDB), we dispatch
- * Ctrl+S keyboard events which JupyterLab's shortcut system handles.
+ * The shim announces itself (`ready`) once JupyterLab has restored its
+ * plugins. Only runtimes that do not expose the app fall back to a fixed
+ * wait and polling IndexedDB.
+ *
+ * Saving (flushing the in-memory model to IndexedDB), running and clearing
+ * cells go through JupyterLab's command registry: `docmanager:save`,
+ * `notebook:run-all-cells` and so on are executed directly and awaited,
+ * so a reply is only sent once the command has finished. The app is
+ * exposed by the Zest bridge extension, or by JupyterLite itself
+ * (exposeAppInBrowser). Runtimes built before that fall back to a
+ * Ctrl+S key press and a fixed wait.
+ *
+ * Messages follow protocol.js (window.ZestProtocol), which build.js
+ * injects before this script. The wrapper prefers the Zest extension when
+ * it is loaded; requests addressed to it are left alone here. Requests
+ * are only taken from the wrapper (window.parent, same origin) and must
+ * pass the session guard: `connect` first, then signed requests.
+ *
+ * Restored notebooks are written through the contents manager and open
+ * views reread, so the page stays up; only runtimes without the app
+ * handle fall back to writing IndexedDB and reloading.
+ *
+ * Requests may name a notebook with `data.path`; without one they act on
+ * the notebook this page was opened with (the `?path=` URL parameter).
  */
 
 (function () {
   'use strict';
 
-  var NOTEBOOK_PATH = 'assignment.ipynb';
+  var Protocol = window.ZestProtocol;   // protocol.js, injected before this script
+  var RESPONDER_ID = 'shim';
+  var SHIM_VERSION = '3.3.0-indexeddb';
+  var CAPABILITIES = [
+    'getNotebook', 'loadNotebook', 'save', 'getStatus',
+    'runAll', 'clearOutputs', 'getFiles', 'loadFiles'
+  ];
+  var NOTEBOOK_PATH = currentNotebookPath();
   var _ready = false;
   var _dbName = null;     // Discovered database name
+  var _appWait = null;    // Pending wait for the JupyterLab app
+  var _protocol = Protocol.MIN_VERSION;   // Negotiated in `connect`
+  var _guard = Protocol.createGuard();     // Session nonce and request signatures
   var FILES_STORE = 'files';
+  var APP_WAIT_MS = 5000;
+  var APP_POLL_MS = 250;
+  var STARTUP_APP_WAIT_MS = 120000;   // A cold start downloads the whole runtime
+  var DB_RETRY_MS = 500;
+  var LEGACY_START_MS = 4000;         // Runtimes without the app: wait, then poll IndexedDB
+  var LEGACY_DB_RETRY_MS = 2000;
+  var LEGACY_SAVE_WAIT_MS = 1500;
+
+  function currentNotebookPath() {
+    try {
+      var path = new URLSearchParams(window.location.search).get('path');
+      if (path) return path;
+    } catch (e) { /* ok */ }
+    return 'assignment.ipynb';
+  }
 
   function sendToWrapper(action, data, requestId) {
     try {
-      window.parent.postMessage({
-        type: 'zest-jupyter',
-        action: action,
-        data: data || {},
-        requestId: requestId
-      }, '*');
+      var msg = Protocol.message(action, data, { requestId: requestId, from: RESPONDER_ID });
+      msg.protocol = _protocol;
+      window.parent.postMessage(msg, Protocol.origin());
     } catch (e) {
       console.warn('[bridge-shim] postMessage failed:', e);
     }
@@ -253,39 +296,164 @@
   }
 
   // -------------------------------------------------------------------
-  // Keyboard shortcut helpers (for triggering JupyterLab commands)
+  // Command channel — JupyterLab's application and command registry
   // -------------------------------------------------------------------
 
   /**
-   * Dispatch a Ctrl+S keyboard event to trigger JupyterLab save.
+   * The JupyterLab application, if this page exposes it: the Zest bridge
+   * extension sets window.zestJupyterApp, and JupyterLite sets
+   * window.jupyterapp when the runtime config has exposeAppInBrowser.
+   */
+  function jupyterApp() {
+    var app = window.zestJupyterApp || window.jupyterapp || null;
+    return app && app.commands ? app : null;
+  }
+
+  /**
+   * Resolve with the application once its plugins are restored, so every
+   * command is registered. Resolves with null if the app has not appeared
+   * after `waitMs` (default APP_WAIT_MS: a runtime built before it was
+   * exposed); later calls then only check whether it has turned up since.
+   */
+  function whenAppReady(waitMs) {
+    var app = jupyterApp();
+    if (!app && !_appWait) {
+      _appWait = new Promise(function (resolve) {
+        var started = Date.now();
+        // The Zest extension announces its handle; JupyterLite's own
+        // window.jupyterapp has no event, so that one is polled for
+        window.addEventListener('zest-app', function () { resolve(jupyterApp()); });
+        (function poll() {
+          var found = jupyterApp();
+          if (found || Date.now() - started >= (waitMs || APP_WAIT_MS)) {
+            resolve(found);
+          } else {
+            setTimeout(poll, APP_POLL_MS);
+          }
+        })();
+      });
+    }
+    var pending = app ? Promise.resolve(app) : _appWait.then(function () { return jupyterApp(); });
+    return pending.then(function (found) {
+      if (!found) return null;
+      return Promise.resolve(found.restored).then(
+        function () { return found; },
+        function () { return found; }
+      );
+    });
+  }
+
+  /**
+   * Execute a JupyterLab command and wait for it to finish.
+   */
+  function runCommand(id, args) {
+    return whenAppReady().then(function (app) {
+      if (!app) throw new Error('JupyterLab application not available');
+      if (!app.commands.hasCommand(id)) throw new Error('Unknown command: ' + id);
+      console.log('[bridge-shim] Executing', id);
+      return app.commands.execute(id, args || {});
+    });
+  }
+
+  /**
+   * The open document widget for a path in the main area, if any.
+   */
+  function findDocumentWidget(app, path) {
+    var widgets = app.shell.widgets('main');
+    var next;
+    while (!(next = widgets.next()).done) {
+      var context = next.value.context;
+      if (context && context.path === path) return next.value;
+    }
+    return null;
+  }
+
+  /**
+   * Write a notebook's in-memory model to IndexedDB and wait for the
+   * write. A notebook that is not open is already stored as it is.
    */
-  function triggerSave() {
+  function flushNotebook(path) {
+    return whenAppReady().then(function (app) {
+      if (!app) return legacySave();
+      var widget = findDocumentWidget(app, path);
+      if (!widget) return;
+      if (app.shell.currentWidget === widget) return runCommand('docmanager:save');
+      if (widget.context.model.dirty) return widget.context.save();
+    });
+  }
+
+  /**
+   * Restore a notebook in place: write it through the contents manager
+   * and bring an open view of it up to date, so the page does not reload.
+   * Resolves false when the app is not exposed (see loadNotebook).
+   */
+  function loadNotebookLive(notebook, path, open) {
+    return whenAppReady().then(function (app) {
+      if (!app) return false;
+      return app.serviceManager.contents.save(path, { type: 'notebook', format: 'json', content: notebook })
+        .then(function () {
+          // An open view still holds the old model: reread it from the drive
+          var widget = findDocumentWidget(app, path);
+          if (widget) return widget.context.ready.then(function () { return widget.context.revert(); });
+        })
+        .then(function () {
+          if (open) return runCommand('docmanager:open', { path: path });
+        })
+        .then(function () { return true; });
+    });
+  }
+
+  /**
+   * List files written behind JupyterLab's back in the file browser.
+   */
+  function refreshFileBrowser() {
+    return whenAppReady().then(function (app) {
+      if (app && app.commands.hasCommand('filebrowser:refresh')) return runCommand('filebrowser:refresh');
+    }).catch(function (err) {
+      console.warn('[bridge-shim] File browser refresh failed:', err.message);
+    });
+  }
+
+  /**
+   * Write every open document to IndexedDB and wait for the writes.
+   */
+  function flushAll() {
+    return whenAppReady().then(function (app) {
+      return app ? runCommand('docmanager:save-all') : legacySave();
+    });
+  }
+
+  /**
+   * Runtimes that do not expose the app: press Ctrl+S and give
+   * JupyterLab time to write, since there is nothing to wait on.
+   */
+  function legacySave() {
     try {
-      var event = new KeyboardEvent('keydown', {
+      document.dispatchEvent(new KeyboardEvent('keydown', {
         key: 's',
         code: 'KeyS',
         keyCode: 83,
         which: 83,
         ctrlKey: true,
-        metaKey: false,
         bubbles: true,
         cancelable: true
-      });
-      document.dispatchEvent(event);
-      console.log('[bridge-shim] Dispatched Ctrl+S save event');
+      }));
+      console.log('[bridge-shim] No app handle — dispatched Ctrl+S save event');
     } catch (e) {
       console.warn('[bridge-shim] Failed to dispatch save event:', e);
     }
+    return new Promise(function (resolve) { setTimeout(resolve, LEGACY_SAVE_WAIT_MS); });
   }
 
   // -------------------------------------------------------------------
   // Notebook and file operations via IndexedDB
   // -------------------------------------------------------------------
 
-  function getNotebookFromDB() {
-    return readItem(NOTEBOOK_PATH).then(function (model) {
+  function getNotebookFromDB(path) {
+    path = path || NOTEBOOK_PATH;
+    return readItem(path).then(function (model) {
       if (!model) {
-        console.warn('[bridge-shim] No notebook found in IndexedDB at key:', NOTEBOOK_PATH);
+        console.warn('[bridge-shim] No notebook found in IndexedDB at key:', path);
         return null;
       }
       console.log('[bridge-shim] Read notebook from IndexedDB, type:', model.type, 'format:', model.format);
@@ -293,11 +461,12 @@
     });
   }
 
-  function saveNotebookToDB(notebookJSON) {
+  function saveNotebookToDB(notebookJSON, path) {
+    path = path || NOTEBOOK_PATH;
     var now = new Date().toISOString();
     var model = {
-      name: NOTEBOOK_PATH,
-      path: NOTEBOOK_PATH,
+      name: path.split('/').pop(),
+      path: path,
       last_modified: now,
       created: now,
       format: 'json',
@@ -307,16 +476,21 @@
       writable: true,
       type: 'notebook'
     };
-    return writeItem(NOTEBOOK_PATH, model);
+    return writeItem(path, model);
   }
 
-  function getAllFilesFromDB() {
+  /**
+   * Collect uploaded/created files. `exclude` lists the assignment's own
+   * notebooks, which the wrapper saves separately.
+   */
+  function getAllFilesFromDB(exclude) {
+    exclude = exclude || [NOTEBOOK_PATH];
     return getAllItems().then(function (items) {
       var files = [];
       for (var i = 0; i < items.length; i++) {
         var key = items[i].key;
         var model = items[i].value;
-        if (key === NOTEBOOK_PATH) continue;
+        if (exclude.indexOf(key) !== -1) continue;
         if (model && model.type === 'directory') continue;
         if (key.indexOf('.ipynb_checkpoints') !== -1) continue;
         if (key.indexOf('.virtual_documents') !== -1) continue;
@@ -395,44 +569,93 @@
 
   window.addEventListener('message', function (event) {
     var msg = event.data;
-    if (!msg || msg.type !== 'zest-jupyter') return;
+    // Requests for the extension are not ours to answer
+    if (!Protocol.isMessage(msg) || !Protocol.isAddressedTo(msg, RESPONDER_ID)) return;
+    if (!Protocol.REQUESTS[msg.action]) return;
+    // v1 requests reach every responder; leave the extension's to it
+    if (!msg.to && msg.action !== 'connect' && CAPABILITIES.indexOf(msg.action) === -1) return;
+    if (!Protocol.isTrusted(event, window.parent)) {
+      console.warn('[bridge-shim] Rejected', msg.action, 'from', event.origin || 'an unknown origin', '(not the wrapper)');
+      return;
+    }
+
+    _guard.check(msg).then(function (rejection) {
+      if (rejection) {
+        console.warn('[bridge-shim] Rejected', msg.action + ':', rejection);
+        return;
+      }
+      handleRequest(msg);
+    });
+  });
+
+  function handleRequest(msg) {
+    var request = Protocol.REQUESTS[msg.action];
+
+    // Validated before the switch, so cases can rely on required fields
+    var problem = Protocol.validate(msg.action, msg.data || {});
+    if (problem) {
+      if (msg.to === RESPONDER_ID || CAPABILITIES.indexOf(msg.action) !== -1) {
+        sendToWrapper(request.reply, { success: false, error: problem }, msg.requestId);
+      }
+      return;
+    }
 
     console.log('[bridge-shim] Received message:', msg.action);
 
     switch (msg.action) {
+      case 'connect':
+        var version = Protocol.negotiate({ min: msg.data.protocol, max: msg.data.protocol });
+        if (version === null) {
+          sendToWrapper('connected', { success: false, error: 'Protocol ' + msg.data.protocol + ' is not supported' }, msg.requestId);
+          break;
+        }
+        _protocol = version;
+        sendToWrapper('connected', { protocol: version, capabilities: CAPABILITIES }, msg.requestId);
+        break;
+
       case 'getNotebook':
-        triggerSave();
-        setTimeout(function () {
-          getNotebookFromDB()
-            .then(function (notebook) {
-              sendToWrapper('notebookContent', {
-                notebook: notebook,
-                path: NOTEBOOK_PATH,
-                cellCount: notebook && notebook.cells ? notebook.cells.length : 0,
-                executionCount: countExecutions(notebook)
-              }, msg.requestId);
-            })
-            .catch(function (err) {
-              console.warn('[bridge-shim] getNotebook failed:', err);
-              sendToWrapper('notebookContent', {
-                notebook: null,
-                error: err.message
-              }, msg.requestId);
-            });
-        }, 1500);
+        var nbPath = (msg.data && msg.data.path) || NOTEBOOK_PATH;
+        flushNotebook(nbPath)
+          .then(function () { return getNotebookFromDB(nbPath); })
+          .then(function (notebook) {
+            sendToWrapper('notebookContent', {
+              notebook: notebook,
+              path: nbPath,
+              cellCount: notebook && notebook.cells ? notebook.cells.length : 0,
+              executionCount: countExecutions(notebook)
+            }, msg.requestId);
+          })
+          .catch(function (err) {
+            console.warn('[bridge-shim] getNotebook failed:', err);
+            sendToWrapper('notebookContent', {
+              notebook: null,
+              path: nbPath,
+              error: err.message
+            }, msg.requestId);
+          });
         break;
 
       case 'loadNotebook':
-        var nb = msg.data && msg.data.notebook;
-        if (!nb) {
-          sendToWrapper('notebookLoaded', { success: false, error: 'No notebook data' }, msg.requestId);
-          break;
-        }
-        saveNotebookToDB(nb)
-          .then(function () {
-            console.log('[bridge-shim] Notebook written to IndexedDB, reloading...');
-            sendToWrapper('notebookLoaded', { success: true }, msg.requestId);
-            setTimeout(function () { window.location.reload(); }, 500);
+        var nb = msg.data.notebook;
+        var nbTarget = msg.data.path || NOTEBOOK_PATH;
+        loadNotebookLive(nb, nbTarget, msg.data.open !== false)
+          .then(function (live) {
+            if (live) {
+              console.log('[bridge-shim] Notebook restored in place:', nbTarget);
+              sendToWrapper('notebookLoaded', { success: true, path: nbTarget }, msg.requestId);
+              return;
+            }
+            // Runtimes that do not expose the app: write IndexedDB and
+            // reload. `reload: false` lets the wrapper write several
+            // notebooks and reload once after the last one
+            var reload = msg.data.reload !== false;
+            return saveNotebookToDB(nb, nbTarget).then(function () {
+              console.log('[bridge-shim] Notebook written to IndexedDB' + (reload ? ', reloading...' : ''));
+              sendToWrapper('notebookLoaded', { success: true, path: nbTarget, reloading: reload }, msg.requestId);
+              if (reload) {
+                setTimeout(function () { window.location.reload(); }, 500);
+              }
+            });
           })
           .catch(function (err) {
             sendToWrapper('notebookLoaded', { success: false, error: err.message }, msg.requestId);
@@ -440,16 +663,15 @@
         break;
 
       case 'save':
-        triggerSave();
-        setTimeout(function () {
-          getNotebookFromDB()
-            .then(function (notebook) {
-              sendToWrapper('saved', { notebook: notebook, success: true }, msg.requestId);
-            })
-            .catch(function (err) {
-              sendToWrapper('saved', { success: false, error: err.message }, msg.requestId);
-            });
-        }, 1500);
+        var savePath = (msg.data && msg.data.path) || NOTEBOOK_PATH;
+        flushNotebook(savePath)
+          .then(function () { return getNotebookFromDB(savePath); })
+          .then(function (notebook) {
+            sendToWrapper('saved', { notebook: notebook, success: true }, msg.requestId);
+          })
+          .catch(function (err) {
+            sendToWrapper('saved', { success: false, error: err.message }, msg.requestId);
+          });
         break;
 
       case 'getStatus':
@@ -461,6 +683,7 @@
               path: NOTEBOOK_PATH,
               shimMode: true,
               appReady: !!_dbName,
+              commandChannel: !!jupyterApp(),
               dbName: _dbName
             }, msg.requestId);
           })
@@ -471,50 +694,58 @@
               path: NOTEBOOK_PATH,
               shimMode: true,
               appReady: false,
+              commandChannel: !!jupyterApp(),
               dbName: null
             }, msg.requestId);
           });
         break;
 
       case 'runAll':
-        try {
-          var runAllBtn = document.querySelector('[data-command="notebook:run-all-cells"]');
-          if (runAllBtn) runAllBtn.click();
-        } catch (e) { /* ok */ }
-        sendToWrapper('runAllComplete', { success: true }, msg.requestId);
+        // Resolves once every cell has finished running
+        runCommand('notebook:run-all-cells')
+          .then(function () {
+            sendToWrapper('runAllComplete', { success: true }, msg.requestId);
+          })
+          .catch(function (err) {
+            sendToWrapper('runAllComplete', { success: false, error: err.message }, msg.requestId);
+          });
         break;
 
       case 'clearOutputs':
-        try {
-          var clearBtn = document.querySelector('[data-command="notebook:clear-all-cell-outputs"]');
-          if (clearBtn) clearBtn.click();
-        } catch (e) { /* ok */ }
-        sendToWrapper('outputsCleared', { success: true }, msg.requestId);
+        runCommand('notebook:clear-all-cell-outputs')
+          .then(function () {
+            sendToWrapper('outputsCleared', { success: true }, msg.requestId);
+          })
+          .catch(function (err) {
+            sendToWrapper('outputsCleared', { success: false, error: err.message }, msg.requestId);
+          });
         break;
 
       case 'getFiles':
-        triggerSave();
-        setTimeout(function () {
-          getAllFilesFromDB()
-            .then(function (files) {
-              sendToWrapper('filesContent', { files: files, count: files.length }, msg.requestId);
-            })
-            .catch(function (err) {
-              console.warn('[bridge-shim] getFiles failed:', err);
-              sendToWrapper('filesContent', { files: [], error: err.message }, msg.requestId);
-            });
-        }, 1500);
+        var exclude = msg.data && msg.data.exclude;
+        flushAll()
+          .then(function () { return getAllFilesFromDB(exclude); })
+          .then(function (files) {
+            sendToWrapper('filesContent', { files: files, count: files.length }, msg.requestId);
+          })
+          .catch(function (err) {
+            console.warn('[bridge-shim] getFiles failed:', err);
+            sendToWrapper('filesContent', { files: [], error: err.message }, msg.requestId);
+          });
         break;
 
       case 'loadFiles':
-        var filesToLoad = msg.data && msg.data.files;
-        if (!filesToLoad || filesToLoad.length === 0) {
+        var filesToLoad = msg.data.files;
+        if (filesToLoad.length === 0) {
           sendToWrapper('filesLoaded', { success: true, count: 0 }, msg.requestId);
           break;
         }
         restoreFilesToDB(filesToLoad)
           .then(function () {
             console.log('[bridge-shim] Restored', filesToLoad.length, 'files to IndexedDB');
+            return refreshFileBrowser();
+          })
+          .then(function () {
             sendToWrapper('filesLoaded', { success: true, count: filesToLoad.length }, msg.requestId);
           })
           .catch(function (err) {
@@ -522,7 +753,7 @@
           });
         break;
     }
-  });
+  }
 
   // -------------------------------------------------------------------
   // Helper: count cell executions in a notebook
@@ -540,7 +771,14 @@
   // Wait for IndexedDB to be available, then signal ready
   // -------------------------------------------------------------------
 
-  function checkReady() {
+  function announce(hasNotebook, dbName) {
+    sendToWrapper('ready', Protocol.readyData(RESPONDER_ID, SHIM_VERSION, CAPABILITIES, {
+      hasWidget: hasNotebook,
+      dbName: dbName
+    }));
+  }
+
+  function checkReady(retryMs) {
     discoverDatabaseName()
       .then(function (name) {
         if (!_ready) {
@@ -556,37 +794,55 @@
               console.log('[bridge-shim] All keys in files store:', keys);
             }).catch(function () { /* ok */ });
 
-            sendToWrapper('ready', {
-              version: '3.1.0-indexeddb',
-              capabilities: [
-                'getNotebook', 'loadNotebook', 'save', 'getStatus',
-                'runAll', 'clearOutputs', 'getFiles', 'loadFiles'
-              ],
-              hasWidget: hasNotebook,
-              dbName: name
-            });
+            announce(hasNotebook, name);
           }).catch(function () {
-            sendToWrapper('ready', {
-              version: '3.1.0-indexeddb',
-              capabilities: [
-                'getNotebook', 'loadNotebook', 'save', 'getStatus',
-                'runAll', 'clearOutputs', 'getFiles', 'loadFiles'
-              ],
-              hasWidget: false,
-              dbName: name
-            });
+            announce(false, name);
           });
         }
       })
       .catch(function (err) {
         console.log('[bridge-shim] IndexedDB not ready yet:', err.message, '- retrying...');
-        setTimeout(checkReady, 2000);
+        setTimeout(function () { checkReady(retryMs); }, retryMs);
+      });
+  }
+
+  /**
+   * Whether the runtime exposes the JupyterLab app (exposeAppInBrowser in
+   * its jupyter-lite.json, set by build-runtime.js since the command
+   * channel). If it does, the app will turn up, however long the start.
+   */
+  function runtimeExposesApp() {
+    return fetch('../jupyter-lite.json').then(function (res) {
+      return res.ok ? res.json() : {};
+    }).then(function (config) {
+      var data = config['jupyter-config-data'] || {};
+      return String(data.exposeAppInBrowser).toLowerCase() === 'true';
+    }).catch(function () {
+      return false;
+    });
+  }
+
+  /**
+   * Announce once JupyterLab has restored its plugins — by then the drive
+   * has created its database. Runtimes that do not expose the app fall
+   * back to waiting and polling IndexedDB.
+   */
+  function start() {
+    runtimeExposesApp().then(function (exposed) {
+      if (!exposed) {
+        console.log('[bridge-shim] Runtime does not expose the app — polling IndexedDB');
+        setTimeout(function () { checkReady(LEGACY_DB_RETRY_MS); }, LEGACY_START_MS);
+        return;
+      }
+      whenAppReady(STARTUP_APP_WAIT_MS).then(function (app) {
+        console.log('[bridge-shim] JupyterLab app', app ? 'restored' : 'did not appear');
+        checkReady(app ? DB_RETRY_MS : LEGACY_DB_RETRY_MS);
       });
+    });
   }
 
   // Start
-  console.log('[bridge-shim] Zest bridge shim v3.1 loaded (IndexedDB, no persistent connection)');
-  // Give JupyterLite time to initialize and create the IndexedDB
-  setTimeout(checkReady, 4000);
+  console.log('[bridge-shim] Zest bridge shim v3.3 loaded (IndexedDB, no persistent connection)');
+  start();
 
 })();
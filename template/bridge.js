@@ -1,11 +1,16 @@
 /* =========================================================================
    bridge.js — Zest Bridge for JupyterLite Notebook Wrapper
    Integrates JupyterLite with Zest API for:
-   - State persistence (save/load notebook state)
+   - State persistence (save/load notebook state, one or more notebooks)
+   - Offline-resilient save queue with multi-tab/multi-device conflict handling
+   - Compressed, chunked state transport (see transport.js)
+   - Teacher-locked cells (restored from locked-cells.json)
+   - Teacher feedback (rubric scores + cell comments shown inline)
    - Cell execution tracking
    - Interaction counting & time tracking
    - Event logging (ring buffer)
-   - Score/work submission
+   - Version history (bounded, content-deduplicated notebook snapshots)
+   - Score/work submission (with hidden-test autograding)
    - Review mode (read-only notebook display)
    ========================================================================= */
 
@@ -18,36 +23,82 @@
   // Configuration
   // -----------------------------------------------------------------------
   var JUPYTERLITE_URL = 'lite/lab/index.html';
-  var NOTEBOOK_FILE = 'assignment.ipynb';
+  var MANIFEST_FILE = 'zest.json';
+  var DEFAULT_NOTEBOOK_FILE = 'assignment.ipynb';
   var SAVE_DEBOUNCE_MS = 3000;
   var AUTO_SAVE_INTERVAL_MS = 30000;
-  var READY_TIMEOUT_MS = 60000;
+  var READY_TIMEOUT_MS = 60000;              // Overlay fallback, if start-up never reports in
+  var LITE_CONFIG_FILE = 'lite/jupyter-lite.json';
+  var PYODIDE_KERNEL_SETTINGS = '@jupyterlite/pyodide-kernel-extension:kernel';
+  var REQUEST_TIMEOUT_MS = 10000;
+  var RESPONDER_WAIT_MS = 20000;             // For a capability no responder has announced
+  var TESTS_FILE = 'tests.json';
+  var LOCKED_CELLS_FILE = 'locked-cells.json';
+  var TESTS_TIMEOUT_MS = 180000;            // Per notebook: a kernel start, the notebook, the tests
   var MAX_EVENTS = 500;
+  var HISTORY_MAX_ENTRIES = 20;
+  var HISTORY_INTERVAL_MS = 5 * 60 * 1000;   // Min. time between routine snapshots
+  var HISTORY_SHRINK_RATIO = 0.75;           // Snapshot before a save that loses >25% of the text
+  var OUTBOX_KEY_PREFIX = 'zest-jupyterlite-outbox:';
+  var OUTBOX_DB = 'zest-outbox';             // Not one clearJupyterLiteStorage() deletes
+  var CHUNKS_KEY_SUFFIX = ':chunks';         // Outbox-store key of the server's chunk ids
+  var RETRY_BASE_MS = 2000;
+  var RETRY_MAX_MS = 60000;
+  // Saved-state fields kept readable outside the compressed document
+  var STATE_ENVELOPE_FIELDS = ['revision', 'writer', 'lastSaved', 'submitted', 'timeSpent'];
 
   // -----------------------------------------------------------------------
   // State
   // -----------------------------------------------------------------------
   var _zestAvailable = typeof Zest !== 'undefined';
   var _params = {};
+  var _notebookList = [{ path: DEFAULT_NOTEBOOK_FILE, title: null }];  // From zest.json
+  var _currentPath = DEFAULT_NOTEBOOK_FILE;
+  var _lockedCells = {};       // path -> lock records from locked-cells.json
+  var _feedback = null;        // Teacher feedback on the last submission (review.html)
   var _state = {
-    notebook: null,
+    notebooks: {},    // nbformat JSON keyed by path in lite/files/
     files: [],        // Additional files (images, CSVs, etc.) from JupyterLite
     timeSpent: 0,
     interactions: 0,
     cellExecutions: 0,
     lastSaved: null,
-    submitted: false
+    submitted: false,
+    history: { entries: [], blobs: {} }
   };
   var _isReview = false;
   var _saveTimer = null;
   var _timeTimer = null;
   var _autoSaveTimer = null;
   var _jupyterFrame = null;
-  var _jupyterReady = false;
-  var _extensionReady = false;
-  var _requestId = 0;
-  var _pendingRequests = {};
-  var _stateRestored = false;  // Prevents reload loop during state restoration
+  var _lifecycle = 'idle';     // See "JupyterLite Lifecycle"
+  var _kernelReady = false;    // The first notebook's kernel has started
+  var _resolveStateLoaded = null;
+  var _stateLoaded = new Promise(function (resolve) {  // Saved state fetched (startSession)
+    _resolveStateLoaded = resolve;
+  });
+  var _client = ZestProtocol.createClient(function () {
+    return _jupyterFrame && _jupyterFrame.contentWindow;
+  }, {
+    timeoutMs: REQUEST_TIMEOUT_MS,
+    responderWaitMs: RESPONDER_WAIT_MS,
+    logPrefix: '[bridge.js]'
+  });
+
+  // Save queue
+  var _sessionId = Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+  var _outbox = null;          // { state, pending, baseRevision } — newest unsent state
+  var _outboxStore = null;     // IndexedDB (known user) or sessionStorage, see outboxStore()
+  var _outboxKey = null;
+  var _outboxUnstored = false; // The newest outbox could not be written to storage
+  var _outboxWarned = false;
+  var _knownRevision = 0;      // Server revision our state is based on
+  var _tabRevision = 0;        // Newest revision another tab announced saving
+  var _flushing = false;
+  var _saveFailing = false;
+  var _retryTimer = null;
+  var _retryDelay = RETRY_BASE_MS;
+  var _tabChannel = null;
 
   // Event & response tracking
   var _events = [];
@@ -70,40 +121,21 @@
   // -----------------------------------------------------------------------
   // Request/Response helpers for extension communication
   // -----------------------------------------------------------------------
+  // The Zest extension and bridge-shim.js both answer requests from inside
+  // JupyterLite; _client sends each request to one of them (protocol.js).
+  // -----------------------------------------------------------------------
 
-  function sendToExtension(action, data) {
+  /**
+   * Send a request to whichever responder handles `action`. Returns null
+   * when there is no JupyterLite frame.
+   */
+  function sendToExtension(action, data, timeoutMs) {
     if (!_jupyterFrame || !_jupyterFrame.contentWindow) return null;
-
-    var id = 'req_' + (++_requestId);
-    var msg = {
-      type: 'zest-jupyter',
-      action: action,
-      requestId: id,
-      data: data || {}
-    };
-
-    return new Promise(function (resolve, reject) {
-      var timeout = setTimeout(function () {
-        delete _pendingRequests[id];
-        reject(new Error('Extension request timeout: ' + action));
-      }, 10000);
-
-      _pendingRequests[id] = function (responseData) {
-        clearTimeout(timeout);
-        resolve(responseData);
-      };
-
-      _jupyterFrame.contentWindow.postMessage(msg, '*');
-    });
+    return _client.request(action, data, timeoutMs);
   }
 
-  function sendToExtensionNoWait(action, data) {
-    if (!_jupyterFrame || !_jupyterFrame.contentWindow) return;
-    _jupyterFrame.contentWindow.postMessage({
-      type: 'zest-jupyter',
-      action: action,
-      data: data || {}
-    }, '*');
+  function hasCapability(capability) {
+    return _client.has(capability);
   }
 
   // -----------------------------------------------------------------------
@@ -111,24 +143,29 @@
   // -----------------------------------------------------------------------
 
   function handleMessage(event) {
-    if (!_jupyterFrame || event.source !== _jupyterFrame.contentWindow) return;
-
     var msg = event.data;
-    if (!msg || msg.type !== 'zest-jupyter') return;
-
-    // Handle responses to pending requests
-    if (msg.requestId && _pendingRequests[msg.requestId]) {
-      _pendingRequests[msg.requestId](msg.data);
-      delete _pendingRequests[msg.requestId];
+    if (!ZestProtocol.isMessage(msg)) return;
+    if (!_jupyterFrame || !ZestProtocol.isTrusted(event, _jupyterFrame.contentWindow)) {
+      console.warn('[bridge.js] Rejected', msg.action, 'from', event.origin || 'an unknown origin', '(not the JupyterLite frame)');
       return;
     }
 
+    // Handle responses to pending requests
+    if (_client.handleReply(msg)) return;
+
     // Handle events from extension
     switch (msg.action) {
       case 'ready':
-        console.log('[bridge.js] Extension ready, capabilities:', msg.data.capabilities);
-        _extensionReady = true;
-        onExtensionReady();
+        var ready = _client.onReady(msg.data);
+        if (!ready) break;
+        console.log('[bridge.js] Responder ready:', ready.responder.id, ready.responder.version,
+          'protocol', ready.responder.protocol, 'capabilities:', ready.responder.capabilities);
+        if (ready.newPage) {
+          onPageReady();
+        } else {
+          // Joined a page another responder already set up
+          configureResponders();
+        }
         break;
 
       case 'cellExecutionScheduled':
@@ -147,6 +184,10 @@
       case 'notebookOpened':
         console.log('[bridge.js] Notebook opened:', msg.data.path);
         logEvent('notebook_opened', msg.data);
+        if (isListedNotebook(msg.data.path)) {
+          _currentPath = msg.data.path;
+          updateNotebookSwitcher();
+        }
         updateCellInfo(msg.data.cellCount);
         break;
 
@@ -161,12 +202,255 @@
         updateKernelStatus(msg.data.status);
         break;
 
+      case 'progress':
+        onStartupProgress(msg.data.stage);
+        break;
+
       default:
         // Ignore unknown actions
         break;
     }
   }
 
+  // -----------------------------------------------------------------------
+  // Notebook list (multi-notebook assignments)
+  // -----------------------------------------------------------------------
+
+  /**
+   * Read the notebook list that build.js writes into zest.json.
+   * Packages built before multi-notebook support fall back to
+   * assignment.ipynb.
+   */
+  function loadNotebookList() {
+    if (typeof fetch !== 'function') return Promise.resolve();
+    return fetch(MANIFEST_FILE, { cache: 'no-store' }).then(function (res) {
+      return res.ok ? res.json() : null;
+    }).then(function (manifest) {
+      var list = manifest && Array.isArray(manifest.notebooks) ? manifest.notebooks : [];
+      list = list.filter(function (nb) { return nb && nb.path; });
+      if (list.length > 0) {
+        _notebookList = list;
+        _currentPath = list[0].path;
+      }
+    }).catch(function (err) {
+      console.warn('[bridge.js] Could not read notebook list:', err.message);
+    });
+  }
+
+  // -----------------------------------------------------------------------
+  // Locked Cells
+  // -----------------------------------------------------------------------
+  // Cells the teacher marked read-only or undeletable. The extension makes
+  // them read-only in the UI; both it and the wrapper also put the
+  // original content back whenever a notebook is saved or loaded, so
+  // edited saved state (or the shim, which has no UI enforcement) cannot
+  // change them.
+  // -----------------------------------------------------------------------
+
+  function loadLockedCells() {
+    if (typeof fetch !== 'function') return Promise.resolve();
+    return fetch(LOCKED_CELLS_FILE, { cache: 'no-store' }).then(function (res) {
+      return res.ok ? res.json() : null;
+    }).then(function (data) {
+      _lockedCells = (data && data.notebooks) || {};
+    }).catch(function () {
+      _lockedCells = {};
+    });
+  }
+
+  function cellLockId(cell) {
+    return (cell && cell.metadata && cell.metadata.zest && cell.metadata.zest.lockId) || null;
+  }
+
+  function restoreLockedCell(cell, lock) {
+    var restored = JSON.parse(JSON.stringify(lock.cell));
+    for (var key in cell) {
+      if (!(key in restored)) restored[key] = cell[key];
+    }
+    if (restored.cell_type === 'code') {
+      restored.outputs = cell.cell_type === 'code' && cell.outputs ? cell.outputs : [];
+      restored.execution_count = cell.cell_type === 'code' && cell.execution_count !== undefined
+        ? cell.execution_count : null;
+    } else {
+      delete restored.outputs;
+      delete restored.execution_count;
+    }
+    return restored;
+  }
+
+  /**
+   * Return a copy of `notebook` with its locked cells restored: original
+   * source/type/metadata for read-only cells, missing undeletable cells
+   * re-inserted after the previous locked cell, pasted duplicates dropped.
+   * Must match applyLocks() in the extension.
+   */
+  function applyLocks(notebook, path) {
+    var locks = _lockedCells[path];
+    if (!notebook || !Array.isArray(notebook.cells) || !locks || locks.length === 0) {
+      return notebook;
+    }
+    var nb = JSON.parse(JSON.stringify(notebook));
+    var lockIds = {};
+    locks.forEach(function (lock) { lockIds[lock.lockId] = true; });
+    var seen = {};
+    nb.cells = nb.cells.filter(function (cell) {
+      var id = cellLockId(cell);
+      if (!id || !lockIds[id]) return true;
+      if (seen[id]) return false;
+      seen[id] = true;
+      return true;
+    });
+
+    var insertAt = -1;
+    locks.forEach(function (lock) {
+      var index = -1;
+      for (var i = 0; i < nb.cells.length; i++) {
+        if (cellLockId(nb.cells[i]) === lock.lockId) { index = i; break; }
+      }
+      if (index === -1) {
+        if (lock.deletable) return;
+        index = insertAt >= 0 ? insertAt : Math.min(lock.index, nb.cells.length);
+        nb.cells.splice(index, 0, restoreLockedCell({}, lock));
+      } else if (!lock.editable) {
+        nb.cells[index] = restoreLockedCell(nb.cells[index], lock);
+      } else {
+        nb.cells[index].metadata = nb.cells[index].metadata || {};
+        nb.cells[index].metadata.deletable = false;
+      }
+      insertAt = index + 1;
+    });
+    return nb;
+  }
+
+  function isListedNotebook(path) {
+    for (var i = 0; i < _notebookList.length; i++) {
+      if (_notebookList[i].path === path) return true;
+    }
+    return false;
+  }
+
+  function notebookPaths() {
+    return _notebookList.map(function (nb) { return nb.path; });
+  }
+
+  function primaryNotebook() {
+    return _state.notebooks[_notebookList[0].path] || null;
+  }
+
+  function totalCellCount(notebooks) {
+    var count = 0;
+    for (var p in notebooks) {
+      if (notebooks[p] && notebooks[p].cells) count += notebooks[p].cells.length;
+    }
+    return count;
+  }
+
+  /**
+   * Saved states from single-notebook versions kept one `notebook` field.
+   */
+  function migrateState(state) {
+    if (!state.notebooks) {
+      state.notebooks = {};
+      if (state.notebook) {
+        var key = isListedNotebook(DEFAULT_NOTEBOOK_FILE) ? DEFAULT_NOTEBOOK_FILE : _notebookList[0].path;
+        state.notebooks[key] = state.notebook;
+      }
+    }
+    delete state.notebook;
+    if (!state.history || !Array.isArray(state.history.entries)) {
+      state.history = { entries: [], blobs: {} };
+    }
+    return state;
+  }
+
+  /**
+   * Fetch every listed notebook from JupyterLite. Resolves with a map of
+   * path → notebook JSON; notebooks that could not be read are omitted.
+   */
+  function getAllNotebooks() {
+    var paths = notebookPaths();
+    return Promise.all(paths.map(function (path) {
+      return sendToExtension('getNotebook', { path: path }).catch(function (err) {
+        console.warn('[bridge.js] getNotebook failed for', path + ':', err.message);
+        return null;
+      });
+    })).then(function (results) {
+      var notebooks = {};
+      var executionCount = 0;
+      for (var i = 0; i < paths.length; i++) {
+        if (results[i] && results[i].notebook) {
+          notebooks[paths[i]] = applyLocks(results[i].notebook, paths[i]);
+          executionCount = Math.max(executionCount, results[i].executionCount || 0);
+        }
+      }
+      return { notebooks: notebooks, executionCount: executionCount };
+    });
+  }
+
+  function switchNotebook(path) {
+    if (path === _currentPath || !isListedNotebook(path)) return;
+    if (_lifecycle !== 'live') {
+      // Switching now could reload JupyterLite before the work is restored
+      console.warn('[bridge.js] Notebook switch ignored while', _lifecycle);
+      updateNotebookSwitcher();
+      return;
+    }
+    logEvent('notebook_switched', { from: _currentPath, to: path });
+
+    if (hasCapability('openNotebook')) {
+      sendToExtension('openNotebook', { path: path }).then(function (result) {
+        if (result && result.success) {
+          _currentPath = path;
+          updateNotebookSwitcher();
+        } else {
+          reloadWithNotebook(path);
+        }
+      }).catch(function () {
+        reloadWithNotebook(path);
+      });
+      return;
+    }
+
+    reloadWithNotebook(path);
+  }
+
+  /**
+   * Fallback switch: flush the open notebook, then reload JupyterLite
+   * pointed at the other one. Its content is already in IndexedDB.
+   */
+  function reloadWithNotebook(path) {
+    var flush = sendToExtension('save') || Promise.resolve();
+    flush.catch(function () { /* reload anyway */ }).then(function () {
+      setLifecycle('reloading');  // IndexedDB already holds the work
+      _currentPath = path;
+      updateNotebookSwitcher();
+      _jupyterFrame.src = jupyterLiteUrl(path);
+    });
+  }
+
+  function updateNotebookSwitcher() {
+    var select = document.getElementById('notebook-switcher');
+    if (select) select.value = _currentPath;
+  }
+
+  function setupNotebookSwitcher() {
+    var select = document.getElementById('notebook-switcher');
+    if (!select || _notebookList.length < 2) return;
+
+    select.innerHTML = '';
+    _notebookList.forEach(function (nb) {
+      var option = document.createElement('option');
+      option.value = nb.path;
+      option.textContent = nb.title || nb.path;
+      select.appendChild(option);
+    });
+    select.value = _currentPath;
+    select.style.display = '';
+    select.addEventListener('change', function () {
+      switchNotebook(select.value);
+    });
+  }
+
   // -----------------------------------------------------------------------
   // UI Updates
   // -----------------------------------------------------------------------
@@ -193,7 +477,14 @@
     var badge = document.getElementById('save-status');
     if (!badge) return;
 
-    if (status === 'saved') {
+    // Unsent work outranks "Saved"/"Modified" until the outbox drains
+    if (_saveFailing && _outbox && status !== 'syncing') status = 'offline';
+
+    if (status === 'offline') {
+      var n = _outbox ? _outbox.pending : 0;
+      badge.textContent = 'Offline \u2014 ' + n + ' unsaved change' + (n === 1 ? '' : 's');
+      badge.className = 'status-badge offline';
+    } else if (status === 'saved') {
       badge.textContent = 'Saved';
       badge.className = 'status-badge saved';
     } else if (status === 'dirty') {
@@ -202,6 +493,10 @@
     } else if (status === 'syncing') {
       badge.textContent = 'Saving...';
       badge.className = 'status-badge syncing';
+    } else if (status === 'error') {
+      // The work could not be read from JupyterLite; the next save retries
+      badge.textContent = 'Not saved';
+      badge.className = 'status-badge error';
     }
   }
 
@@ -212,9 +507,79 @@
     }
   }
 
+  // -----------------------------------------------------------------------
+  // Loading overlay
+  // -----------------------------------------------------------------------
+  // Shows the start-up stages: runtime (the JupyterLite page), kernel,
+  // packages (only when the runtime preloads some — Pyodide loads them
+  // while the kernel starts, so both finish together) and restoring the
+  // saved work. The overlay goes once the work is live and the kernel is
+  // ready.
+  // -----------------------------------------------------------------------
+
+  function setLoadingStage(stage, state) {
+    var item = document.querySelector('#loading-stages [data-stage="' + stage + '"]');
+    if (!item) return;
+    item.classList.toggle('active', state === 'active');
+    item.classList.toggle('done', state === 'done');
+  }
+
+  /**
+   * List the packages the kernel preloads (build.js writes them into the
+   * package's lite/jupyter-lite.json).
+   */
+  function showPreloadedPackages() {
+    if (typeof fetch !== 'function') return;
+    fetch(LITE_CONFIG_FILE).then(function (res) {
+      return res.ok ? res.json() : null;
+    }).then(function (config) {
+      var plugins = (config && config['jupyter-config-data'] || {}).litePluginSettings || {};
+      var kernel = plugins[PYODIDE_KERNEL_SETTINGS] || {};
+      var packages = (kernel.loadPyodideOptions && kernel.loadPyodideOptions.packages) || [];
+      var item = document.querySelector('#loading-stages [data-stage="packages"]');
+      if (!item || packages.length === 0) return;
+      item.textContent = 'Loading ' + packages.join(', ');
+      item.hidden = false;
+    }).catch(function () { /* no packages to show */ });
+  }
+
+  /**
+   * Replace the loading stages with an error the student can act on.
+   */
+  function showStartupError(message) {
+    var overlay = document.getElementById('loading-overlay');
+    if (!overlay) return;
+    var spinner = overlay.querySelector('.loading-spinner');
+    var text = overlay.querySelector('.loading-text');
+    var stages = document.getElementById('loading-stages');
+    if (spinner) spinner.style.display = 'none';
+    if (stages) stages.hidden = true;
+    if (text) text.textContent = message;
+    overlay.classList.remove('hidden');
+  }
+
+  function onStartupProgress(stage) {
+    if (stage === 'kernel') {
+      setLoadingStage('kernel', 'active');
+      setLoadingStage('packages', 'active');
+    } else if (stage === 'kernelReady') {
+      _kernelReady = true;
+      setLoadingStage('kernel', 'done');
+      setLoadingStage('packages', 'done');
+      maybeDismissLoading();
+    }
+  }
+
+  function maybeDismissLoading() {
+    if (_lifecycle !== 'live') return;
+    // Only the extension reports the kernel; without it there is nothing to wait for
+    if (!_kernelReady && hasCapability('startupProgress')) return;
+    dismissLoading();
+  }
+
   function dismissLoading() {
     var overlay = document.getElementById('loading-overlay');
-    if (overlay) {
+    if (overlay && !overlay.classList.contains('hidden')) {
       overlay.classList.add('hidden');
       setTimeout(function () {
         overlay.style.display = 'none';
@@ -235,15 +600,14 @@
 
   function saveState() {
     if (!_zestAvailable || _isReview) return;
+    // Until the saved work is back in JupyterLite, there is nothing to save
+    if (_lifecycle !== 'live') return;
 
     updateSaveStatus('syncing');
 
     // Get current notebook content and files from extension
-    var nbPromise = sendToExtension('getNotebook').catch(function (err) {
-      console.warn('[bridge.js] getNotebook failed:', err.message);
-      return null;
-    });
-    var filesPromise = sendToExtension('getFiles').catch(function (err) {
+    var nbPromise = getAllNotebooks();
+    var filesPromise = sendToExtension('getFiles', { exclude: notebookPaths() }).catch(function (err) {
       console.warn('[bridge.js] getFiles failed:', err.message);
       return null;
     });
@@ -252,24 +616,419 @@
       var nbData = results[0];
       var filesData = results[1];
 
-      if (nbData && nbData.notebook) {
-        _state.notebook = nbData.notebook;
-        _state.cellExecutions = nbData.executionCount || _state.cellExecutions;
+      for (var path in nbData.notebooks) {
+        updateHistory(path, nbData.notebooks[path]);
+        _state.notebooks[path] = nbData.notebooks[path];
       }
+      _state.cellExecutions = nbData.executionCount || _state.cellExecutions;
       if (filesData && filesData.files) {
         _state.files = filesData.files;
       }
 
-      _state.lastSaved = Date.now();
-      _state.events = _events;
-
       console.log('[bridge.js] Saving state, timeSpent:', _state.timeSpent,
         'cells:', _state.cellExecutions, 'files:', (_state.files || []).length);
-      Zest.saveState(JSON.parse(JSON.stringify(_state)));
+      queueSave();
+    }).catch(function (err) {
+      console.warn('[bridge.js] Save failed:', err.message);
+      updateSaveStatus('error');
+    });
+  }
+
+  // -----------------------------------------------------------------------
+  // Save Queue (durable outbox)
+  // -----------------------------------------------------------------------
+  // Every save goes through the outbox. The newest unsent state is kept in
+  // browser storage that clearJupyterLiteStorage() leaves alone, so a save
+  // that fails (lab Wi-Fi drops, tab closed mid-request) is retried with
+  // backoff and replayed on the next visit. Saves coalesce: only the
+  // newest state is kept, with a count of the changes it carries.
+  //
+  // The outbox outlives the tab (IndexedDB, which has room for a whole
+  // workspace) only when Zest tells us who the student is; otherwise it
+  // uses sessionStorage (same tab only, a few MB), so one student's work
+  // is never replayed into another's session on a shared computer. If the
+  // outbox cannot be stored while saves are failing, the student is told
+  // to keep the tab open.
+  //
+  // The same store keeps the ids of the chunks the last save uploaded
+  // (transport.js), so a replay or the next visit does not upload them
+  // again. Like the outbox, they are scoped to the student.
+  //
+  // Conflicts: each saved state carries a revision and the id of the
+  // session that wrote it. The server copy is read at start-up, and read
+  // again before a save only when another tab of this browser has
+  // announced a newer revision; a newer copy is merged (mergeStateInto)
+  // rather than overwritten. This is a best-effort check, not a lock: the
+  // Zest API has no compare-and-swap, so a save from another computer
+  // after start-up, or one racing ours, is not seen and the last write
+  // wins.
+  // -----------------------------------------------------------------------
+
+  function setupOutbox(context) {
+    var user = context && (context.userId || (context.user && (context.user.id || context.user.sub)));
+    var scope = (user ? user + ':' : '') + window.location.pathname;
+    _outboxKey = OUTBOX_KEY_PREFIX + scope;
+    _outboxStore = outboxStore(!!user);
+    if (!_outboxStore) console.warn('[bridge.js] Browser storage unavailable — outbox kept in memory only');
+
+    window.addEventListener('online', function () {
+      console.log('[bridge.js] Back online — flushing outbox');
+      _retryDelay = RETRY_BASE_MS;
+      flushOutbox();
+    });
+    window.addEventListener('offline', function () {
+      if (_outbox) {
+        _saveFailing = true;
+        updateSaveStatus('offline');
+        warnUnstoredOutbox();
+      }
+    });
+
+    setupTabChannel(scope);
+  }
+
+  /**
+   * Storage for the outbox: get/set/remove by key, each returning a
+   * promise. IndexedDB keeps values as they are; sessionStorage as JSON.
+   * Null if neither is available (storage disabled).
+   */
+  function outboxStore(persistent) {
+    if (persistent && window.indexedDB) {
+      var db = null;
+      var run = function (mode, action) {
+        if (!db) {
+          db = new Promise(function (resolve, reject) {
+            var req = window.indexedDB.open(OUTBOX_DB, 1);
+            req.onupgradeneeded = function () { req.result.createObjectStore('outbox'); };
+            req.onsuccess = function () { resolve(req.result); };
+            req.onerror = function () { reject(req.error); };
+          });
+        }
+        return db.then(function (database) {
+          return new Promise(function (resolve, reject) {
+            var tx = database.transaction('outbox', mode);
+            var req = action(tx.objectStore('outbox'));
+            tx.oncomplete = function () { resolve(req.result); };
+            tx.onerror = tx.onabort = function () { reject(tx.error || new Error('IndexedDB write failed')); };
+          });
+        });
+      };
+      return {
+        get: function (key) { return run('readonly', function (store) { return store.get(key); }); },
+        set: function (key, value) { return run('readwrite', function (store) { return store.put(value, key); }); },
+        remove: function (key) { return run('readwrite', function (store) { return store.delete(key); }); }
+      };
+    }
+
+    var storage = null;
+    try {
+      storage = window.sessionStorage;
+    } catch (e) {
+      return null;
+    }
+    if (!storage) return null;
+    return {
+      get: function (key) {
+        return Promise.resolve().then(function () {
+          var raw = storage.getItem(key);
+          return raw ? JSON.parse(raw) : null;
+        });
+      },
+      set: function (key, value) {
+        return Promise.resolve().then(function () { storage.setItem(key, JSON.stringify(value)); });
+      },
+      remove: function (key) {
+        return Promise.resolve().then(function () { storage.removeItem(key); });
+      }
+    };
+  }
+
+  /**
+   * Resolves with the outbox an earlier visit left, or null.
+   */
+  function readOutbox() {
+    if (!_outboxStore) return Promise.resolve(null);
+    return _outboxStore.get(_outboxKey).catch(function (err) {
+      console.warn('[bridge.js] Could not read outbox:', err && err.message);
+      return null;
+    });
+  }
+
+  /**
+   * Tell transport.js which chunks an earlier page already uploaded.
+   */
+  function readKnownChunks() {
+    if (!_outboxStore) return Promise.resolve();
+    return _outboxStore.get(_outboxKey + CHUNKS_KEY_SUFFIX).then(function (ids) {
+      if (Array.isArray(ids)) ZestTransport.rememberChunks(ids);
+    }).catch(function (err) {
+      console.warn('[bridge.js] Could not read chunk ids:', err && err.message);
+    });
+  }
+
+  function persistKnownChunks(ids) {
+    if (!_outboxStore || !ids) return;
+    _outboxStore.set(_outboxKey + CHUNKS_KEY_SUFFIX, ids).catch(function (err) {
+      console.warn('[bridge.js] Could not persist chunk ids:', err && err.message);
+    });
+  }
+
+  function persistOutbox() {
+    if (!_outboxStore) return;
+    var write = _outbox ? _outboxStore.set(_outboxKey, _outbox) : _outboxStore.remove(_outboxKey);
+    write.then(function () {
+      _outboxUnstored = false;
+      _outboxWarned = false;
+    }, function (err) {
+      // Quota exceeded or storage refused — the in-memory outbox still
+      // retries this session, but would not survive closing the tab
+      console.warn('[bridge.js] Could not persist outbox:', err && err.message);
+      _outboxUnstored = !!_outbox;
+      warnUnstoredOutbox();
+    });
+  }
+
+  /**
+   * Tell the student once when unsent work exists only in this tab.
+   */
+  function warnUnstoredOutbox() {
+    if (!_outboxUnstored || !_saveFailing || _outboxWarned) return;
+    _outboxWarned = true;
+    showNotice('Your latest changes could not be saved or stored on this computer. ' +
+      'Keep this tab open until the toolbar shows "Saved".');
+  }
+
+  /**
+   * Queue the current state for saving and try to send it.
+   */
+  function queueSave() {
+    _state.lastSaved = Date.now();
+    _state.events = _events;
+    _outbox = {
+      state: JSON.parse(JSON.stringify(_state)),
+      pending: (_outbox ? _outbox.pending : 0) + 1,
+      baseRevision: _knownRevision
+    };
+    persistOutbox();
+    flushOutbox();
+  }
+
+  function flushOutbox() {
+    if (!_outbox || _flushing) return;
+    if (_retryTimer) {
+      clearTimeout(_retryTimer);
+      _retryTimer = null;
+    }
+    if (navigator.onLine === false) {
+      _saveFailing = true;
+      updateSaveStatus('offline');
+      warnUnstoredOutbox();
+      scheduleRetry();
+      return;
+    }
+
+    var entry = _outbox;
+    _flushing = true;
+    updateSaveStatus('syncing');
+
+    checkForConflict(entry.state).then(function (state) {
+      state.revision = _knownRevision + 1;
+      state.writer = _sessionId;
+      return sendState(state).then(function () { return state; });
+    }).then(function (state) {
+      _knownRevision = state.revision;
+      _state.revision = state.revision;
+      _state.writer = _sessionId;
+      if (_outbox === entry) {
+        _outbox = null;
+        persistOutbox();
+      }
+      _saveFailing = false;
+      _retryDelay = RETRY_BASE_MS;
+      if (_tabChannel) {
+        _tabChannel.postMessage({ type: 'saved', sessionId: _sessionId, revision: state.revision });
+      }
       updateSaveStatus('saved');
+    }).catch(function (err) {
+      console.warn('[bridge.js] Save failed, will retry:', err && err.message);
+      _saveFailing = true;
+      updateSaveStatus('offline');
+      warnUnstoredOutbox();
+      scheduleRetry();
+    }).then(function () {
+      _flushing = false;
+      // A newer state was queued while this one was in flight
+      if (_outbox && _outbox !== entry && !_retryTimer) flushOutbox();
+    });
+  }
+
+  function scheduleRetry() {
+    if (_retryTimer) return;
+    var delay = _retryDelay;
+    _retryDelay = Math.min(_retryDelay * 2, RETRY_MAX_MS);
+    _retryTimer = setTimeout(function () {
+      _retryTimer = null;
+      flushOutbox();
+    }, delay);
+  }
+
+  /**
+   * Encode (compress, upload changed chunks) and save. Zest.saveState may
+   * return nothing, a promise, or a { success } result.
+   */
+  function sendState(state) {
+    return ZestTransport.encode(state, { keep: STATE_ENVELOPE_FIELDS }).then(function (envelope) {
+      // The chunks are on the server now, even if the save itself fails
+      persistKnownChunks(envelope.chunks);
+      return Zest.saveState(envelope);
+    }).then(function (result) {
+      if (result && result.success === false) {
+        throw new Error(result.error || 'Zest.saveState failed');
+      }
     });
   }
 
+  /**
+   * Resolves with the state to write: `state` itself, or `state` merged
+   * with a newer server copy written by another tab. The server is only
+   * asked when a tab has announced a revision we have not seen.
+   */
+  function checkForConflict(state) {
+    if (_tabRevision <= _knownRevision) return Promise.resolve(state);
+    return Promise.resolve(Zest.loadState()).then(function (envelope) {
+      // revision and writer are kept outside the compressed document
+      if (!envelope || !envelope.revision || envelope.revision <= _knownRevision ||
+          envelope.writer === _sessionId) {
+        return state;
+      }
+      return ZestTransport.decode(envelope).then(function (remote) {
+        return mergeConflict(state, remote);
+      });
+    });
+  }
+
+  function mergeConflict(state, remote) {
+    console.warn('[bridge.js] Conflict: revision', remote.revision, 'written by another session');
+    remote = migrateState(remote);
+    mergeStateInto(state, remote);
+    mergeStateInto(_state, remote);
+    _knownRevision = remote.revision;
+    logEvent('save_conflict', { remoteRevision: remote.revision, remoteSaved: remote.lastSaved || null });
+    showNotice('This assignment was also changed in another tab. ' +
+      'This window\'s work was kept; the other version is in History.', true);
+    return state;
+  }
+
+  /**
+   * Merge `other` into `target` (both migrated states). `target`'s
+   * notebooks stay current; any of `other`'s that differ become history
+   * snapshots so nothing is lost. Histories, files and events are merged;
+   * counters take the larger value.
+   */
+  function mergeStateInto(target, other) {
+    var otherNotebooks = other.notebooks || {};
+    for (var path in otherNotebooks) {
+      if (!otherNotebooks[path]) continue;
+      if (!target.notebooks[path]) {
+        target.notebooks[path] = otherNotebooks[path];
+      } else if (hashString(JSON.stringify(withoutOutputs(target.notebooks[path]))) !==
+                 hashString(JSON.stringify(withoutOutputs(otherNotebooks[path])))) {
+        var entry = recordSnapshot(path, otherNotebooks[path], 'other-session', other.history);
+        if (entry) entry.t = other.lastSaved || entry.t;
+      }
+    }
+
+    // History: union by path + hash + time, oldest first
+    var seen = {};
+    var entries = target.history.entries.concat(other.history.entries).filter(function (e) {
+      var key = e.path + '|' + e.hash + '|' + e.t;
+      if (seen[key]) return false;
+      seen[key] = true;
+      return true;
+    });
+    entries.sort(function (a, b) { return a.t - b.t; });
+    for (var hash in other.history.blobs) {
+      if (!target.history.blobs[hash]) target.history.blobs[hash] = other.history.blobs[hash];
+    }
+    target.history.entries = entries;
+    pruneHistory(target.history);
+
+    // Files: target wins on the same path
+    var filePaths = {};
+    (target.files || []).forEach(function (f) { filePaths[f.path] = true; });
+    target.files = (target.files || []).concat((other.files || []).filter(function (f) {
+      return !filePaths[f.path];
+    }));
+
+    // Events: union, deduplicated, newest MAX_EVENTS
+    var eventKeys = {};
+    var events = (target.events || []).concat(other.events || []).filter(function (ev) {
+      var key = JSON.stringify(ev);
+      if (eventKeys[key]) return false;
+      eventKeys[key] = true;
+      return true;
+    });
+    events.sort(function (a, b) { return a.t - b.t; });
+    target.events = events.slice(-MAX_EVENTS);
+    if (target === _state) _events = target.events;
+
+    target.timeSpent = Math.max(target.timeSpent || 0, other.timeSpent || 0);
+    target.cellExecutions = Math.max(target.cellExecutions || 0, other.cellExecutions || 0);
+    target.interactions = Math.max(target.interactions || 0, other.interactions || 0);
+  }
+
+  /**
+   * On startup, reconcile an outbox left over from an earlier visit with
+   * the state the server returned. Returns the state to work from.
+   */
+  function reconcileOutbox(remote, saved) {
+    var local = migrateState(saved.state);
+    if (!remote || (remote.revision || 0) <= (saved.baseRevision || 0)) {
+      // The server has not moved since — the outbox is simply newer
+      return local;
+    }
+    // Both moved: work from the most recently saved, keep the other in history
+    remote = migrateState(remote);
+    var working = (local.lastSaved || 0) >= (remote.lastSaved || 0) ? local : remote;
+    mergeStateInto(working, working === local ? remote : local);
+    showNotice('Unsaved work from an earlier visit was merged with your saved work. ' +
+      'Older versions are in History.', true);
+    return working;
+  }
+
+  // -----------------------------------------------------------------------
+  // Same-browser tabs
+  // -----------------------------------------------------------------------
+
+  function setupTabChannel(scope) {
+    if (typeof BroadcastChannel === 'undefined') return;
+    _tabChannel = new BroadcastChannel(OUTBOX_KEY_PREFIX + scope);
+    _tabChannel.onmessage = function (event) {
+      var msg = event.data || {};
+      if (msg.sessionId === _sessionId) return;
+      if (msg.type === 'hello') {
+        _tabChannel.postMessage({ type: 'here', sessionId: _sessionId });
+        showNotice('This assignment is also open in another tab. Work in one tab at a time to avoid mixing versions.');
+      } else if (msg.type === 'here') {
+        showNotice('This assignment is already open in another tab. Work in one tab at a time to avoid mixing versions.');
+      } else if (msg.type === 'saved' && msg.revision > _tabRevision) {
+        // Merged into our next save (checkForConflict)
+        _tabRevision = msg.revision;
+      }
+    };
+    _tabChannel.postMessage({ type: 'hello', sessionId: _sessionId });
+  }
+
+  function showNotice(message, withHistory) {
+    var notice = document.getElementById('notice');
+    var text = document.getElementById('notice-text');
+    var historyBtn = document.getElementById('notice-history');
+    if (!notice || !text) return;
+    text.textContent = message;
+    if (historyBtn) historyBtn.style.display = withHistory ? '' : 'none';
+    notice.classList.add('visible');
+  }
+
   // -----------------------------------------------------------------------
   // Time Tracking
   // -----------------------------------------------------------------------
@@ -290,10 +1049,9 @@
   // -----------------------------------------------------------------------
 
   function startAutoSave() {
+    stopAutoSave();
     _autoSaveTimer = setInterval(function () {
-      if (_extensionReady) {
-        saveState();
-      }
+      saveState();
     }, AUTO_SAVE_INTERVAL_MS);
   }
 
@@ -302,58 +1060,395 @@
   }
 
   // -----------------------------------------------------------------------
-  // Extension Ready
+  // Version History
+  // -----------------------------------------------------------------------
+  // Snapshots live in _state.history next to the notebooks, so they are
+  // saved with the Zest state. Entries point at blobs by content hash;
+  // identical notebooks share one blob. Outputs are stripped from
+  // snapshots to keep the state small — they come back on re-run.
   // -----------------------------------------------------------------------
 
-  function onExtensionReady() {
-    console.log('[bridge.js] JupyterLite extension is ready (stateRestored:', _stateRestored, ')');
-    dismissLoading();
-    logEvent('extension_ready');
+  /**
+   * cyrb53 — fast 53-bit string hash, returned as hex.
+   */
+  function hashString(str) {
+    var h1 = 0xdeadbeef;
+    var h2 = 0x41c6ce57;
+    for (var i = 0; i < str.length; i++) {
+      var ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+  }
 
-    // If state was already restored (iframe reloaded after loadNotebook),
-    // just start auto-save and return. This prevents the reload loop:
-    // ready → loadNotebook → write to IndexedDB → reload → ready → ...
-    if (_stateRestored) {
-      console.log('[bridge.js] State already restored, starting auto-save');
-      if (!_isReview) {
-        startAutoSave();
+  function withoutOutputs(notebook) {
+    var copy = JSON.parse(JSON.stringify(notebook));
+    (copy.cells || []).forEach(function (cell) {
+      if (cell.cell_type === 'code') {
+        cell.outputs = [];
+        cell.execution_count = null;
       }
-      return;
+    });
+    return copy;
+  }
+
+  function notebookTextSize(notebook) {
+    var size = 0;
+    ((notebook && notebook.cells) || []).forEach(function (cell) {
+      var src = cell.source;
+      size += Array.isArray(src) ? src.join('').length : (src || '').length;
+    });
+    return size;
+  }
+
+  function latestHistoryEntry(path, history) {
+    var entries = (history || _state.history).entries;
+    for (var i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].path === path) return entries[i];
     }
+    return null;
+  }
 
-    var restorePromises = [];
+  /**
+   * Add a snapshot unless it matches the latest one for that notebook.
+   * `history` defaults to the live state's history.
+   */
+  function recordSnapshot(path, notebook, reason, history) {
+    if (!notebook) return null;
+    history = history || _state.history;
+    var snapshot = withoutOutputs(notebook);
+    var hash = hashString(JSON.stringify(snapshot));
+    var latest = latestHistoryEntry(path, history);
+    if (latest && latest.hash === hash) return latest;
+
+    var entry = {
+      t: Date.now(),
+      path: path,
+      hash: hash,
+      reason: reason,
+      cellCount: (snapshot.cells || []).length
+    };
+    history.blobs[hash] = snapshot;
+    history.entries.push(entry);
+    pruneHistory(history);
+    return entry;
+  }
 
-    // If we have saved notebook state, load it into JupyterLite
-    if (_state.notebook) {
-      _stateRestored = true; // Set BEFORE sending to prevent re-entry
-      console.log('[bridge.js] Restoring saved notebook state');
-      restorePromises.push(
-        sendToExtension('loadNotebook', {
-          notebook: _state.notebook,
-          path: NOTEBOOK_FILE
-        }).then(function (result) {
-          if (result && result.success) {
-            console.log('[bridge.js] Notebook state restored — iframe will reload');
-            logEvent('state_restored', {
-              cellCount: _state.notebook ? (_state.notebook.cells || []).length : 0,
-              fileCount: (_state.files || []).length
-            });
-            // bridge-shim will reload the iframe to pick up the new IndexedDB content.
-            // When it signals ready again, _stateRestored will be true so we skip restore.
-          } else {
-            console.warn('[bridge.js] Notebook restore failed:', result);
-          }
-        }).catch(function (err) {
-          console.warn('[bridge.js] Notebook restore error:', err.message);
-        })
-      );
+  function pruneHistory(history) {
+    if (history.entries.length > HISTORY_MAX_ENTRIES) {
+      history.entries = history.entries.slice(-HISTORY_MAX_ENTRIES);
+    }
+    var used = {};
+    history.entries.forEach(function (e) { used[e.hash] = true; });
+    for (var hash in history.blobs) {
+      if (!used[hash]) delete history.blobs[hash];
+    }
+  }
+
+  /**
+   * Called on every save with the incoming notebook, before it replaces
+   * the last saved one. Keeps the previous version if the new one lost a
+   * large part of the work, and takes a routine snapshot at most every
+   * HISTORY_INTERVAL_MS.
+   */
+  function updateHistory(path, notebook) {
+    var previous = _state.notebooks[path];
+    if (previous && notebookTextSize(notebook) < notebookTextSize(previous) * HISTORY_SHRINK_RATIO) {
+      recordSnapshot(path, previous, 'before-large-change');
+    }
+    var latest = latestHistoryEntry(path);
+    if (!latest || Date.now() - latest.t >= HISTORY_INTERVAL_MS) {
+      recordSnapshot(path, notebook, 'autosave');
+    }
+  }
+
+  function restoreVersion(entry) {
+    var snapshot = _state.history.blobs[entry.hash];
+    if (!snapshot) return;
+
+    // Keep the current version so the restore can itself be undone
+    var current = sendToExtension('getNotebook', { path: entry.path }) || Promise.resolve(null);
+    current.catch(function () { return null; }).then(function (result) {
+      recordSnapshot(entry.path, (result && result.notebook) || _state.notebooks[entry.path], 'before-restore');
+      _state.notebooks[entry.path] = JSON.parse(JSON.stringify(snapshot));
+
+      return sendToExtension('loadNotebook', {
+        notebook: applyLocks(snapshot, entry.path),
+        path: entry.path,
+        open: true,
+        reload: entry.path === _currentPath
+      });
+    }).then(function (result) {
+      if (!result || !result.success) {
+        console.warn('[bridge.js] Version restore failed:', result);
+        return;
+      }
+      if (result.reloading) setLifecycle('reloading');
+      logEvent('version_restored', { path: entry.path, t: entry.t, cellCount: entry.cellCount });
+      if (entry.path !== _currentPath) switchNotebook(entry.path);
+      debouncedSave();
+    }).catch(function (err) {
+      console.warn('[bridge.js] Version restore error:', err.message);
+    });
+  }
+
+  // -----------------------------------------------------------------------
+  // History Panel
+  // -----------------------------------------------------------------------
+
+  var HISTORY_REASONS = {
+    'autosave': 'Autosave',
+    'before-large-change': 'Before large change',
+    'before-restore': 'Before restore',
+    'submission': 'Submitted',
+    'other-session': 'From another tab or computer'
+  };
+
+  function renderSnapshotPreview(container, notebook) {
+    container.innerHTML = '';
+    ((notebook && notebook.cells) || []).forEach(function (cell) {
+      var src = Array.isArray(cell.source) ? cell.source.join('') : (cell.source || '');
+      var el = document.createElement(cell.cell_type === 'code' ? 'pre' : 'div');
+      el.className = 'history-cell ' + cell.cell_type;
+      el.textContent = src || ' ';
+      container.appendChild(el);
+    });
+  }
+
+  function openHistoryPanel() {
+    var panel = document.getElementById('history-panel');
+    var list = document.getElementById('history-list');
+    var preview = document.getElementById('history-preview');
+    var restoreBtn = document.getElementById('history-restore');
+    if (!panel || !list || !preview) return;
+
+    var selected = null;
+    list.innerHTML = '';
+    preview.innerHTML = '<div class="history-empty">Select a version to preview it.</div>';
+    if (restoreBtn) restoreBtn.disabled = true;
+
+    var entries = _state.history.entries.slice().reverse();
+    if (entries.length === 0) {
+      list.innerHTML = '<div class="history-empty">No earlier versions yet. Versions are kept as you work.</div>';
+    }
+
+    entries.forEach(function (entry) {
+      var item = document.createElement('button');
+      item.className = 'history-item';
+      var label = new Date(entry.t).toLocaleString() + ' \u2014 ' +
+        (HISTORY_REASONS[entry.reason] || entry.reason) + ' (' + entry.cellCount + ' cells)';
+      if (_notebookList.length > 1) label = entry.path + ': ' + label;
+      item.textContent = label;
+      item.addEventListener('click', function () {
+        var active = list.querySelector('.history-item.active');
+        if (active) active.classList.remove('active');
+        item.classList.add('active');
+        selected = entry;
+        renderSnapshotPreview(preview, _state.history.blobs[entry.hash]);
+        if (restoreBtn) restoreBtn.disabled = _isReview;
+      });
+      list.appendChild(item);
+    });
+
+    if (restoreBtn) {
+      restoreBtn.onclick = function () {
+        if (!selected) return;
+        panel.classList.remove('visible');
+        restoreVersion(selected);
+      };
+    }
+    panel.classList.add('visible');
+  }
+
+  // -----------------------------------------------------------------------
+  // Teacher Feedback
+  // -----------------------------------------------------------------------
+  // Feedback saved from review.html (Zest.saveFeedback) is shown the next
+  // time the student opens the assignment: cell comments inline in the
+  // notebook (via the extension) and everything in the Feedback panel.
+  // -----------------------------------------------------------------------
+
+  function loadFeedback() {
+    if (typeof Zest.getFeedback !== 'function') return Promise.resolve();
+    return Promise.resolve(Zest.getFeedback()).then(function (feedback) {
+      if (!hasFeedback(feedback)) return;
+      _feedback = feedback;
+      var btn = document.getElementById('btn-feedback');
+      if (btn) btn.style.display = '';
+      logEvent('feedback_received', {
+        comments: (feedback.comments || []).length,
+        score: feedback.score !== undefined ? feedback.score : null
+      });
+      sendFeedbackComments();
+    }).catch(function (err) {
+      console.warn('[bridge.js] Could not load feedback:', err.message);
+    });
+  }
+
+  function hasFeedback(feedback) {
+    if (!feedback) return false;
+    if ((feedback.comments || []).length > 0 || feedback.summary) return true;
+    for (var path in feedback.rubric || {}) {
+      if (Object.keys(feedback.rubric[path]).length > 0) return true;
+    }
+    return false;
+  }
+
+  function sendFeedbackComments() {
+    if (!_feedback || !(_feedback.comments || []).length || !hasCapability('showComments')) return;
+    sendToExtension('showComments', { comments: _feedback.comments }).catch(function (err) {
+      console.warn('[bridge.js] Could not show comments:', err.message);
+    });
+  }
+
+  function rubricFor(path) {
+    for (var i = 0; i < _notebookList.length; i++) {
+      if (_notebookList[i].path === path) return _notebookList[i].rubric || [];
+    }
+    return [];
+  }
+
+  function appendText(parent, tag, className, text) {
+    var el = document.createElement(tag);
+    if (className) el.className = className;
+    el.textContent = text;
+    parent.appendChild(el);
+    return el;
+  }
+
+  function openFeedbackPanel() {
+    var panel = document.getElementById('feedback-panel');
+    var body = document.getElementById('feedback-body');
+    if (!panel || !body || !_feedback) return;
+
+    body.innerHTML = '';
+    if (typeof _feedback.score === 'number') {
+      appendText(body, 'div', 'feedback-score', 'Score: ' + _feedback.score + ' / ' + _feedback.maxScore);
+      var parts = _feedback.scoreParts || {};
+      if (parts.autograde && parts.rubric) {
+        appendText(body, 'div', 'feedback-score-parts', 'Autograde ' + parts.autograde.score + ' / ' +
+          parts.autograde.maxScore + ' + rubric ' + parts.rubric.score + ' / ' + parts.rubric.maxScore);
+      }
+    }
+    if (_feedback.summary) {
+      appendText(body, 'div', 'feedback-summary', _feedback.summary);
+    }
+
+    notebookPaths().forEach(function (path) {
+      var scores = (_feedback.rubric || {})[path] || {};
+      var criteria = rubricFor(path).filter(function (c) { return scores[c.id]; });
+      var comments = (_feedback.comments || []).filter(function (c) { return c.notebook === path; });
+      if (criteria.length === 0 && comments.length === 0) return;
+
+      if (_notebookList.length > 1) appendText(body, 'h4', null, path);
+      criteria.forEach(function (criterion) {
+        var entry = scores[criterion.id];
+        var row = appendText(body, 'div', 'feedback-criterion', criterion.title + ': ' +
+          (typeof entry.score === 'number' ? entry.score : '\u2013') + ' / ' + criterion.points);
+        if (entry.comment) appendText(row, 'div', 'feedback-criterion-comment', entry.comment);
+      });
+      comments.forEach(function (comment) {
+        var row = appendText(body, 'div', 'feedback-cell-comment', comment.text);
+        appendText(row, 'div', 'feedback-cell-ref', 'Cell ' + (comment.cellIndex + 1));
+      });
+    });
+
+    panel.classList.add('visible');
+  }
+
+  // -----------------------------------------------------------------------
+  // JupyterLite Lifecycle
+  // -----------------------------------------------------------------------
+  // Loading JupyterLite and restoring the saved work into it:
+  //
+  //   idle      → booting     JupyterLite starts loading
+  //   booting   → restoring   The first page is ready: restore the saved work
+  //   restoring → live        Work restored in place
+  //   restoring → reloading   A legacy responder reloads the page to show it
+  //   live      → reloading   The page reloads (notebook switch fallback,
+  //                           legacy version restore)
+  //   reloading → live        The reloaded page is ready
+  //
+  // The saved work is restored once, in `restoring`. Responders restore
+  // notebooks in place; only a runtime that cannot (see loadNotebook in
+  // protocol.js) reloads the page, which then finds the work in IndexedDB.
+  // Auto-save runs while `live`.
+  // -----------------------------------------------------------------------
+
+  var LIFECYCLE_TRANSITIONS = {
+    idle: ['booting'],
+    booting: ['restoring'],
+    restoring: ['live', 'reloading'],
+    reloading: ['live'],
+    live: ['reloading']
+  };
+
+  function setLifecycle(state) {
+    if (state === _lifecycle) return;
+    if (LIFECYCLE_TRANSITIONS[_lifecycle].indexOf(state) === -1) {
+      console.warn('[bridge.js] Unexpected lifecycle transition:', _lifecycle, '→', state);
+    }
+    console.log('[bridge.js] Lifecycle:', _lifecycle, '→', state);
+    _lifecycle = state;
+    if (state === 'restoring') setLoadingStage('restoring', 'active');
+    if (state === 'live') {
+      setLoadingStage('restoring', 'done');
+      if (!_isReview) startAutoSave();
+      maybeDismissLoading();
+    }
+  }
+
+  /**
+   * Send the page's settings (locked cells, teacher comments) to the
+   * responders that have announced they handle them. Runs again when
+   * another responder joins the page.
+   */
+  function configureResponders() {
+    if (!_isReview && Object.keys(_lockedCells).length > 0 && hasCapability('setLockedCells')) {
+      sendToExtension('setLockedCells', { notebooks: _lockedCells }).catch(function (err) {
+        console.warn('[bridge.js] Could not send locked cells:', err.message);
+      });
     }
+    sendFeedbackComments();
+  }
+
+  /**
+   * A JupyterLite page has loaded and its first responder is ready.
+   */
+  function onPageReady() {
+    console.log('[bridge.js] JupyterLite page ready (lifecycle:', _lifecycle, ')');
+    setLoadingStage('runtime', 'done');
+    logEvent('extension_ready');
 
-    // If we have saved files (images, CSVs, etc.), restore them too
-    if (_state.files && _state.files.length > 0) {
-      console.log('[bridge.js] Restoring', _state.files.length, 'saved files');
-      restorePromises.push(
-        sendToExtension('loadFiles', {
+    // Every (re)load of the iframe starts fresh responders
+    configureResponders();
+
+    if (_lifecycle === 'booting') {
+      restoreWork();
+    } else {
+      // A reload (or a legacy restore): the work is in IndexedDB already
+      setLifecycle('live');
+    }
+  }
+
+  /**
+   * Load the saved files and notebooks into JupyterLite, then go live, or
+   * wait for the page reload a legacy responder announces. JupyterLite
+   * starts while the state is still being fetched, so this waits for it.
+   */
+  function restoreWork() {
+    setLifecycle('restoring');
+    _stateLoaded.then(function () {
+      var restore = Promise.resolve();
+      var reloading = false;
+
+      // Saved files (images, CSVs, etc.) first, so the notebooks find them
+      if (_state.files && _state.files.length > 0) {
+        console.log('[bridge.js] Restoring', _state.files.length, 'saved files');
+        restore = sendToExtension('loadFiles', {
           files: _state.files
         }).then(function (result) {
           if (result && result.success) {
@@ -364,20 +1459,127 @@
           }
         }).catch(function (err) {
           console.warn('[bridge.js] Files restore error:', err.message);
-        })
-      );
-    }
+        });
+      }
+
+      // Then the notebooks, the open one last: a legacy responder reloads
+      // the page after that write only
+      var paths = Object.keys(_state.notebooks || {}).filter(function (path) {
+        return !!_state.notebooks[path];
+      });
+      paths.sort(function (a, b) {
+        return (a === _currentPath ? 1 : 0) - (b === _currentPath ? 1 : 0);
+      });
+      if (paths.length > 0) {
+        console.log('[bridge.js] Restoring saved notebook state:', paths.join(', '));
+      }
+
+      paths.forEach(function (path, i) {
+        restore = restore.then(function () {
+          return sendToExtension('loadNotebook', {
+            notebook: applyLocks(_state.notebooks[path], path),
+            path: path,
+            open: path === _currentPath,
+            reload: i === paths.length - 1
+          });
+        }).then(function (result) {
+          if (result && result.success) {
+            console.log('[bridge.js] Notebook state restored:', path);
+            if (result.reloading) reloading = true;
+            logEvent('state_restored', {
+              path: path,
+              cellCount: (_state.notebooks[path].cells || []).length,
+              fileCount: (_state.files || []).length
+            });
+          } else {
+            console.warn('[bridge.js] Notebook restore failed:', path, result);
+          }
+        }).catch(function (err) {
+          console.warn('[bridge.js] Notebook restore error:', path, err.message);
+        });
+      });
 
-    // Start auto-save after restore completes (or immediately if nothing to restore)
-    // Note: if loadNotebook triggers a reload, auto-save starts after the second ready signal
-    Promise.all(restorePromises).then(function () {
-      if (!_isReview && !_state.notebook) {
-        // No notebook to restore — start auto-save immediately
-        startAutoSave();
+      return restore.then(function () { return reloading; });
+    }).then(function (reloading) {
+      // A page that came up in the meantime has already made us live
+      if (_lifecycle !== 'restoring') return;
+      setLifecycle(reloading ? 'reloading' : 'live');
+    });
+  }
+
+  // -----------------------------------------------------------------------
+  // Autograding (hidden tests packaged by build.js)
+  // -----------------------------------------------------------------------
+
+  function loadTests() {
+    if (typeof fetch !== 'function') return Promise.resolve(null);
+    return fetch(TESTS_FILE, { cache: 'no-store' }).then(function (res) {
+      return res.ok ? res.json() : null;
+    }).catch(function () {
+      return null;
+    });
+  }
+
+  /**
+   * Run the hidden tests. The extension runs each notebook in a grading
+   * kernel of its own and then its tests, without opening the notebook
+   * or touching the student's kernel.
+   * Resolves with a grading summary, or null if the notebook has no tests.
+   * If the tests cannot be run (a runtime without grading kernels), the
+   * summary carries an error and no score so the submission falls back
+   * to manual grading.
+   */
+  function runHiddenTests() {
+    return loadTests().then(function (suite) {
+      if (!suite || !suite.tests || suite.tests.length === 0) return null;
+      // Older runtimes test the live kernel, which may not have run the
+      // student's cells: their results are no grade
+      if (!hasCapability('gradingKernel')) {
+        throw new Error('This runtime cannot run the tests in a grading kernel');
       }
+
+      updateSubmitProgress('Running tests...');
+
+      var defaultNotebook = _notebookList[0].path;
+      var byNotebook = ZestGrading.testsByNotebook(suite, defaultNotebook);
+      var byPath = {};
+
+      // One notebook at a time: each run starts a kernel of its own
+      var runs = Object.keys(byNotebook).reduce(function (previous, nbPath) {
+        return previous.then(function () {
+          return sendToExtension('runTests', {
+            path: nbPath,
+            tests: byNotebook[nbPath]
+          }, TESTS_TIMEOUT_MS);
+        }).then(function (response) {
+          if (!response || !response.success) {
+            return { error: (response && response.error) || 'Tests could not be run' };
+          }
+          return { results: response.results || [] };
+        }, function (err) {
+          return { error: err.message };
+        }).then(function (run) {
+          if (run.error) console.warn('[bridge.js] Tests for ' + nbPath + ' did not run:', run.error);
+          byPath[nbPath] = run;
+        });
+      }, Promise.resolve());
+
+      return runs.then(function () {
+        return ZestGrading.scoreSuite(suite, byPath, defaultNotebook);
+      });
+    }).catch(function (err) {
+      console.warn('[bridge.js] Autograding failed:', err.message);
+      return { score: null, maxScore: null, results: [], error: err.message };
     });
   }
 
+  function formatTestFeedback(grading) {
+    return grading.results.map(function (r) {
+      var line = (r.passed ? '\u2713 ' : '\u2717 ') + r.id + ' (' + r.points + '/' + r.maxPoints + ')';
+      return r.error ? line + ': ' + r.error : line;
+    }).join('\n');
+  }
+
   // -----------------------------------------------------------------------
   // Submission Progress Overlay
   // -----------------------------------------------------------------------
@@ -426,17 +1628,22 @@
 
     showSubmitProgress('Getting notebook content...');
 
-    // Try to get notebook content AND files from the extension/shim
-    var nbPromise = sendToExtension('getNotebook').catch(function (err) {
-      console.warn('[bridge.js] getNotebook failed:', err.message);
+    // Try to get notebook content AND files from the extension/shim.
+    // Notebooks that could not be read fall back to the last saved state.
+    var nbPromise = getAllNotebooks().then(function (nbData) {
+      var notebooks = {};
+      notebookPaths().forEach(function (path) {
+        var nb = nbData.notebooks[path] || _state.notebooks[path];
+        if (nb) notebooks[path] = nb;
+      });
       return {
-        notebook: _state.notebook,
-        cellCount: _state.notebook ? (_state.notebook.cells || []).length : 0,
-        executionCount: _state.cellExecutions
+        notebooks: notebooks,
+        cellCount: totalCellCount(notebooks),
+        executionCount: nbData.executionCount || _state.cellExecutions
       };
     });
 
-    var filesPromise = sendToExtension('getFiles').catch(function (err) {
+    var filesPromise = sendToExtension('getFiles', { exclude: notebookPaths() }).catch(function (err) {
       console.warn('[bridge.js] getFiles failed:', err.message);
       return { files: _state.files || [] };
     });
@@ -445,23 +1652,44 @@
       var nbData = results[0] || {};
       var filesData = results[1] || {};
       nbData.files = filesData.files || _state.files || [];
-      doSubmit(nbData);
+      return runHiddenTests().then(function (grading) {
+        nbData.grading = grading;
+        doSubmit(nbData);
+      });
+    }).catch(function (err) {
+      // The work could not be collected; nothing was submitted
+      console.error('[bridge.js] Submission failed:', err);
+      showSubmitError(err.message);
+      if (submitBtn) {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Retry Submit';
+      }
     });
   }
 
   function doSubmit(data) {
     var submitBtn = document.getElementById('btn-submit');
-    var notebook = (data && data.notebook) || _state.notebook;
+    var notebooks = (data && data.notebooks) || _state.notebooks;
     var files = (data && data.files) || _state.files || [];
+    var grading = (data && data.grading) || null;
 
-    if (notebook) {
-      _state.notebook = notebook;
+    for (var path in notebooks) {
+      _state.notebooks[path] = notebooks[path];
+      recordSnapshot(path, notebooks[path], 'submission');
     }
+    var notebook = primaryNotebook();
     _state.files = files;
 
     _state.submitted = true;
-    _state.events = _events;
-    _state.lastSaved = Date.now();
+
+    if (grading && grading.score !== null) {
+      logEvent('autograded', {
+        score: grading.score,
+        maxScore: grading.maxScore,
+        passed: grading.results.filter(function (r) { return r.passed; }).length,
+        total: grading.results.length
+      });
+    }
 
     logEvent('submission', {
       cellCount: data ? data.cellCount : 0,
@@ -472,25 +1700,38 @@
     updateSubmitProgress('Saving final state...');
 
     // Save final state (includes notebook + files)
-    Zest.saveState(JSON.parse(JSON.stringify(_state)));
+    queueSave();
 
     updateSubmitProgress('Submitting to gradebook...');
 
-    // Submit work (teacher-graded by default for notebooks)
-    Zest.submitWork({
+    // Submit work (teacher-graded unless hidden tests produced a score)
+    var work = {
       artifacts: {
-        notebook: notebook,
+        notebook: notebook,       // First notebook (single-notebook consumers)
+        notebooks: notebooks,     // Every notebook, keyed by path
         files: files,
         events: _events,
+        history: _state.history,
+        grading: grading,
         stats: {
           timeSpent: _state.timeSpent,
           cellExecutions: _state.cellExecutions,
           interactions: _state.interactions,
-          cellCount: notebook ? (notebook.cells || []).length : 0,
+          cellCount: totalCellCount(notebooks),
+          notebookCount: Object.keys(notebooks).length,
           fileCount: files.length
         }
       }
-    }).then(function (result) {
+    };
+    if (grading && grading.score !== null) {
+      work.score = grading.score;
+      work.maxScore = grading.maxScore;
+      work.feedback = formatTestFeedback(grading);
+    }
+
+    // Artifacts stay plain JSON: Zest and SpeedGrader read
+    // artifacts.notebook directly
+    Promise.resolve(Zest.submitWork(work)).then(function (result) {
       console.log('[bridge.js] Work submitted:', result.success ? 'OK' : result.error);
       if (result.success) {
         showSubmitSuccess();
@@ -520,6 +1761,8 @@
   // -----------------------------------------------------------------------
 
   function setupUI() {
+    setupNotebookSwitcher();
+
     // Save button
     var saveBtn = document.getElementById('btn-save');
     if (saveBtn) {
@@ -528,6 +1771,46 @@
       });
     }
 
+    // History button
+    var historyBtn = document.getElementById('btn-history');
+    if (historyBtn) {
+      historyBtn.addEventListener('click', openHistoryPanel);
+    }
+
+    // Feedback button (shown once there is teacher feedback)
+    var feedbackBtn = document.getElementById('btn-feedback');
+    if (feedbackBtn) {
+      feedbackBtn.addEventListener('click', openFeedbackPanel);
+    }
+    var feedbackClose = document.getElementById('feedback-close');
+    if (feedbackClose) {
+      feedbackClose.addEventListener('click', function () {
+        document.getElementById('feedback-panel').classList.remove('visible');
+      });
+    }
+
+    // Notice toast (conflicts, other tabs)
+    var noticeClose = document.getElementById('notice-close');
+    if (noticeClose) {
+      noticeClose.addEventListener('click', function () {
+        document.getElementById('notice').classList.remove('visible');
+      });
+    }
+    var noticeHistory = document.getElementById('notice-history');
+    if (noticeHistory) {
+      noticeHistory.addEventListener('click', function () {
+        document.getElementById('notice').classList.remove('visible');
+        openHistoryPanel();
+      });
+    }
+    var historyClose = document.getElementById('history-close');
+    if (historyClose) {
+      historyClose.addEventListener('click', function () {
+        var panel = document.getElementById('history-panel');
+        if (panel) panel.classList.remove('visible');
+      });
+    }
+
     // Submit button
     var submitBtn = document.getElementById('btn-submit');
     if (submitBtn) {
@@ -560,6 +1843,7 @@
     if (_isReview) {
       if (saveBtn) saveBtn.style.display = 'none';
       if (submitBtn) submitBtn.style.display = 'none';
+      if (historyBtn) historyBtn.style.display = 'none';
     }
 
     // Note: _state.submitted is reset to false on each new session,
@@ -582,11 +1866,16 @@
     // Listen for postMessage from JupyterLite extension
     window.addEventListener('message', handleMessage);
 
+    Promise.all([loadNotebookList(), loadLockedCells()]).then(startSession);
+  }
+
+  function startSession() {
     if (!_zestAvailable) {
       console.warn('[bridge.js] Zest not available — standalone mode');
       _params = {};
       setupUI();
       loadJupyterLite();
+      _resolveStateLoaded();
       startTimeTracking();
       return;
     }
@@ -600,6 +1889,7 @@
         _params = {};
         setupUI();
         loadJupyterLite();
+        _resolveStateLoaded();
         startTimeTracking();
       }
     }, 5000);
@@ -617,23 +1907,48 @@
       if (_isReview) {
         console.log('[bridge.js] Review mode');
         var submission = Zest.getSubmission();
-
-        // In review mode, load the submitted notebook
-        if (submission && submission.artifacts && submission.artifacts.notebook) {
-          _state.notebook = submission.artifacts.notebook;
-        }
-
-        setupUI();
         loadJupyterLite();
+
+        // In review mode, load the submitted notebooks
+        ZestTransport.decode(submission && submission.artifacts).then(function (artifacts) {
+          if (artifacts) {
+            _state.notebooks = migrateState({
+              notebooks: artifacts.notebooks,
+              notebook: artifacts.notebook
+            }).notebooks;
+          }
+        }).catch(function (err) {
+          console.error('[bridge.js] Could not decode submission:', err);
+        }).then(function () {
+          setupUI();
+          _resolveStateLoaded();
+        });
         return;
       }
 
-      // Student mode: load saved state, then load JupyterLite
+      // Student mode: start JupyterLite (the runtime and Pyodide download)
+      // while the saved state loads; restoring waits for the state
       console.log('[bridge.js] Student mode — loading state');
-      Zest.loadState().then(function (savedState) {
+      setupOutbox(context);
+      loadJupyterLite();
+      Promise.all([
+        Promise.resolve(Zest.loadState()).then(ZestTransport.decode),
+        readOutbox(),
+        readKnownChunks()
+      ]).then(function (loaded) {
+        var savedState = loaded[0];
+        var leftover = loaded[1];
         console.log('[bridge.js] Loaded state:', !!savedState);
+        _knownRevision = (savedState && savedState.revision) || 0;
+
+        if (leftover && leftover.state) {
+          console.log('[bridge.js] Replaying', leftover.pending, 'unsaved change(s) from an earlier visit');
+          savedState = reconcileOutbox(savedState, leftover);
+          _outbox = { state: savedState, pending: leftover.pending || 1, baseRevision: _knownRevision };
+        }
+
         if (savedState) {
-          _state = savedState;
+          _state = migrateState(savedState);
           if (savedState.events) _events = savedState.events;
         }
 
@@ -645,17 +1960,26 @@
           resuming: !!savedState,
           previousTime: savedState ? (savedState.timeSpent || 0) : 0,
           previousExecutions: savedState ? (savedState.cellExecutions || 0) : 0,
-          previousFiles: savedState ? (savedState.files || []).length : 0
+          previousFiles: savedState ? (savedState.files || []).length : 0,
+          notebookCount: _notebookList.length
         });
         startTimeTracking();
         setupUI();
-        loadJupyterLite();
+        _resolveStateLoaded();
+        loadFeedback();
+        if (_outbox) {
+          // Send the replayed work now rather than at the next autosave
+          _outbox.state = JSON.parse(JSON.stringify(_state));
+          persistOutbox();
+          flushOutbox();
+        }
       }).catch(function (err) {
         console.error('[bridge.js] loadState failed:', err);
         logEvent('session_start', { resuming: false });
         startTimeTracking();
         setupUI();
-        loadJupyterLite();
+        _resolveStateLoaded();
+        loadFeedback();
       });
     });
   }
@@ -728,27 +2052,41 @@
     });
   }
 
-  function loadJupyterLite() {
-    // Clear previous user's IndexedDB data before loading JupyterLite
-    clearJupyterLiteStorage().then(function () {
-      var url = JUPYTERLITE_URL;
+  function jupyterLiteUrl(path) {
+    // Add path parameter to open the notebook directly
+    var url = JUPYTERLITE_URL + '?path=' + encodeURIComponent(path);
 
-      // Add path parameter to open the notebook directly
-      url += '?path=' + encodeURIComponent(NOTEBOOK_FILE);
+    // Add kernel parameter if specified
+    if (_params.kernel) {
+      url += '&kernel=' + encodeURIComponent(_params.kernel);
+    }
+    return url;
+  }
 
-      // Add kernel parameter if specified
-      if (_params.kernel) {
-        url += '&kernel=' + encodeURIComponent(_params.kernel);
-      }
+  function loadJupyterLite() {
+    // Requests to JupyterLite are signed (protocol.js), which needs Web Crypto
+    if (!ZestProtocol.canSign()) {
+      console.error('[bridge.js] Web Crypto is unavailable — not starting JupyterLite');
+      showStartupError('This notebook cannot start here: the page must be served over https. ' +
+        'Ask your teacher or administrator to check the address of this assignment.');
+      return;
+    }
+    showPreloadedPackages();
 
+    // Clear previous user's IndexedDB data before loading JupyterLite
+    clearJupyterLiteStorage().then(function () {
+      var url = jupyterLiteUrl(_currentPath);
       console.log('[bridge.js] Loading JupyterLite:', url);
+      setLifecycle('booting');
+      setLoadingStage('runtime', 'active');
       _jupyterFrame.src = url;
 
-      // Fallback: if extension doesn't signal ready, dismiss loading after timeout
+      // Fallback: if start-up never completes, dismiss loading after
+      // timeout. A late ready still restores the work.
       setTimeout(function () {
-        if (!_extensionReady) {
-          console.warn('[bridge.js] Extension ready timeout — dismissing loading');
-          _extensionReady = true;
+        var overlay = document.getElementById('loading-overlay');
+        if (overlay && !overlay.classList.contains('hidden')) {
+          console.warn('[bridge.js] Start-up timeout (lifecycle:', _lifecycle, 'kernel ready:', _kernelReady, ') — dismissing loading');
           dismissLoading();
         }
       }, READY_TIMEOUT_MS);
@@ -764,11 +2102,11 @@
     stopAutoSave();
     if (_saveTimer) clearTimeout(_saveTimer);
 
-    // Final save
+    // Final save — queued synchronously and written to the outbox (to be
+    // replayed next visit) if the storage write lands before the page goes;
+    // otherwise the previous autosave's outbox is what survives
     if (_zestAvailable && _state.timeSpent > 0 && !_isReview) {
-      _state.lastSaved = Date.now();
-      _state.events = _events;
-      Zest.saveState(JSON.parse(JSON.stringify(_state)));
+      queueSave();
     }
   });
 
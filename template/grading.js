@@ -0,0 +1,83 @@
+/* =========================================================================
+   grading.js — Scoring for the hidden autograder tests
+   Used by bridge.js when a student submits. Kept free of the DOM and the
+   Zest API so it can be tested in Node. Exposes window.ZestGrading:
+
+     testsByNotebook(suite, defaultNotebook) -> { path: [test, ...] }
+     scoreSuite(suite, runs, defaultNotebook) -> { score, maxScore, results }
+
+   Each notebook's tests run in a kernel of their own. scoreSuite takes
+   the settled outcome of every run — { results: [...] } or
+   { error: 'message' } keyed by notebook path. A failed run (kernel
+   crash, timeout) says nothing about the student's work, so the suite
+   then gets no score and the submission goes to manual grading; the
+   results that did come in are kept, and the failed notebook's tests
+   carry its error.
+   ========================================================================= */
+
+(function () {
+  'use strict';
+
+  var NOT_RUN = 'Test did not run';
+
+  /**
+   * Group a suite's tests by the notebook they run in. Tests without a
+   * notebook belong to defaultNotebook (single-notebook packages).
+   */
+  function testsByNotebook(suite, defaultNotebook) {
+    var byNotebook = {};
+    suite.tests.forEach(function (test) {
+      var nbPath = test.notebook || defaultNotebook;
+      (byNotebook[nbPath] = byNotebook[nbPath] || []).push(test);
+    });
+    return byNotebook;
+  }
+
+  function maxScoreOf(suite) {
+    return suite.totalPoints || suite.tests.reduce(function (sum, t) {
+      return sum + (t.points || 0);
+    }, 0);
+  }
+
+  /**
+   * Score a suite from the settled per-notebook runs. If any notebook's
+   * tests could not be run, the summary carries that error and no score.
+   */
+  function scoreSuite(suite, runs, defaultNotebook) {
+    var paths = Object.keys(runs);
+    var failed = paths.filter(function (p) { return runs[p].error; });
+
+    var byId = {};
+    paths.forEach(function (p) {
+      (runs[p].results || []).forEach(function (r) { byId[p + '\n' + r.id] = r; });
+    });
+
+    var score = 0;
+    var results = suite.tests.map(function (test) {
+      var nbPath = test.notebook || defaultNotebook;
+      var run = runs[nbPath] || {};
+      var r = byId[nbPath + '\n' + test.id] || null;
+      var passed = !!(r && r.passed);
+      var earned = passed ? (test.points || 0) : 0;
+      score += earned;
+      return {
+        id: test.id,
+        notebook: test.notebook,
+        passed: passed,
+        points: earned,
+        maxPoints: test.points || 0,
+        error: r ? (r.error || null) : (run.error || NOT_RUN)
+      };
+    });
+
+    if (failed.length > 0) {
+      return { score: null, maxScore: null, results: results, error: runs[failed[0]].error };
+    }
+    return { score: score, maxScore: maxScoreOf(suite), results: results };
+  }
+
+  window.ZestGrading = {
+    testsByNotebook: testsByNotebook,
+    scoreSuite: scoreSuite
+  };
+})();
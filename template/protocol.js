@@ -0,0 +1,599 @@
+/* =========================================================================
+   protocol.js — The zest-jupyter postMessage protocol
+   Shared by the wrapper pages (bridge.js, review.html) and
+   bridge-shim.js inside JupyterLite. extension/src/protocol.ts declares
+   the same messages for the TypeScript extension; keep the two in step.
+   Exposes window.ZestProtocol.
+
+   Every message is
+     { type: 'zest-jupyter', protocol, action, requestId?, from?, to?, data }
+
+   Two responders live in the JupyterLite page and can answer requests:
+   the Zest extension and bridge-shim.js. The handshake:
+
+     1. Each responder posts `ready` with its id, the range of protocol
+        versions it speaks, its capabilities and `page` (the page's
+        performance.timeOrigin, the same for every responder in one load
+        of the iframe).
+     2. The wrapper sends each responder `connect` with the highest
+        version both sides speak; the reply confirms it.
+     3. Each request goes to one responder: the most preferred one
+        (RESPONDERS order) whose capabilities include the action. Requests
+        carry `to`; a responder ignores requests addressed to another one,
+        so each request gets exactly one reply. Replies and events carry
+        `from`.
+
+   The channel is locked to the package (see "Channel security" below):
+   messages go to, and are accepted from, the page's own origin and the
+   expected window only; `connect` hands each responder the wrapper's
+   session nonce, and every later request — id, action, addressee and
+   data — is signed with it.
+
+   Version 1 is the protocol before the handshake: `ready` without a
+   version range, requests without `to`, answered by every responder.
+   Responders still answer unaddressed requests, and the wrapper treats a
+   v1 `ready` as before.
+
+   createClient() is the wrapper's side of the handshake and routing.
+
+   Data schemas use a small notation: 'string', 'number', 'boolean',
+   'object', 'array' or 'any', with a trailing '?' for optional fields.
+   ========================================================================= */
+
+(function () {
+  'use strict';
+
+  var CHANNEL = 'zest-jupyter';
+  var VERSION = 2;
+  var MIN_VERSION = 1;
+
+  // Preferred first: the extension works on the live notebook models
+  var RESPONDERS = ['extension', 'shim'];
+
+  // -----------------------------------------------------------------------
+  // Requests (wrapper → responder) and their replies
+  // -----------------------------------------------------------------------
+  var REQUESTS = {
+    connect: { reply: 'connected', data: { protocol: 'number', nonce: 'string' } },
+    getNotebook: { reply: 'notebookContent', data: { path: 'string?' } },
+    // Restored in place. Only a shim without the JupyterLab app writes
+    // IndexedDB and reloads the page (unless reload is false); its reply
+    // then says `reloading: true`
+    loadNotebook: {
+      reply: 'notebookLoaded',
+      data: { notebook: 'object', path: 'string?', open: 'boolean?', reload: 'boolean?' }
+    },
+    openNotebook: { reply: 'notebookSwitched', data: { path: 'string' } },
+    save: { reply: 'saved', data: { path: 'string?' } },
+    getStatus: { reply: 'status', data: {} },
+    runAll: { reply: 'runAllComplete', data: {} },
+    clearOutputs: { reply: 'outputsCleared', data: {} },
+    getFiles: { reply: 'filesContent', data: { exclude: 'array?' } },
+    loadFiles: { reply: 'filesLoaded', data: { files: 'array' } },
+    runTests: { reply: 'testResults', data: { path: 'string?', tests: 'array' } },
+    setLockedCells: { reply: 'lockedCellsSet', data: { notebooks: 'object' } },
+    showComments: { reply: 'commentsShown', data: { comments: 'array' } }
+  };
+
+  // -----------------------------------------------------------------------
+  // Events (responder → wrapper, no requestId)
+  // -----------------------------------------------------------------------
+  var EVENTS = {
+    ready: {
+      responder: 'string?',
+      version: 'string?',
+      protocol: 'object?',     // { min, max }; absent in v1
+      page: 'number?',
+      capabilities: 'array'
+    },
+    cellExecutionScheduled: { cellIndex: 'number', cellType: 'string' },
+    cellExecuted: { cellIndex: 'number', cellType: 'string', success: 'boolean', executionCount: 'number' },
+    notebookOpened: { path: 'string', cellCount: 'number' },
+    dirty: { isDirty: 'boolean', path: 'string' },
+    kernelStatus: { status: 'string', path: 'string' },
+    // Startup progress after `ready`: 'kernel' (starting), then 'kernelReady'
+    progress: { stage: 'string' }
+  };
+
+  // -----------------------------------------------------------------------
+  // Messages
+  // -----------------------------------------------------------------------
+
+  function isMessage(msg) {
+    return !!msg && typeof msg === 'object' && msg.type === CHANNEL && typeof msg.action === 'string';
+  }
+
+  /**
+   * Build a message. `fields` may set requestId, from, to and signature.
+   */
+  function message(action, data, fields) {
+    var msg = { type: CHANNEL, protocol: VERSION, action: action, data: data || {} };
+    fields = fields || {};
+    if (fields.requestId) msg.requestId = fields.requestId;
+    if (fields.from) msg.from = fields.from;
+    if (fields.to) msg.to = fields.to;
+    if (fields.signature) msg.signature = fields.signature;
+    return msg;
+  }
+
+  /**
+   * True if responder `id` should answer `msg`: it is addressed to it, or
+   * to nobody (v1).
+   */
+  function isAddressedTo(msg, id) {
+    return !msg.to || msg.to === id;
+  }
+
+  function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+  }
+
+  /**
+   * Check a request's or event's data against its schema.
+   *
+   * @returns {string|null} The first problem, or null if the data is valid
+   */
+  function validate(action, data) {
+    var schema = REQUESTS[action] ? REQUESTS[action].data : EVENTS[action];
+    if (!schema) return 'Unknown action: ' + action;
+    if (typeOf(data) !== 'object') return action + ': data must be an object';
+    for (var field in schema) {
+      var type = schema[field];
+      var optional = type.charAt(type.length - 1) === '?';
+      if (optional) type = type.slice(0, -1);
+      var value = data[field];
+      if (value === undefined || value === null) {
+        if (!optional) return action + ': missing ' + field;
+        continue;
+      }
+      if (type !== 'any' && typeOf(value) !== type) {
+        return action + ': ' + field + ' must be ' + (type === 'array' || type === 'object' ? 'an ' : 'a ') + type;
+      }
+    }
+    return null;
+  }
+
+  // -----------------------------------------------------------------------
+  // Handshake
+  // -----------------------------------------------------------------------
+
+  /**
+   * The version range a `ready` advertises; v1 responders send none.
+   */
+  function readyRange(data) {
+    var range = data && data.protocol;
+    if (range && typeof range.min === 'number' && typeof range.max === 'number') return range;
+    return { min: 1, max: 1 };
+  }
+
+  /**
+   * The highest version both this side and `range` speak, or null.
+   */
+  function negotiate(range) {
+    var version = Math.min(VERSION, range.max);
+    return version >= Math.max(MIN_VERSION, range.min) ? version : null;
+  }
+
+  /**
+   * Order two responder ids by preference (negative if `a` is preferred).
+   */
+  function compareResponders(a, b) {
+    var ia = RESPONDERS.indexOf(a);
+    var ib = RESPONDERS.indexOf(b);
+    return (ia === -1 ? RESPONDERS.length : ia) - (ib === -1 ? RESPONDERS.length : ib);
+  }
+
+  /**
+   * The `ready` data a responder announces itself with.
+   */
+  function readyData(responder, version, capabilities, extra) {
+    var data = {
+      responder: responder,
+      version: version,
+      protocol: { min: MIN_VERSION, max: VERSION },
+      page: pageId(),
+      capabilities: capabilities
+    };
+    for (var key in extra || {}) data[key] = extra[key];
+    return data;
+  }
+
+  /**
+   * Identifies one load of the page: every responder in it reports the
+   * same value, and a reload changes it.
+   */
+  function pageId() {
+    return window.performance.timeOrigin;
+  }
+
+  // -----------------------------------------------------------------------
+  // Channel security
+  // -----------------------------------------------------------------------
+  // The wrapper and JupyterLite are served from the same package, so both
+  // ends share an origin. Messages are posted with that origin as target,
+  // and only accepted from it and from the expected window: the iframe on
+  // the wrapper's side, window.parent on a responder's.
+  //
+  // On top of that, the wrapper draws a nonce for its session and sends it
+  // in `connect`. Every later request carries `signature`, an HMAC-SHA-256
+  // keyed with the nonce over its requestId, action, `to` and the
+  // canonical JSON of its data. A responder rejects requests before
+  // `connect`, unsigned or badly signed ones, and request ids it has
+  // already answered.
+  //
+  // Threat model. The origin and window checks keep out other sites (a
+  // page that frames the wrapper, windows it opens). The signatures are
+  // aimed at script on the package's own origin that starts after the
+  // handshake — a notebook's JavaScript output, say: it never sees the
+  // nonce, which lives in the wrapper's closure and crossed the channel
+  // once, before any student code ran, so it can neither forge requests
+  // to the responders nor change or replay the wrapper's. Script that was
+  // listening before `connect`, or that can run code inside the wrapper
+  // page itself, is out of scope: same-origin script can do anything the
+  // wrapper can. Replies and events are not signed.
+  //
+  // Signing needs Web Crypto, which browsers only provide on https:// and
+  // http://localhost pages; canSign() tells the wrapper to say so.
+  // -----------------------------------------------------------------------
+
+  var NONCE_BYTES = 16;
+
+  /**
+   * The origin both ends of the channel are served from, and the target
+   * origin of every message.
+   */
+  function origin() {
+    return window.location.origin;
+  }
+
+  /**
+   * True if `event` comes from window `source` on our origin.
+   */
+  function isTrusted(event, source) {
+    return !!source && event.source === source && event.origin === origin();
+  }
+
+  function toHex(buffer) {
+    var bytes = new Uint8Array(buffer);
+    var out = '';
+    for (var i = 0; i < bytes.length; i++) out += ('0' + bytes[i].toString(16)).slice(-2);
+    return out;
+  }
+
+  function fromHex(text) {
+    if (typeof text !== 'string' || !/^([0-9a-f]{2})+$/.test(text)) return null;
+    var bytes = new Uint8Array(text.length / 2);
+    for (var i = 0; i < bytes.length; i++) bytes[i] = parseInt(text.substr(i * 2, 2), 16);
+    return bytes;
+  }
+
+  function createNonce() {
+    var bytes = new Uint8Array(NONCE_BYTES);
+    window.crypto.getRandomValues(bytes);
+    return toHex(bytes);
+  }
+
+  /**
+   * JSON with object keys sorted, so both ends sign the same text for the
+   * same data (protocol.ts has the same).
+   */
+  function canonicalJson(value) {
+    if (Array.isArray(value)) {
+      return '[' + value.map(function (v) { return v === undefined ? 'null' : canonicalJson(v); }).join(',') + ']';
+    }
+    if (value && typeof value === 'object') {
+      return '{' + Object.keys(value).sort().filter(function (key) {
+        return value[key] !== undefined;
+      }).map(function (key) {
+        return JSON.stringify(key) + ':' + canonicalJson(value[key]);
+      }).join(',') + '}';
+    }
+    return value === undefined ? 'null' : JSON.stringify(value);
+  }
+
+  function signedText(requestId, action, to, data) {
+    return new TextEncoder().encode([requestId, action, to || '', canonicalJson(data || {})].join('\n'));
+  }
+
+  /**
+   * True if this page can sign requests (Web Crypto is available).
+   */
+  function canSign() {
+    return !!(window.crypto && window.crypto.subtle);
+  }
+
+  /**
+   * HMAC signer for a session nonce. Needs Web Crypto, which browsers
+   * only provide on https:// and http://localhost pages.
+   *
+   * @returns {Promise<{sign: function, verify: function}>}
+   */
+  function createSigner(nonce) {
+    if (!canSign()) {
+      return Promise.reject(new Error('Web Crypto is unavailable (the page must be served over https or from localhost)'));
+    }
+    var subtle = window.crypto.subtle;
+    return subtle.importKey('raw', new TextEncoder().encode(nonce),
+      { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']
+    ).then(function (key) {
+      return {
+        /** @returns {Promise<string>} The signature, hex-encoded */
+        sign: function (requestId, action, to, data) {
+          return subtle.sign('HMAC', key, signedText(requestId, action, to, data)).then(toHex);
+        },
+        /** @returns {Promise<boolean>} */
+        verify: function (requestId, action, to, data, signature) {
+          var bytes = fromHex(signature);
+          if (!bytes) return Promise.resolve(false);
+          return subtle.verify('HMAC', key, bytes, signedText(requestId, action, to, data));
+        }
+      };
+    });
+  }
+
+  /**
+   * A responder's check of incoming requests (bridge-shim.js; the
+   * extension has the same in protocol.ts).
+   *
+   * The first `connect` starts the session with its nonce; any other
+   * request must be signed with it, and every request must use a fresh
+   * requestId.
+   *
+   * @returns {{ check: function(object): Promise<string|null> }} check()
+   *   resolves to the reason to reject a request, or null to answer it
+   */
+  function createGuard() {
+    var session = null;   // Promise of the signer, once connected
+    var sessionNonce = null;
+    var seen = {};        // requestIds already accepted
+
+    function accept(msg) {
+      if (!msg.requestId || seen[msg.requestId]) return 'replayed or missing requestId';
+      seen[msg.requestId] = true;
+      return null;
+    }
+
+    return {
+      check: function (msg) {
+        if (msg.action === 'connect') {
+          var nonce = msg.data && msg.data.nonce;
+          if (typeof nonce !== 'string' || nonce.length < NONCE_BYTES * 2) {
+            return Promise.resolve('connect without a session nonce');
+          }
+          // A repeated connect must belong to the same session
+          if (session) return Promise.resolve(nonce === sessionNonce ? accept(msg) : 'connect from another session');
+          sessionNonce = nonce;
+          session = createSigner(nonce);
+          return session.then(function () {
+            return accept(msg);
+          }, function (err) {
+            return err.message;
+          });
+        }
+        if (!session) return Promise.resolve('request before connect');
+        if (typeof msg.signature !== 'string') return Promise.resolve('unsigned request');
+        return session.then(function (signer) {
+          return signer.verify(msg.requestId, msg.action, msg.to, msg.data, msg.signature);
+        }).then(function (valid) {
+          return valid ? accept(msg) : 'bad signature';
+        }, function (err) {
+          return err.message;
+        });
+      }
+    };
+  }
+
+  // -----------------------------------------------------------------------
+  // Wrapper side: responders and request routing
+  // -----------------------------------------------------------------------
+
+  /**
+   * Client for a page that embeds JupyterLite (bridge.js, review.html).
+   * It records the responders of the current JupyterLite page, negotiates
+   * a version with each (`connect`) and sends every request to one of
+   * them: the most preferred responder that has the capability. A
+   * capability nobody has announced yet is waited for, since the shim
+   * announces itself seconds after the extension. Requests to v2
+   * responders are signed with the session nonce (see Channel security).
+   *
+   * @param {function(): Window|null} target - The JupyterLite window
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs=10000] - Default request timeout
+   * @param {number} [options.responderWaitMs=20000] - How long to wait for
+   *   a responder with a capability
+   * @param {string} [options.logPrefix='[zest]']
+   */
+  function createClient(target, options) {
+    options = options || {};
+    var timeoutMs = options.timeoutMs || 10000;
+    var responderWaitMs = options.responderWaitMs || 20000;
+    var logPrefix = options.logPrefix || '[zest]';
+
+    var responders = {};   // id -> { id, version, protocol, page, capabilities }
+    var page = null;       // performance.timeOrigin of the JupyterLite page
+    var waiters = [];      // Requests waiting for a capability to appear
+    var pending = {};      // requestId -> { responder, resolve }
+    var lastId = 0;
+    var nonce = createNonce();
+    var signer = null;     // Promise of the session's signer, made on first use
+
+    function responderFor(capability) {
+      var best = null;
+      for (var id in responders) {
+        var info = responders[id];
+        if (info.capabilities.indexOf(capability) === -1) continue;
+        if (!best || compareResponders(info.id, best.id) < 0) best = info;
+      }
+      return best;
+    }
+
+    function whenResponder(capability) {
+      var found = responderFor(capability);
+      if (found) return Promise.resolve(found);
+      return new Promise(function (resolve) {
+        var waiter = { capability: capability, resolve: resolve };
+        waiters.push(waiter);
+        setTimeout(function () {
+          var i = waiters.indexOf(waiter);
+          if (i === -1) return;
+          waiters.splice(i, 1);
+          resolve(null);
+        }, responderWaitMs);
+      });
+    }
+
+    function flushWaiters() {
+      waiters = waiters.filter(function (waiter) {
+        var found = responderFor(waiter.capability);
+        if (found) waiter.resolve(found);
+        return !found;
+      });
+    }
+
+    function sign(id, action, to, data) {
+      if (!signer) signer = createSigner(nonce);
+      return signer.then(function (session) {
+        return session.sign(id, action, to, data);
+      });
+    }
+
+    function send(responder, action, data, timeout) {
+      var problem = validate(action, data || {});
+      if (problem) return Promise.reject(new Error(problem));
+      var win = target();
+      if (!win) return Promise.reject(new Error('No JupyterLite frame'));
+
+      var id = 'req_' + (++lastId);
+      // v1 responders answer every request, addressed or not, and check
+      // no signature
+      var to = responder.protocol >= 2 ? responder.id : null;
+      var signed = to && action !== 'connect' ? sign(id, action, to, data || {}) : Promise.resolve(null);
+
+      return new Promise(function (resolve, reject) {
+        var timer = setTimeout(function () {
+          delete pending[id];
+          reject(new Error('Request timeout: ' + action));
+        }, timeout || timeoutMs);
+        pending[id] = {
+          responder: responder.id,
+          resolve: function (reply) {
+            clearTimeout(timer);
+            resolve(reply);
+          }
+        };
+        signed.then(function (signature) {
+          var msg = message(action, data, { requestId: id, to: to, signature: signature });
+          msg.protocol = responder.protocol;
+          win.postMessage(msg, origin());
+        }).catch(function (err) {
+          clearTimeout(timer);
+          delete pending[id];
+          reject(err);
+        });
+      });
+    }
+
+    /**
+     * Record a responder from its `ready` data.
+     *
+     * @returns {{ responder: object, newPage: boolean }|null} newPage is
+     *   true for the first responder of a page load (and for every v1
+     *   `ready`, as before the handshake); null if no common protocol
+     *   version exists
+     */
+    function onReady(data) {
+      data = data || {};
+      var range = readyRange(data);
+      var protocol = negotiate(range);
+      if (protocol === null) {
+        console.warn(logPrefix, 'Responder speaks protocol', range.min + '-' + range.max +
+          ', this page', MIN_VERSION + '-' + VERSION + ' — ignored');
+        return null;
+      }
+      var info = {
+        // v1 responders do not name themselves; only the shim reports a database
+        id: data.responder || (data.dbName !== undefined ? 'shim' : 'extension'),
+        version: data.version || null,
+        protocol: protocol,
+        page: protocol >= 2 ? data.page : null,
+        capabilities: data.capabilities || []
+      };
+
+      // A new page load starts with a fresh set of responders. v1
+      // responders report no page: they accumulate, as before.
+      var newPage = info.page !== null && info.page !== page;
+      if (newPage) {
+        page = info.page;
+        responders = {};
+      }
+      responders[info.id] = info;
+
+      if (protocol >= 2) {
+        send(info, 'connect', { protocol: protocol, nonce: nonce }).then(function (reply) {
+          if (reply && reply.success === false) console.warn(logPrefix, 'connect to', info.id, 'failed:', reply.error);
+        }).catch(function (err) {
+          console.warn(logPrefix, 'connect to', info.id, 'failed:', err.message);
+        });
+      }
+      flushWaiters();
+      return { responder: info, newPage: newPage || protocol < 2 };
+    }
+
+    /**
+     * Resolve a pending request with `msg` if it is the reply to one.
+     *
+     * @returns {boolean} True if `msg` was a reply
+     */
+    function handleReply(msg) {
+      var entry = msg.requestId && pending[msg.requestId];
+      if (!entry) return false;
+      // Another responder's reply to a request it was not sent (v1 replies carry no `from`)
+      if (msg.from && msg.from !== entry.responder) return true;
+      delete pending[msg.requestId];
+      entry.resolve(msg.data);
+      return true;
+    }
+
+    return {
+      onReady: onReady,
+      handleReply: handleReply,
+
+      /** Send a request to the responder that handles `action` */
+      request: function (action, data, timeout) {
+        return whenResponder(action).then(function (responder) {
+          if (!responder) throw new Error('No responder for ' + action);
+          return send(responder, action, data, timeout);
+        });
+      },
+
+      /** True if a responder of the current page has `capability` */
+      has: function (capability) {
+        return !!responderFor(capability);
+      }
+    };
+  }
+
+  window.ZestProtocol = {
+    CHANNEL: CHANNEL,
+    VERSION: VERSION,
+    MIN_VERSION: MIN_VERSION,
+    RESPONDERS: RESPONDERS,
+    REQUESTS: REQUESTS,
+    EVENTS: EVENTS,
+    isMessage: isMessage,
+    message: message,
+    isAddressedTo: isAddressedTo,
+    validate: validate,
+    readyRange: readyRange,
+    negotiate: negotiate,
+    compareResponders: compareResponders,
+    readyData: readyData,
+    origin: origin,
+    isTrusted: isTrusted,
+    canSign: canSign,
+    createGuard: createGuard,
+    createClient: createClient
+  };
+})();
@@ -0,0 +1,350 @@
+/* =========================================================================
+   transport.js — Compressed, chunked payloads for the Zest API
+   Shared by bridge.js (saving and loading state) and review.html
+   (reading submissions that earlier wrappers sent encoded; submissions
+   are plain JSON now). Exposes window.ZestTransport:
+
+     encode(value, options) -> Promise<envelope>
+     decode(payload)        -> Promise<value>   (plain payloads pass through)
+     rememberChunks(ids)    — chunks the server is known to hold (a
+                              previous page's envelope.chunks)
+
+   Two wire formats, both marked with `transport: 1`:
+
+   - Chunked (the Zest API has putChunk/getChunk): every string of at
+     least CHUNK_MIN_CHARS — base64 images in outputs, uploaded files,
+     history snapshots, and the source and text output of any cell that
+     long (JupyterLab hands a cell's source over as one string) — is
+     stored once under the SHA-256 of its content and replaced by
+     { "$zestChunk": id }. Only chunks the server does not already have
+     are uploaded: an autosave after editing one cell uploads that cell's
+     chunk. The rest of the document (the "skeleton": short cells,
+     metadata, the history index) is gzipped into the envelope and sent
+     in full every time.
+
+   - Inline (no chunk API): the whole document gzipped into the envelope.
+
+   Fields named in options.keep are also copied into the envelope as-is,
+   so the server (and conflict checks) can read them without decoding.
+   ========================================================================= */
+
+(function () {
+  'use strict';
+
+  // -----------------------------------------------------------------------
+  // Configuration
+  // -----------------------------------------------------------------------
+  var VERSION = 1;
+  var CHUNK_MIN_CHARS = 1024;    // Smaller strings stay in the skeleton
+  var CHUNK_MARKER = '$zestChunk';
+  var UPLOAD_CONCURRENCY = 4;
+
+  // -----------------------------------------------------------------------
+  // State
+  // -----------------------------------------------------------------------
+  var _knownChunks = {};         // Chunk ids the server is known to hold
+  var _chunkCache = {};          // id -> decoded string (fetched this page)
+  var _hashCache = {};           // string -> id, for strings seen last encode
+
+  function chunkApiAvailable() {
+    return typeof Zest !== 'undefined' &&
+      typeof Zest.putChunk === 'function' && typeof Zest.getChunk === 'function';
+  }
+
+  // -----------------------------------------------------------------------
+  // Compression
+  // -----------------------------------------------------------------------
+
+  function compressionAvailable() {
+    return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+  }
+
+  function bytesToBase64(bytes) {
+    var parts = [];
+    // String.fromCharCode.apply overflows the stack on large arrays
+    for (var i = 0; i < bytes.length; i += 0x8000) {
+      parts.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
+    }
+    return btoa(parts.join(''));
+  }
+
+  function base64ToBytes(b64) {
+    var bin = atob(b64);
+    var bytes = new Uint8Array(bin.length);
+    for (var i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  }
+
+  /**
+   * Pack a string for the wire: { enc: 'gzip', data: base64 } when the
+   * browser can compress, otherwise { enc: 'none', data: text }.
+   */
+  function pack(text) {
+    if (!compressionAvailable()) {
+      return Promise.resolve({ enc: 'none', data: text });
+    }
+    var stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Response(stream).arrayBuffer().then(function (buf) {
+      return { enc: 'gzip', data: bytesToBase64(new Uint8Array(buf)) };
+    });
+  }
+
+  function unpack(packed) {
+    if (!packed || packed.enc === 'none') {
+      return Promise.resolve(packed ? packed.data : '');
+    }
+    if (packed.enc !== 'gzip') {
+      return Promise.reject(new Error('Unknown payload encoding: ' + packed.enc));
+    }
+    if (!compressionAvailable()) {
+      return Promise.reject(new Error('This browser cannot decompress saved work (no DecompressionStream)'));
+    }
+    var stream = new Blob([base64ToBytes(packed.data)]).stream()
+      .pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+  }
+
+  // -----------------------------------------------------------------------
+  // Content addressing
+  // -----------------------------------------------------------------------
+
+  function hex(buf) {
+    var bytes = new Uint8Array(buf);
+    var out = '';
+    for (var i = 0; i < bytes.length; i++) {
+      out += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+    }
+    return out;
+  }
+
+  // Fallback for insecure contexts, where crypto.subtle is missing.
+  // The length suffix makes a collision between two live chunks unlikely
+  // enough for a single student's workspace.
+  function cyrb53(str) {
+    var h1 = 0xdeadbeef;
+    var h2 = 0x41c6ce57;
+    for (var i = 0; i < str.length; i++) {
+      var ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+  }
+
+  function chunkId(str) {
+    if (window.crypto && window.crypto.subtle && typeof TextEncoder !== 'undefined') {
+      return window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(str)).then(function (buf) {
+        return 'sha256-' + hex(buf);
+      });
+    }
+    return Promise.resolve('c53-' + cyrb53(str) + '-' + str.length);
+  }
+
+  // -----------------------------------------------------------------------
+  // Skeleton walking
+  // -----------------------------------------------------------------------
+
+  /**
+   * Copy `value`, replacing long strings with chunk markers.
+   * `found` collects { id: string } for every chunk referenced.
+   */
+  function extractChunks(value, found, seen) {
+    var pending = [];
+
+    function walk(node) {
+      if (typeof node === 'string') {
+        if (node.length < CHUNK_MIN_CHARS) return node;
+        var marker = {};
+        var cached = _hashCache[node];
+        if (cached) {
+          marker[CHUNK_MARKER] = cached;
+          seen[node] = cached;
+          found[cached] = node;
+        } else {
+          pending.push(chunkId(node).then(function (id) {
+            marker[CHUNK_MARKER] = id;
+            seen[node] = id;
+            found[id] = node;
+          }));
+        }
+        return marker;
+      }
+      if (Array.isArray(node)) return node.map(walk);
+      if (node && typeof node === 'object') {
+        var out = {};
+        for (var key in node) {
+          if (Object.prototype.hasOwnProperty.call(node, key)) out[key] = walk(node[key]);
+        }
+        return out;
+      }
+      return node;
+    }
+
+    var skeleton = walk(value);
+    return Promise.all(pending).then(function () { return skeleton; });
+  }
+
+  function isMarker(node) {
+    return node && typeof node === 'object' && !Array.isArray(node) &&
+      typeof node[CHUNK_MARKER] === 'string' && Object.keys(node).length === 1;
+  }
+
+  function collectChunkIds(node, ids) {
+    if (isMarker(node)) {
+      ids[node[CHUNK_MARKER]] = true;
+    } else if (Array.isArray(node)) {
+      node.forEach(function (n) { collectChunkIds(n, ids); });
+    } else if (node && typeof node === 'object') {
+      for (var key in node) collectChunkIds(node[key], ids);
+    }
+    return ids;
+  }
+
+  function fillChunks(node, chunks) {
+    if (isMarker(node)) return chunks[node[CHUNK_MARKER]];
+    if (Array.isArray(node)) return node.map(function (n) { return fillChunks(n, chunks); });
+    if (node && typeof node === 'object') {
+      var out = {};
+      for (var key in node) out[key] = fillChunks(node[key], chunks);
+      return out;
+    }
+    return node;
+  }
+
+  // -----------------------------------------------------------------------
+  // Chunk upload / download
+  // -----------------------------------------------------------------------
+
+  /**
+   * Run `fn` over `items` with at most `limit` in flight.
+   */
+  function eachLimited(items, limit, fn) {
+    var index = 0;
+    function next() {
+      if (index >= items.length) return Promise.resolve();
+      var item = items[index++];
+      return Promise.resolve(fn(item)).then(next);
+    }
+    var workers = [];
+    for (var i = 0; i < Math.min(limit, items.length); i++) workers.push(next());
+    return Promise.all(workers);
+  }
+
+  function uploadChunks(found) {
+    var missing = Object.keys(found).filter(function (id) { return !_knownChunks[id]; });
+    return eachLimited(missing, UPLOAD_CONCURRENCY, function (id) {
+      return pack(found[id]).then(function (packed) {
+        return Zest.putChunk(id, packed);
+      }).then(function (result) {
+        if (result && result.success === false) {
+          throw new Error(result.error || 'Zest.putChunk failed for ' + id);
+        }
+        _knownChunks[id] = true;
+      });
+    });
+  }
+
+  function fetchChunk(id) {
+    if (_chunkCache[id] !== undefined) return Promise.resolve(_chunkCache[id]);
+    return Promise.resolve(Zest.getChunk(id)).then(function (packed) {
+      if (!packed) throw new Error('Missing chunk ' + id);
+      return unpack(packed);
+    }).then(function (text) {
+      _chunkCache[id] = text;
+      _hashCache[text] = id;
+      _knownChunks[id] = true;
+      return text;
+    });
+  }
+
+  // -----------------------------------------------------------------------
+  // Public API
+  // -----------------------------------------------------------------------
+
+  /**
+   * Encode `value` for Zest.saveState.
+   *
+   * @param {object} value
+   * @param {{ keep?: string[], chunked?: boolean }} [options]
+   *   keep    — top-level fields to copy into the envelope uncompressed
+   *   chunked — set false to force the inline format
+   */
+  function encode(value, options) {
+    options = options || {};
+    var envelope = { transport: VERSION };
+    (options.keep || []).forEach(function (key) {
+      if (value[key] !== undefined) envelope[key] = value[key];
+    });
+
+    if (options.chunked === false || !chunkApiAvailable()) {
+      return pack(JSON.stringify(value)).then(function (packed) {
+        envelope.doc = packed;
+        return envelope;
+      });
+    }
+
+    var found = {};
+    var seen = {};
+    return extractChunks(value, found, seen).then(function (skeleton) {
+      // Remember only the strings still in use, so the cache stays bounded
+      _hashCache = seen;
+      return uploadChunks(found).then(function () {
+        return pack(JSON.stringify(skeleton));
+      });
+    }).then(function (packed) {
+      envelope.doc = packed;
+      envelope.chunks = Object.keys(found);
+      return envelope;
+    });
+  }
+
+  /**
+   * Decode a payload written by encode(). Anything else (including state
+   * saved before this transport existed) is returned unchanged.
+   */
+  function decode(payload) {
+    if (!isEncoded(payload)) return Promise.resolve(payload);
+    if (payload.transport > VERSION) {
+      return Promise.reject(new Error('Saved work uses a newer format (' + payload.transport + ')'));
+    }
+
+    return unpack(payload.doc).then(function (text) {
+      var skeleton = JSON.parse(text);
+      var ids = Object.keys(collectChunkIds(skeleton, {}));
+      if (ids.length === 0) return skeleton;
+      if (typeof Zest === 'undefined' || typeof Zest.getChunk !== 'function') {
+        throw new Error('Saved work is chunked but Zest.getChunk is unavailable');
+      }
+
+      var chunks = {};
+      return eachLimited(ids, UPLOAD_CONCURRENCY, function (id) {
+        return fetchChunk(id).then(function (text) { chunks[id] = text; });
+      }).then(function () {
+        return fillChunks(skeleton, chunks);
+      });
+    });
+  }
+
+  function isEncoded(payload) {
+    return !!(payload && typeof payload === 'object' && payload.transport && payload.doc);
+  }
+
+  /**
+   * Mark chunks as held by the server, so encode() does not upload them
+   * again. Only pass ids the same Zest user's chunks were stored under.
+   */
+  function rememberChunks(ids) {
+    (ids || []).forEach(function (id) {
+      if (typeof id === 'string') _knownChunks[id] = true;
+    });
+  }
+
+  window.ZestTransport = {
+    encode: encode,
+    decode: decode,
+    isEncoded: isEncoded,
+    rememberChunks: rememberChunks
+  };
+})();
@@ -0,0 +1,122 @@
+'use strict';
+
+/* ==========================================================================
+   Tests for build-tool/lib/cache.js (run with `npm test`)
+   Each test builds its project, template and runtime trees in a
+   temporary directory.
+   ========================================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cache = require('../build-tool/lib/cache');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zest-cache-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function writeTree(root, files) {
+  for (const [rel, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, rel)), { recursive: true });
+    fs.writeFileSync(path.join(root, rel), content);
+  }
+}
+
+/** The key build.js computes for a project (projectCacheKey) */
+function keyOf(root) {
+  return cache.cacheKey({
+    project: cache.fingerprint(path.join(root, 'project')),
+    template: cache.fingerprint(path.join(root, 'template')),
+    runtime: cache.fingerprint(path.join(root, 'runtime'), { contents: false })
+  });
+}
+
+function setup(t) {
+  const root = tempDir(t);
+  writeTree(root, {
+    'project/lab.ipynb': '{"cells": []}',
+    'project/data/grades.csv': 'a,b\n1,2\n',
+    'template/index.html': '<html></html>',
+    'runtime/lite/pyodide.js': '// pyodide'
+  });
+  return root;
+}
+
+test('the key is stable while no input changes', t => {
+  const root = setup(t);
+  assert.match(keyOf(root), /^[0-9a-f]{64}$/);
+  assert.strictEqual(keyOf(root), keyOf(root));
+});
+
+test('the key changes when any project or template file changes', t => {
+  const root = setup(t);
+  const changes = [
+    () => fs.writeFileSync(path.join(root, 'project/lab.ipynb'), '{"cells": [{}]}'),
+    () => fs.writeFileSync(path.join(root, 'project/data/grades.csv'), 'a,b\n1,3\n'),
+    () => fs.writeFileSync(path.join(root, 'project/data/extra.csv'), ''),
+    () => fs.renameSync(path.join(root, 'project/data/extra.csv'), path.join(root, 'project/extra.csv')),
+    () => fs.writeFileSync(path.join(root, 'template/index.html'), '<html> </html>')
+  ];
+
+  const seen = new Set([keyOf(root)]);
+  for (const change of changes) {
+    change();
+    const key = keyOf(root);
+    assert.ok(!seen.has(key), `key unchanged after: ${change}`);
+    seen.add(key);
+  }
+
+  // Undoing every change gives the original key back
+  const original = [...seen][0];
+  fs.unlinkSync(path.join(root, 'project/extra.csv'));
+  fs.writeFileSync(path.join(root, 'project/lab.ipynb'), '{"cells": []}');
+  fs.writeFileSync(path.join(root, 'project/data/grades.csv'), 'a,b\n1,2\n');
+  fs.writeFileSync(path.join(root, 'template/index.html'), '<html></html>');
+  assert.strictEqual(keyOf(root), original);
+});
+
+test('runtime files are fingerprinted by size and mtime', t => {
+  const root = setup(t);
+  const file = path.join(root, 'runtime/lite/pyodide.js');
+  const before = keyOf(root);
+
+  fs.utimesSync(file, new Date(2020, 0, 1), new Date(2020, 0, 1));
+  const touched = keyOf(root);
+  assert.notStrictEqual(touched, before);
+
+  fs.writeFileSync(file, '// PYODIDE');
+  fs.utimesSync(file, new Date(2020, 0, 1), new Date(2020, 0, 1));
+  assert.strictEqual(keyOf(root), touched, 'same size and mtime: contents are not read');
+});
+
+test('dotfiles are ignored and a missing target fingerprints as empty', t => {
+  const root = setup(t);
+  const before = keyOf(root);
+  fs.writeFileSync(path.join(root, 'project/.DS_Store'), 'x');
+  assert.strictEqual(keyOf(root), before);
+  assert.strictEqual(cache.fingerprint(path.join(root, 'nowhere')), '');
+});
+
+test('a recorded build is up to date only for its key and while its zip exists', t => {
+  const root = setup(t);
+  const cacheDir = path.join(root, 'dist/.cache');
+  const zipPath = path.join(root, 'dist/lab.zip');
+  const manifest = { package: 'lab', notebooks: ['lab.ipynb'] };
+
+  assert.strictEqual(cache.isUpToDate(cacheDir, 'lab', 'k1', zipPath), false);
+  cache.recordBuild(cacheDir, 'lab', 'k1', manifest);
+  assert.strictEqual(cache.isUpToDate(cacheDir, 'lab', 'k1', zipPath), false, 'no zip yet');
+
+  fs.writeFileSync(zipPath, 'zip');
+  assert.strictEqual(cache.isUpToDate(cacheDir, 'lab', 'k1', zipPath), true);
+  assert.strictEqual(cache.isUpToDate(cacheDir, 'lab', 'k2', zipPath), false);
+  assert.deepStrictEqual(cache.cachedManifest(cacheDir, 'lab'), manifest);
+
+  cache.forgetBuild(cacheDir, 'lab');
+  assert.strictEqual(cache.isUpToDate(cacheDir, 'lab', 'k1', zipPath), false);
+  assert.strictEqual(cache.cachedManifest(cacheDir, 'lab'), null);
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+/* ==========================================================================
+   Tests for template/grading.js (run with `npm test`)
+   The template scripts are browser IIFEs that publish on window, so each
+   one is evaluated in a fresh context with a stand-in window.
+   ========================================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadGrading() {
+  const context = { window: {} };
+  const source = fs.readFileSync(path.join(__dirname, '..', 'template', 'grading.js'), 'utf8');
+  vm.runInNewContext(source, context, { filename: 'grading.js' });
+  return context.window.ZestGrading;
+}
+
+const suite = {
+  tests: [
+    { id: 'q1', notebook: 'part1.ipynb', points: 2 },
+    { id: 'q2', notebook: 'part1.ipynb', points: 3 },
+    { id: 'q1', notebook: 'part2.ipynb', points: 5 }
+  ]
+};
+
+test('testsByNotebook groups tests under their notebook', () => {
+  const { testsByNotebook } = loadGrading();
+  const byNotebook = testsByNotebook({ tests: [{ id: 'a' }, { id: 'b', notebook: 'b.ipynb' }] }, 'main.ipynb');
+  assert.deepStrictEqual(Object.keys(byNotebook), ['main.ipynb', 'b.ipynb']);
+  assert.strictEqual(byNotebook['main.ipynb'][0].id, 'a');
+});
+
+test('every notebook ran: the passed tests are scored', () => {
+  const { scoreSuite } = loadGrading();
+  const grading = scoreSuite(suite, {
+    'part1.ipynb': { results: [{ id: 'q1', passed: true }, { id: 'q2', passed: false, error: 'AssertionError' }] },
+    'part2.ipynb': { results: [{ id: 'q1', passed: true }] }
+  }, 'part1.ipynb');
+
+  assert.strictEqual(grading.score, 7);
+  assert.strictEqual(grading.maxScore, 10);
+  assert.strictEqual(grading.error, undefined);
+});
+
+test('a failed notebook leaves no score but keeps the results that came in', () => {
+  const { scoreSuite } = loadGrading();
+  const grading = scoreSuite(suite, {
+    'part1.ipynb': { results: [{ id: 'q1', passed: true }, { id: 'q2', passed: false, error: 'AssertionError' }] },
+    'part2.ipynb': { error: 'Kernel did not respond' }
+  }, 'part1.ipynb');
+
+  assert.strictEqual(grading.score, null);
+  assert.strictEqual(grading.maxScore, null);
+  assert.strictEqual(grading.error, 'Kernel did not respond');
+  assert.deepStrictEqual(grading.results.map(r => [r.notebook, r.id, r.passed, r.points, r.error]), [
+    ['part1.ipynb', 'q1', true, 2, null],
+    ['part1.ipynb', 'q2', false, 0, 'AssertionError'],
+    ['part2.ipynb', 'q1', false, 0, 'Kernel did not respond']
+  ]);
+});
+
+test('no score when no notebook could be run', () => {
+  const { scoreSuite } = loadGrading();
+  const grading = scoreSuite(suite, {
+    'part1.ipynb': { error: 'Timed out' },
+    'part2.ipynb': { error: 'Kernel did not respond' }
+  }, 'part1.ipynb');
+
+  assert.strictEqual(grading.score, null);
+  assert.strictEqual(grading.maxScore, null);
+  assert.strictEqual(grading.error, 'Timed out');
+});
+
+test('tests missing from a run are marked as not run', () => {
+  const { scoreSuite } = loadGrading();
+  const grading = scoreSuite({ totalPoints: 4, tests: [{ id: 'q1', points: 1 }] }, {
+    'main.ipynb': { results: [] }
+  }, 'main.ipynb');
+
+  assert.strictEqual(grading.score, 0);
+  assert.strictEqual(grading.maxScore, 4);
+  assert.strictEqual(grading.results[0].error, 'Test did not run');
+});
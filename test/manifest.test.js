@@ -0,0 +1,137 @@
+'use strict';
+
+/* ==========================================================================
+   Tests for build-tool/lib/manifest.js (run with `npm test`)
+   Each test lays out a runtime or package in a temporary directory.
+   ========================================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runtimeVersions, packageManifest, writePackageManifest, writeSummary, MANIFEST_FILE } = require('../build-tool/lib/manifest');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zest-manifest-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function writeTree(root, files) {
+  for (const [rel, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, rel)), { recursive: true });
+    fs.writeFileSync(path.join(root, rel), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+const RUNTIME = {
+  jupyterlite: '0.7.1',
+  pyodide: '0.26.1',
+  extensions: {
+    '@jupyterlite/javascript-kernel-extension': '0.3.0',
+    '@jupyterlite/pyodide-kernel-extension': '0.4.7',
+    'zest-jupyter-bridge': '1.3.0'
+  }
+};
+
+function packageInfo(overrides = {}) {
+  return {
+    slug: 'lab-1',
+    title: 'Lab 1',
+    tool: '1.0.0',
+    runtime: RUNTIME,
+    notebooks: [{ path: 'lab.ipynb', title: 'Lab 1' }],
+    kernels: ['python'],
+    packages: ['pandas'],
+    tests: 3,
+    lockedCells: 1,
+    ...overrides
+  };
+}
+
+test('runtimeVersions reads JupyterLite, Pyodide and extension versions', t => {
+  const dir = tempDir(t);
+  writeTree(dir, {
+    'jupyter-lite.json': { 'jupyter-config-data': { appVersion: '0.7.1' } },
+    'static/pyodide/pyodide-lock.json': { info: { version: '0.26.1' }, packages: {} },
+    'extensions/@jupyterlite/pyodide-kernel-extension/package.json': { version: '0.4.7' },
+    'extensions/zest-jupyter-bridge/package.json': { version: '1.3.0' },
+    'extensions/broken/package.json': 'not json'
+  });
+
+  assert.deepStrictEqual(runtimeVersions(dir), {
+    jupyterlite: '0.7.1',
+    pyodide: '0.26.1',
+    extensions: {
+      '@jupyterlite/pyodide-kernel-extension': '0.4.7',
+      broken: null,
+      'zest-jupyter-bridge': '1.3.0'
+    }
+  });
+  assert.deepStrictEqual(runtimeVersions(path.join(dir, 'nowhere')), { jupyterlite: null, pyodide: null, extensions: {} });
+});
+
+test('a package manifest hashes the wrapper, notebooks and data files', t => {
+  const dir = tempDir(t);
+  writeTree(dir, {
+    'index.html': '<html></html>',
+    'bridge.js': '// bridge',
+    'lite/files/lab.ipynb': '{"cells": []}',
+    'lite/files/data/b.csv': 'b\n',
+    'lite/files/a.txt': 'a'
+  });
+
+  const manifest = packageManifest(dir, packageInfo());
+  assert.deepStrictEqual(manifest.template, { 'index.html': sha256('<html></html>'), 'bridge.js': sha256('// bridge') });
+  assert.deepStrictEqual(manifest.notebooks, [{ path: 'lab.ipynb', title: 'Lab 1', sha256: sha256('{"cells": []}') }]);
+  assert.deepStrictEqual(manifest.data, [
+    { path: 'a.txt', size: 1, sha256: sha256('a') },
+    { path: 'data/b.csv', size: 2, sha256: sha256('b\n') }
+  ]);
+  assert.deepStrictEqual(manifest.grading, { tests: 3, lockedCells: 1 });
+  assert.strictEqual(JSON.stringify(manifest).indexOf('builtAt'), -1, 'no timestamps in a package');
+});
+
+test('pruned kernels and extensions are left out of the runtime versions', t => {
+  const dir = tempDir(t);
+  writeTree(dir, {
+    'lite/files/lab.ipynb': '{}',
+    'lite/jupyter-lite.json': {
+      'jupyter-config-data': {
+        federated_extensions: [{ name: '@jupyterlite/javascript-kernel-extension' }, { name: 'zest-jupyter-bridge' }]
+      }
+    }
+  });
+
+  const manifest = packageManifest(dir, packageInfo({ kernels: ['javascript'], packages: [] }));
+  assert.deepStrictEqual(manifest.runtime, {
+    jupyterlite: '0.7.1',
+    pyodide: null,
+    extensions: { '@jupyterlite/javascript-kernel-extension': '0.3.0', 'zest-jupyter-bridge': '1.3.0' }
+  });
+  assert.deepStrictEqual(manifest.kernels, ['javascript']);
+});
+
+test('the manifest and the dist summary are written as JSON', t => {
+  const dir = tempDir(t);
+  writeTree(dir, { 'build/lite/files/lab.ipynb': '{}', 'lab-1.zip': 'zip bytes' });
+  const manifest = packageManifest(path.join(dir, 'build'), packageInfo());
+  writePackageManifest(path.join(dir, 'build'), manifest);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'build', MANIFEST_FILE), 'utf8')), manifest);
+
+  writeSummary(path.join(dir, 'manifest.json'), [
+    { slug: 'lab-1', status: 'built', zip: path.join(dir, 'lab-1.zip'), manifest },
+    { slug: 'lab-2', status: 'failed', zip: null, manifest: null }
+  ]);
+  const summary = JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+  assert.deepStrictEqual(summary.packages, [
+    { slug: 'lab-1', status: 'built', zip: 'lab-1.zip', size: 9, sha256: sha256('zip bytes'), manifest },
+    { slug: 'lab-2', status: 'failed' }
+  ]);
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+/* ==========================================================================
+   Tests for build-tool/lib/nbgrader.js and export-nbgrader.js (run with
+   `npm test`). The exporter is run as a command on a dump written to a
+   temporary directory.
+   ========================================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isNbgraderSource, checkNbgraderSource, releaseNotebook } = require('../build-tool/lib/nbgrader');
+const { extractHiddenTests, cellSource, toMultiline } = require('../build-tool/lib/notebook');
+
+const EXPORTER = path.join(__dirname, '..', 'build-tool', 'export-nbgrader.js');
+
+function cell(cellType, source, nbgrader, extra = {}) {
+  const c = { cell_type: cellType, metadata: nbgrader ? { nbgrader } : {}, source: toMultiline(source), ...extra };
+  if (cellType === 'code') Object.assign(c, { outputs: [{ output_type: 'stream', name: 'stdout', text: 'x' }], execution_count: 1 });
+  return c;
+}
+
+function notebook(cells, language = 'python') {
+  return { cells, metadata: { kernelspec: { name: language, display_name: language, language } }, nbformat: 4, nbformat_minor: 5 };
+}
+
+const SOURCE = notebook([
+  cell('markdown', '# Problem set 1'),
+  cell('code', 'def add(a, b):\n    ### BEGIN SOLUTION\n    return a + b\n    ### END SOLUTION',
+    { grade: false, solution: true, grade_id: 'add', locked: false }),
+  cell('code', 'assert add(1, 2) == 3\n### BEGIN HIDDEN TESTS\nassert add(0, 0) == 0\n### END HIDDEN TESTS',
+    { grade: true, solution: false, grade_id: 'test-add', points: 2 }),
+  cell('markdown', '## Explain your approach\n### BEGIN SOLUTION\nIt adds.\n### END SOLUTION',
+    { grade: true, solution: true, grade_id: 'explain', points: 3 }),
+  cell('code', 'assert add(2, 2) == 4', { grade: true, solution: false, grade_id: 'test-visible', points: 1 }),
+  cell('markdown', 'A model essay that students must not see.', { grade: true, solution: true, grade_id: 'essay', points: 5 })
+]);
+
+// -----------------------------------------------------------------------
+// Source notebooks
+// -----------------------------------------------------------------------
+
+test('nbgrader source notebooks are recognised by metadata or solution regions', () => {
+  assert.strictEqual(isNbgraderSource(SOURCE), true);
+  assert.strictEqual(isNbgraderSource(notebook([cell('code', 'x = 1\n# BEGIN SOLUTION\nx = 2\n# END SOLUTION')])), true);
+  assert.strictEqual(isNbgraderSource(notebook([cell('code', 'print("BEGIN SOLUTION")', { locked: true, grade_id: 'a' })])), false);
+});
+
+test('checkNbgraderSource reports what generate_assignment would reject', () => {
+  assert.deepStrictEqual(checkNbgraderSource(SOURCE), []);
+  assert.deepStrictEqual(checkNbgraderSource(notebook([
+    cell('code', '### BEGIN SOLUTION\nx = 1', { solution: true, grade_id: 'a' }),
+    cell('code', '### END SOLUTION'),
+    cell('code', 'x', { grade: true, solution: false }),
+    cell('code', 'y', { grade: true, solution: false, grade_id: 'b', points: -1 }),
+    cell('code', 'z', { solution: true, grade_id: 'a' })
+  ])), [
+    'cell "a": BEGIN SOLUTION without END SOLUTION',
+    'cell 2: END SOLUTION without BEGIN SOLUTION',
+    'cell 3: nbgrader cell without a "grade_id"',
+    'cell "b": graded cell needs non-negative nbgrader "points"',
+    'cell "a": duplicate nbgrader grade_id'
+  ]);
+});
+
+// -----------------------------------------------------------------------
+// Release version
+// -----------------------------------------------------------------------
+
+test('solutions are replaced with stubs at the BEGIN line\'s indentation', () => {
+  const { notebook: release, solutions } = releaseNotebook(SOURCE);
+  assert.strictEqual(solutions, 3);
+  assert.strictEqual(cellSource(release.cells[1]), 'def add(a, b):\n    # YOUR CODE HERE\n    raise NotImplementedError()');
+  assert.strictEqual(cellSource(release.cells[3]), '## Explain your approach\nYOUR ANSWER HERE');
+  // A solution cell without delimiters is all solution
+  assert.strictEqual(cellSource(release.cells[5]), 'YOUR ANSWER HERE');
+  assert.deepStrictEqual(release.cells[1].outputs, []);
+  assert.strictEqual(release.cells[1].execution_count, null);
+  // The source notebook is not modified
+  assert.match(cellSource(SOURCE.cells[1]), /return a \+ b/);
+});
+
+test('JavaScript notebooks get the JavaScript stub', () => {
+  const { notebook: release } = releaseNotebook(notebook([
+    cell('code', 'function f() {\n  // BEGIN SOLUTION\n  return 1;\n  // END SOLUTION\n}', { solution: true, grade_id: 'f' })
+  ], 'javascript'));
+  assert.strictEqual(cellSource(release.cells[0]), 'function f() {\n  // YOUR CODE HERE\n  throw new Error("Not implemented");\n}');
+});
+
+test('autograder tests are locked and hand-graded answers become rubric criteria', () => {
+  const { notebook: release, rubric } = releaseNotebook(SOURCE);
+  assert.strictEqual(release.cells[2].metadata.nbgrader.locked, true);
+  assert.deepStrictEqual(release.cells[2].outputs, []);
+  assert.strictEqual(release.cells[1].metadata.nbgrader.locked, false);
+  // Titles come from the released cell, so an answer never becomes one
+  assert.deepStrictEqual(rubric, [
+    { id: 'explain', title: 'Explain your approach', points: 3, description: 'Written answer' },
+    { id: 'essay', title: 'essay', points: 5, description: 'Written answer' }
+  ]);
+});
+
+test('nbgrader test cells become hidden tests worth their points', () => {
+  const { notebook: release } = releaseNotebook(SOURCE);
+  const { notebook: student, tests } = extractHiddenTests(release, 'ps1.ipynb');
+
+  assert.deepStrictEqual(tests.map(t => [t.id, t.points, t.source]), [
+    ['test-add', 2, 'assert add(1, 2) == 3\nassert add(0, 0) == 0'],
+    ['test-visible', 1, 'assert add(2, 2) == 4']
+  ]);
+  // Students see the visible part of both test cells
+  assert.strictEqual(cellSource(student.cells[2]), 'assert add(1, 2) == 3');
+  assert.strictEqual(cellSource(student.cells[4]), 'assert add(2, 2) == 4');
+});
+
+// -----------------------------------------------------------------------
+// export-nbgrader.js
+// -----------------------------------------------------------------------
+
+test('export-nbgrader writes each student\'s latest notebooks in the nbgrader layout', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zest-nbgrader-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const submission = (answer, t) => ({
+    artifacts: { notebook: notebook([cell('code', answer)]), events: [{ type: 'submission', t }] }
+  });
+  fs.writeFileSync(path.join(dir, 'dump.json'), JSON.stringify([
+    { userId: 'ada', work: submission('old', 1700000000) },
+    { userId: 'ada', work: submission('new', 1700000600) },
+    { userId: 'bob/../x', submittedAt: '2024-03-01T14:05:09Z', work: submission('bob', 1) }
+  ]));
+
+  execFileSync(process.execPath, [EXPORTER, path.join(dir, 'dump.json'), '--assignment', 'ps1',
+    '--out', path.join(dir, 'course'), '--rename', 'assignment.ipynb=ps1.ipynb'], { stdio: 'pipe', timeout: 30000 });
+
+  const submitted = path.join(dir, 'course', 'submitted');
+  assert.deepStrictEqual(fs.readdirSync(submitted).sort(), ['ada', 'bob_.._x']);
+  const ada = path.join(submitted, 'ada', 'ps1');
+  assert.deepStrictEqual(fs.readdirSync(ada).sort(), ['ps1.ipynb', 'timestamp.txt']);
+  assert.strictEqual(cellSource(JSON.parse(fs.readFileSync(path.join(ada, 'ps1.ipynb'), 'utf8')).cells[0]), 'new');
+  assert.strictEqual(fs.readFileSync(path.join(ada, 'timestamp.txt'), 'utf8'), '2023-11-14 22:23:20.000000 UTC');
+  assert.strictEqual(fs.readFileSync(path.join(submitted, 'bob_.._x', 'ps1', 'timestamp.txt'), 'utf8'),
+    '2024-03-01 14:05:09.000000 UTC');
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+/* ==========================================================================
+   Tests for build-tool/lib/notebook.js (run with `npm test`)
+   ========================================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractHiddenTests, extractLockedCells, toMultiline } = require('../build-tool/lib/notebook');
+
+function code(source, metadata = {}, extra = {}) {
+  return {
+    cell_type: 'code',
+    metadata,
+    source: toMultiline(source),
+    outputs: [{ output_type: 'stream', name: 'stdout', text: 'ok\n' }],
+    execution_count: 3,
+    ...extra
+  };
+}
+
+function markdown(source, metadata = {}) {
+  return { cell_type: 'markdown', metadata, source: toMultiline(source) };
+}
+
+function notebook(cells) {
+  return { cells, metadata: {}, nbformat: 4, nbformat_minor: 5 };
+}
+
+// -----------------------------------------------------------------------
+// Hidden tests
+// -----------------------------------------------------------------------
+
+test('a BEGIN/END HIDDEN TESTS region is cut from the student copy and kept in the test', () => {
+  const source = [
+    'assert add(1, 2) == 3',
+    '### BEGIN HIDDEN TESTS',
+    'assert add(-1, 1) == 0',
+    '### END HIDDEN TESTS',
+    ''
+  ].join('\n');
+  const nb = notebook([markdown('# Lab'), code(source, { zest: { points: 2 } }, { id: 'q1' })]);
+  const original = JSON.parse(JSON.stringify(nb));
+  const { notebook: student, tests } = extractHiddenTests(nb, 'labs/lab1.ipynb');
+
+  assert.deepStrictEqual(tests, [{
+    id: 'q1',
+    notebook: 'labs/lab1.ipynb',
+    points: 2,
+    source: 'assert add(1, 2) == 3\nassert add(-1, 1) == 0\n'
+  }]);
+  assert.strictEqual(student.cells.length, 2);
+  assert.deepStrictEqual(student.cells[1].source, ['assert add(1, 2) == 3']);
+  // The teacher's outputs could give the hidden assertions away
+  assert.deepStrictEqual(student.cells[1].outputs, []);
+  assert.strictEqual(student.cells[1].execution_count, null);
+  // The input notebook is not modified
+  assert.deepStrictEqual(nb, original);
+});
+
+test('JavaScript markers and several regions in one cell', () => {
+  const source = [
+    '// BEGIN HIDDEN TESTS',
+    'check(a)',
+    '// END HIDDEN TESTS',
+    'console.log("visible")',
+    '//  BEGIN HIDDEN TESTS',
+    'check(b)',
+    '//  END HIDDEN TESTS'
+  ].join('\n');
+  const { notebook: student, tests } = extractHiddenTests(notebook([code(source)]), 'main.ipynb');
+
+  assert.strictEqual(tests[0].source, 'check(a)\nconsole.log("visible")\ncheck(b)');
+  assert.deepStrictEqual(student.cells[0].source, ['console.log("visible")']);
+});
+
+test('cells tagged hidden-test or with zest.hiddenTest are removed entirely', () => {
+  const nb = notebook([
+    code('x = 1', {}, { id: 'setup' }),
+    code('assert x == 1', { tags: ['hidden-test'] }, { id: 'check-x' }),
+    code('assert x > 0', { zest: { hiddenTest: true, testId: 'positive', points: 0 } })
+  ]);
+  const { notebook: student, tests } = extractHiddenTests(nb, 'main.ipynb');
+
+  assert.deepStrictEqual(student.cells.map(c => c.id), ['setup']);
+  assert.deepStrictEqual(tests.map(t => [t.id, t.points, t.source]), [
+    ['check-x', 1, 'assert x == 1'],
+    ['positive', 0, 'assert x > 0']
+  ]);
+});
+
+test('cells without markers, markers in Markdown and marker-like lines are left alone', () => {
+  const nb = notebook([
+    code('print("### BEGIN HIDDEN TESTS")'),
+    markdown('### BEGIN HIDDEN TESTS\nsecret\n### END HIDDEN TESTS')
+  ]);
+  const { notebook: student, tests } = extractHiddenTests(nb, 'main.ipynb');
+
+  assert.deepStrictEqual(tests, []);
+  assert.deepStrictEqual(student, nb);
+});
+
+test('tests without an id are numbered, and invalid points count as 1', () => {
+  const nb = notebook([
+    code('### BEGIN HIDDEN TESTS\nassert a\n### END HIDDEN TESTS', { zest: { points: -3 } }),
+    code('### BEGIN HIDDEN TESTS\nassert b\n### END HIDDEN TESTS', { nbgrader: { points: 'many' } })
+  ]);
+  const { tests } = extractHiddenTests(nb, 'main.ipynb');
+  assert.deepStrictEqual(tests.map(t => [t.id, t.points]), [['test-1', 1], ['test-2', 1]]);
+});
+
+// -----------------------------------------------------------------------
+// Locked cells
+// -----------------------------------------------------------------------
+
+test('every way of locking a cell is recognised', () => {
+  const nb = notebook([
+    code('a', { tags: ['locked'] }, { id: 'tagged' }),
+    code('b', { zest: { locked: true } }, { id: 'zest' }),
+    code('c', { nbgrader: { locked: true, grade_id: 'c' } }, { id: 'nbgrader' }),
+    markdown('d', { editable: false }),
+    code('e', { deletable: false }, { id: 'undeletable' }),
+    code('f', { editable: true }, { id: 'free' })
+  ]);
+  const { notebook: locked, locks } = extractLockedCells(nb);
+
+  assert.deepStrictEqual(locks.map(l => [l.lockId, l.index, l.editable, l.deletable]), [
+    ['tagged', 0, false, false],
+    ['zest', 1, false, false],
+    ['nbgrader', 2, false, false],
+    ['locked-3', 3, false, true],
+    ['undeletable', 4, true, false]
+  ]);
+  assert.deepStrictEqual(locked.cells[0].metadata, { tags: ['locked'], zest: { lockId: 'tagged' }, editable: false, deletable: false });
+  assert.deepStrictEqual(locked.cells[3].metadata, { editable: false, zest: { lockId: 'locked-3' } });
+  assert.deepStrictEqual(locked.cells[5].metadata, { editable: true });
+});
+
+test('a lock records the original cell, with its lock metadata', () => {
+  const cell = markdown('# Instructions\nDo not edit.', { tags: ['locked'] });
+  cell.id = 'intro';
+  cell.attachments = { 'fig.png': { 'image/png': 'iVBOR' } };
+  const nb = notebook([cell]);
+  const original = JSON.parse(JSON.stringify(nb));
+  const { notebook: locked, locks } = extractLockedCells(nb);
+
+  assert.deepStrictEqual(locks[0].cell, {
+    cell_type: 'markdown',
+    source: ['# Instructions\n', 'Do not edit.'],
+    metadata: locked.cells[0].metadata,
+    attachments: cell.attachments
+  });
+  assert.notStrictEqual(locks[0].cell.metadata, locked.cells[0].metadata);
+  assert.deepStrictEqual(nb, original);
+});
+
+test('lock ids are unique and a cell\'s existing lock id is kept', () => {
+  const nb = notebook([
+    code('a', { tags: ['locked'] }, { id: 'same' }),
+    code('b', { tags: ['locked'] }, { id: 'same' }),
+    code('c', { zest: { locked: true, lockId: 'kept' } }, { id: 'other' })
+  ]);
+  const { locks } = extractLockedCells(nb);
+  assert.deepStrictEqual(locks.map(l => l.lockId), ['same', 'same-1', 'kept']);
+});
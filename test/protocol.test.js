@@ -0,0 +1,110 @@
+'use strict';
+
+/* ==========================================================================
+   Tests for the signed requests of template/protocol.js (run with
+   `npm test`): the wrapper's client signs, a responder's guard checks.
+   ========================================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'template', 'protocol.js'), 'utf8');
+
+function loadProtocol({ subtle = true } = {}) {
+  const context = {
+    window: {
+      crypto: subtle ? globalThis.crypto : { getRandomValues: b => globalThis.crypto.getRandomValues(b) },
+      location: { origin: 'https://zest.example' },
+      performance: { timeOrigin: 1 }
+    },
+    TextEncoder, setTimeout, clearTimeout, console
+  };
+  vm.runInNewContext(SOURCE, context, { filename: 'protocol.js' });
+  return context.window.ZestProtocol;
+}
+
+/**
+ * A client connected to a v2 shim. Resolves with the client, the messages
+ * it posted (connect first, already answered) and a helper to wait for
+ * the next one.
+ */
+async function connectedClient(Protocol) {
+  const posted = [];
+  const client = Protocol.createClient(() => ({ postMessage: msg => posted.push(msg) }));
+  client.onReady(Protocol.readyData('shim', '1.0', ['getNotebook', 'loadNotebook']));
+
+  async function next(count) {
+    while (posted.length < count) await new Promise(resolve => setImmediate(resolve));
+    return posted[count - 1];
+  }
+  const connect = await next(1);
+  client.handleReply({ requestId: connect.requestId, from: 'shim', data: { protocol: 2 } });
+  return { client, posted, next };
+}
+
+/** Send a request and take its message off the wire; the reply settles it */
+async function sendRequest(setup, action, data) {
+  const { client, posted, next } = setup;
+  const reply = client.request(action, data);
+  const msg = await next(posted.length + 1);
+  client.handleReply({ requestId: msg.requestId, from: 'shim', data: { success: true } });
+  await reply;
+  return msg;
+}
+
+test('a signed request passes the guard once', async () => {
+  const Protocol = loadProtocol();
+  const setup = await connectedClient(Protocol);
+  const guard = Protocol.createGuard();
+
+  const connect = setup.posted[0];
+  assert.strictEqual(connect.action, 'connect');
+  assert.strictEqual(await guard.check(connect), null);
+
+  const msg = await sendRequest(setup, 'getNotebook', { path: 'part1.ipynb' });
+  assert.match(msg.signature, /^[0-9a-f]{64}$/);
+  assert.strictEqual(await guard.check(msg), null);
+  assert.strictEqual(await guard.check(msg), 'replayed or missing requestId');
+});
+
+test('the guard rejects changed data, unsigned requests and requests before connect', async () => {
+  const Protocol = loadProtocol();
+  const setup = await connectedClient(Protocol);
+  const guard = Protocol.createGuard();
+  const msg = await sendRequest(setup, 'getNotebook', { path: 'part1.ipynb' });
+
+  assert.strictEqual(await guard.check(msg), 'request before connect');
+  await guard.check(setup.posted[0]);
+  assert.strictEqual(await guard.check({ ...msg, data: { path: 'part2.ipynb' } }), 'bad signature');
+  assert.strictEqual(await guard.check({ ...msg, signature: undefined }), 'unsigned request');
+  assert.strictEqual(await guard.check({ ...msg, action: 'save' }), 'bad signature');
+});
+
+test('the signature does not depend on the order of object keys', async () => {
+  const Protocol = loadProtocol();
+  const setup = await connectedClient(Protocol);
+  const guard = Protocol.createGuard();
+  await guard.check(setup.posted[0]);
+
+  const msg = await sendRequest(setup, 'loadNotebook', { notebook: { nbformat: 4, cells: [] }, path: 'a.ipynb' });
+  const reordered = { ...msg, data: { path: 'a.ipynb', notebook: { cells: [], nbformat: 4 } } };
+  assert.strictEqual(await guard.check(reordered), null);
+});
+
+test('a connect from another session is refused', async () => {
+  const Protocol = loadProtocol();
+  const guard = Protocol.createGuard();
+  const first = await connectedClient(Protocol);
+  const second = await connectedClient(Protocol);
+
+  assert.strictEqual(await guard.check(first.posted[0]), null);
+  assert.strictEqual(await guard.check(second.posted[0]), 'connect from another session');
+});
+
+test('canSign reports whether Web Crypto is available', () => {
+  assert.strictEqual(loadProtocol().canSign(), true);
+  assert.strictEqual(loadProtocol({ subtle: false }).canSign(), false);
+});
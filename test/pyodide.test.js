@@ -0,0 +1,109 @@
+'use strict';
+
+/* ==========================================================================
+   Tests for build-tool/lib/pyodide.js (run with `npm test`)
+   ========================================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseRequirements, resolveProjectPackages, setPreloadPackages } = require('../build-tool/lib/pyodide');
+
+/** A Pyodide directory with a small lock file */
+function pyodideDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zest-pyodide-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const pkg = (name, version, depends, imports) =>
+    ({ name, version, depends, imports, file_name: `${name.toLowerCase()}-${version}.whl` });
+  fs.writeFileSync(path.join(dir, 'pyodide-lock.json'), JSON.stringify({
+    info: { version: '0.26.1' },
+    packages: {
+      micropip: pkg('micropip', '0.6.0', ['packaging'], ['micropip']),
+      packaging: pkg('packaging', '23.2', [], ['packaging']),
+      numpy: pkg('numpy', '1.26.4', [], ['numpy']),
+      pandas: pkg('pandas', '2.2.0', ['numpy', 'python-dateutil'], ['pandas']),
+      'python-dateutil': pkg('python-dateutil', '2.8.2', ['six'], ['dateutil']),
+      six: pkg('six', '1.16.0', [], ['six']),
+      'scikit-learn': pkg('scikit-learn', '1.4.2', ['numpy', 'scipy'], ['sklearn']),
+      scipy: pkg('scipy', '1.12.0', ['numpy'], ['scipy']),
+      matplotlib: pkg('matplotlib', '3.5.2', ['numpy'], ['matplotlib'])
+    }
+  }));
+  return dir;
+}
+
+function notebook(...sources) {
+  return {
+    metadata: { kernelspec: { name: 'python', display_name: 'Python', language: 'python' } },
+    cells: sources.map(source => ({ cell_type: 'code', source, metadata: {}, outputs: [] }))
+  };
+}
+
+test('parseRequirements reads names and versions and rejects the rest', () => {
+  const { requirements, errors } = parseRequirements([
+    '# course packages',
+    'pandas==2.2.0',
+    'Scikit_Learn >= 1.0  # for lab 3',
+    '',
+    'requests[socks]',
+    '-r other.txt',
+    'mylib @ https://example.com/mylib.whl',
+    'numpy; python_version > "3.8"'
+  ].join('\n'));
+
+  assert.deepStrictEqual(requirements, [
+    { name: 'pandas', spec: '==2.2.0', line: 2 },
+    { name: 'Scikit_Learn', spec: '>= 1.0', line: 3 },
+    { name: 'requests', spec: '', line: 5 }
+  ]);
+  assert.strictEqual(errors.length, 3);
+  assert.match(errors[0], /^requirements\.txt line 6: "-r other\.txt" is not supported/);
+});
+
+test('a project keeps its requirements, its imports, their dependencies and the kernel packages', t => {
+  const result = resolveProjectPackages({
+    requirementsText: 'pandas\n',
+    notebooks: [notebook('import sklearn.linear_model as lm, os\nfrom .local import x', 'from dateutil import parser')],
+    pyodideDir: pyodideDir(t)
+  });
+
+  assert.deepStrictEqual(result.preload, ['pandas']);
+  assert.deepStrictEqual(Array.from(result.dropFiles), ['matplotlib-3.5.2.whl']);
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.warnings, []);
+});
+
+test('unknown requirements are errors and mismatched pins are warnings', t => {
+  const result = resolveProjectPackages({
+    requirementsText: 'numpy==1.24.0\ntensorflow\n',
+    notebooks: [],
+    pyodideDir: pyodideDir(t)
+  });
+
+  assert.deepStrictEqual(result.preload, ['numpy']);
+  assert.deepStrictEqual(result.errors, ['requirements.txt line 2: "tensorflow" is not a Pyodide 0.26.1 package']);
+  assert.deepStrictEqual(result.warnings, ['requirements.txt line 1: Pyodide 0.26.1 provides numpy 1.26.4, not 1.24.0']);
+});
+
+test('without a local Pyodide distribution nothing is dropped', t => {
+  const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'zest-pyodide-test-'));
+  t.after(() => fs.rmSync(empty, { recursive: true, force: true }));
+
+  const result = resolveProjectPackages({ requirementsText: 'pandas\n', notebooks: [], pyodideDir: empty });
+  assert.deepStrictEqual(result.preload, ['pandas']);
+  assert.strictEqual(result.dropFiles.size, 0);
+  assert.match(result.warnings[0], /downloaded from the Pyodide CDN/);
+});
+
+test('setPreloadPackages keeps the other kernel settings', () => {
+  const id = '@jupyterlite/pyodide-kernel-extension:kernel';
+  const config = { 'jupyter-config-data': { litePluginSettings: { [id]: { loadPyodideOptions: { lockFileURL: 'x' } } } } };
+  setPreloadPackages(config, ['pandas']);
+  assert.deepStrictEqual(config['jupyter-config-data'].litePluginSettings[id].loadPyodideOptions,
+    { lockFileURL: 'x', packages: ['pandas'] });
+  assert.deepStrictEqual(setPreloadPackages({}, []), {
+    'jupyter-config-data': { litePluginSettings: { [id]: { loadPyodideOptions: { packages: [] } } } }
+  });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+/* ==========================================================================
+   Tests for build-tool/lib/runtime.js (run with `npm test`)
+   ========================================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { projectKernels, pruneRules, isPruned, pruneLiteConfig } = require('../build-tool/lib/runtime');
+
+function withKernel(name) {
+  return { cells: [], metadata: name ? { kernelspec: { name, display_name: name } } : {} };
+}
+
+test('a project ships the kernels its notebooks use, Python by default', () => {
+  assert.deepStrictEqual(projectKernels([withKernel(null)]), { kernels: ['python'], errors: [] });
+  assert.deepStrictEqual(projectKernels([withKernel('javascript'), withKernel('javascript')]),
+    { kernels: ['javascript'], errors: [] });
+  // Kernels the runtime lacks are reported by validate.js, not here
+  assert.deepStrictEqual(projectKernels([withKernel('python'), withKernel('ir')]), { kernels: ['python'], errors: [] });
+});
+
+test('declared kernels must be known and cover every notebook', () => {
+  const notebooks = [withKernel('python'), withKernel('javascript')];
+  assert.deepStrictEqual(projectKernels(notebooks, ['javascript', 'python']),
+    { kernels: ['javascript', 'python'], errors: [] });
+  assert.deepStrictEqual(projectKernels(notebooks, ['python', 'julia']).errors, [
+    'zest.json: unknown kernel "julia" in "kernels" (known: python, javascript)',
+    'zest.json: "kernels" leaves out "javascript", which a notebook uses'
+  ]);
+  assert.deepStrictEqual(projectKernels(notebooks, []),
+    { kernels: ['python', 'javascript'], errors: ['zest.json: "kernels" must be a non-empty list'] });
+});
+
+test('pruning a kernel leaves out its extension and files', () => {
+  const rules = pruneRules(['javascript']);
+  assert.deepStrictEqual(rules, {
+    pruned: ['python'],
+    paths: ['static/pyodide', 'extensions/@jupyterlite/pyodide-kernel-extension'],
+    extensions: ['@jupyterlite/pyodide-kernel-extension']
+  });
+  assert.strictEqual(isPruned(rules, 'static/pyodide'), true);
+  assert.strictEqual(isPruned(rules, 'static/pyodide/pyodide.asm.wasm'), true);
+  assert.strictEqual(isPruned(rules, 'static/pyodide-extra/x.js'), false);
+  assert.strictEqual(isPruned(rules, 'extensions/@jupyterlite/javascript-kernel-extension/index.js'), false);
+
+  assert.deepStrictEqual(pruneRules(['python', 'javascript']), { pruned: [], paths: [], extensions: [] });
+});
+
+test('pruneLiteConfig drops pruned extensions without touching linked runtime files', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zest-runtime-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const shared = path.join(dir, 'shared.json');
+  const config = {
+    'jupyter-config-data': {
+      appName: 'Zest',
+      federated_extensions: [
+        { name: '@jupyterlite/pyodide-kernel-extension', load: 'a.js' },
+        { name: '@jupyterlite/javascript-kernel-extension', load: 'b.js' }
+      ]
+    }
+  };
+  fs.writeFileSync(shared, JSON.stringify(config));
+  fs.mkdirSync(path.join(dir, 'lite'));
+  fs.linkSync(shared, path.join(dir, 'lite/jupyter-lite.json'));
+
+  pruneLiteConfig(path.join(dir, 'lite'), pruneRules(['javascript']));
+
+  const pruned = JSON.parse(fs.readFileSync(path.join(dir, 'lite/jupyter-lite.json'), 'utf8'));
+  assert.deepStrictEqual(pruned['jupyter-config-data'].federated_extensions.map(e => e.name),
+    ['@jupyterlite/javascript-kernel-extension']);
+  assert.strictEqual(pruned['jupyter-config-data'].appName, 'Zest');
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(shared, 'utf8')), config);
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+/* ==========================================================================
+   Tests for build-tool/lib/submissions.js and export-submissions.js (run
+   with `npm test`). Dumps are written to a temporary directory; the
+   exporter is run as a command on them.
+   ========================================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  decodeArtifacts,
+  loadSubmissionDump,
+  submittedNotebooks,
+  latestByStudent
+} = require('../build-tool/lib/submissions');
+
+const EXPORTER = path.join(__dirname, '..', 'build-tool', 'export-submissions.js');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zest-submissions-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function notebook(source) {
+  return { cells: [{ cell_type: 'code', source, metadata: {}, outputs: [], execution_count: null }], metadata: {}, nbformat: 4, nbformat_minor: 5 };
+}
+
+function gzip(value) {
+  return { enc: 'gzip', data: zlib.gzipSync(JSON.stringify(value)).toString('base64') };
+}
+
+// -----------------------------------------------------------------------
+// Reading dumps
+// -----------------------------------------------------------------------
+
+test('envelopes from earlier wrappers are inflated and their chunks filled in', () => {
+  const chunks = new Map([['sha256-abc', { enc: 'none', data: 'print("long cell")' }]]);
+  const envelope = {
+    transport: 1,
+    doc: gzip({ notebook: { cells: [{ source: { $zestChunk: 'sha256-abc' } }] }, stats: { timeSpent: 60 } })
+  };
+
+  assert.deepStrictEqual(decodeArtifacts(envelope, chunks), {
+    notebook: { cells: [{ source: 'print("long cell")' }] },
+    stats: { timeSpent: 60 }
+  });
+  assert.throws(() => decodeArtifacts(envelope, new Map()), /Missing chunk sha256-abc/);
+  assert.throws(() => decodeArtifacts({ transport: 2, doc: {} }, chunks), /newer transport format/);
+
+  const plain = { notebook: notebook('x'), transport: 'not an envelope' };
+  assert.strictEqual(decodeArtifacts(plain, chunks), plain);
+});
+
+test('a dump file can hold records, a list, or submissions with chunks', t => {
+  const dir = tempDir(t);
+  const work = { artifacts: { notebook: notebook('x') }, score: 3 };
+  fs.writeFileSync(path.join(dir, 'ada.json'), JSON.stringify(work));
+  fs.writeFileSync(path.join(dir, 'class.json'), JSON.stringify({
+    submissions: [
+      { studentId: 7, submission: work },
+      { user: { id: 'cy', name: 'Cy' }, submitted_at: '2024-03-01T00:00:00Z', work }
+    ],
+    chunks: { 'c53-1': { enc: 'none', data: 'x' } }
+  }));
+
+  const single = loadSubmissionDump(path.join(dir, 'ada.json'));
+  assert.deepStrictEqual(single.records.map(r => [r.student, r.work.score]), [['ada', 3]]);
+
+  const whole = loadSubmissionDump(dir);
+  assert.deepStrictEqual(whole.records.map(r => [r.student, r.name, r.submittedAt]), [
+    ['ada', null, null],
+    ['7', null, null],
+    ['cy', 'Cy', '2024-03-01T00:00:00Z']
+  ]);
+  assert.deepStrictEqual(Array.from(whole.chunks.keys()), ['c53-1']);
+
+  fs.writeFileSync(path.join(dir, 'broken.json'), JSON.stringify([{ userId: 'dan', work: {} }]));
+  assert.throws(() => loadSubmissionDump(path.join(dir, 'broken.json')), /record 1 has no artifacts/);
+});
+
+test('each student\'s latest submission is kept, undecodable ones reported', () => {
+  const record = (student, submittedAt, artifacts) => ({ student, name: null, submittedAt, work: { artifacts } });
+  const dump = {
+    records: [
+      record('ada', '2024-03-02T00:00:00Z', { notebook: notebook('second') }),
+      record('ada', '2024-03-01T00:00:00Z', { notebook: notebook('first') }),
+      record('bob', null, { notebook: notebook('bob'), events: [{ type: 'submission', t: 1700000000 }] }),
+      record('cy', null, { transport: 1, doc: { enc: 'rot13', data: '' } })
+    ],
+    chunks: new Map()
+  };
+  const { entries, errors, warnings } = latestByStudent(dump);
+
+  assert.deepStrictEqual(entries.map(e => [e.id, e.artifacts.notebook.cells[0].source, e.time.toISOString()]), [
+    ['ada', 'second', '2024-03-02T00:00:00.000Z'],
+    ['bob', 'bob', '2023-11-14T22:13:20.000Z']
+  ]);
+  assert.deepStrictEqual(errors, ['cy: Unknown payload encoding: rot13']);
+  assert.deepStrictEqual(warnings, ['ada: several submissions, keeping the latest']);
+});
+
+test('submitted notebooks are keyed by path, single-notebook packages by assignment.ipynb', () => {
+  assert.deepStrictEqual(Object.keys(submittedNotebooks({ notebook: JSON.stringify(notebook('x')) })), ['assignment.ipynb']);
+  const both = submittedNotebooks({ notebook: notebook('a'), notebooks: { 'part1.ipynb': notebook('a'), 'part2.ipynb': null } });
+  assert.deepStrictEqual(Object.keys(both), ['part1.ipynb']);
+});
+
+// -----------------------------------------------------------------------
+// export-submissions.js
+// -----------------------------------------------------------------------
+
+test('export-submissions writes a folder per student, a summary and an archive', t => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'dump.json'), JSON.stringify([
+    {
+      userId: 'ada',
+      name: 'Lovelace, Ada',
+      submittedAt: '2024-03-01T14:05:09Z',
+      work: {
+        score: 7,
+        maxScore: 10,
+        artifacts: {
+          notebooks: { 'labs/lab1.ipynb': notebook('x = 1') },
+          files: [
+            { path: 'data/raw.bin', format: 'base64', content: Buffer.from([0, 1, 2]).toString('base64') },
+            { path: 'notes.txt', format: 'text', content: 'hello' },
+            { path: '../../escape.txt', format: 'text', content: 'no' }
+          ],
+          stats: { timeSpent: 3720, cellExecutions: 12, interactions: 40 }
+        }
+      }
+    },
+    { userId: 'bob', work: { artifacts: { notebook: notebook('y = 2') } } }
+  ]));
+  const out = path.join(dir, 'export');
+
+  execFileSync(process.execPath, [EXPORTER, path.join(dir, 'dump.json'), '--out', out], { stdio: 'pipe', timeout: 30000 });
+
+  const ada = path.join(out, 'ada');
+  assert.strictEqual(JSON.parse(fs.readFileSync(path.join(ada, 'workspace/labs/lab1.ipynb'), 'utf8')).cells[0].source, 'x = 1');
+  assert.ok(fs.readFileSync(path.join(ada, 'workspace/data/raw.bin')).equals(Buffer.from([0, 1, 2])));
+  assert.strictEqual(fs.readFileSync(path.join(ada, 'workspace/notes.txt'), 'utf8'), 'hello');
+  assert.strictEqual(fs.existsSync(path.join(dir, 'escape.txt')), false);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(ada, 'submission.json'), 'utf8')).score, 7);
+  assert.ok(fs.existsSync(path.join(out, 'bob/workspace/assignment.ipynb')));
+
+  assert.deepStrictEqual(fs.readFileSync(path.join(out, 'summary.csv'), 'utf8').split('\n'), [
+    'student,name,submitted_at,score,max_score,time_spent_s,cell_executions,interactions,files',
+    'ada,"Lovelace, Ada",2024-03-01T14:05:09.000Z,7,10,3720,12,40,3',
+    'bob,,,,,,,,0',
+    ''
+  ]);
+  assert.match(fs.readFileSync(path.join(out, 'index.html'), 'utf8'), /2 student\(s\) · average score 7\.0 · average time 1h 02m/);
+  assert.ok(fs.statSync(out + '.zip').size > 0);
+
+  // A second run does not overwrite the export without --force
+  const again = spawnSync(process.execPath, [EXPORTER, path.join(dir, 'dump.json'), '--out', out, '--no-zip'], { encoding: 'utf8', timeout: 30000 });
+  assert.strictEqual(again.status, 1);
+  assert.match(again.stderr, /is not empty \(use --force to replace it\)/);
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+/* ==========================================================================
+   Tests for build-tool/lib/template-kit.js (run with `npm test`)
+   ========================================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { KIT_TITLE, placeholderNotebook, howToUse } = require('../build-tool/lib/template-kit');
+const { validateNotebook } = require('../build-tool/lib/validate');
+const { cellSource } = require('../build-tool/lib/notebook');
+
+test('the placeholder notebook passes the build\'s own checks', () => {
+  const text = JSON.stringify(placeholderNotebook(), null, 1);
+  assert.deepStrictEqual(validateNotebook(text, { path: 'assignment.ipynb', files: new Set() }),
+    { errors: [], warnings: [] });
+});
+
+test('placeholder sources are nbformat line lists', () => {
+  const [title, code] = placeholderNotebook().cells;
+  assert.ok(title.source.slice(0, -1).every(line => line.endsWith('\n')));
+  assert.ok(!title.source[title.source.length - 1].endsWith('\n'));
+  assert.strictEqual(cellSource(title).split('\n')[0], `# ${KIT_TITLE}`);
+  assert.deepStrictEqual(code.source, ['print("Hello from JupyterLite!")']);
+  // A fresh copy each time: build.js may modify it
+  assert.notStrictEqual(placeholderNotebook(), placeholderNotebook());
+});
+
+test('HOW-TO-USE lists the kit\'s kernels and the versions it was built with', () => {
+  const text = howToUse({
+    tool: '1.0.0',
+    runtime: { jupyterlite: '0.7.1', pyodide: '0.26.1', extensions: {} },
+    kernels: ['python', 'javascript']
+  });
+  assert.match(text, /^ {3}python, javascript\.$/m);
+  assert.match(text, /^Built with build tool 1\.0\.0, JupyterLite 0\.7\.1, Pyodide 0\.26\.1\.$/m);
+
+  const bare = howToUse({ tool: '1.0.0', runtime: { jupyterlite: null, pyodide: null, extensions: {} }, kernels: ['python'] });
+  assert.match(bare, /^Built with build tool 1\.0\.0\.$/m);
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+/* ==========================================================================
+   Tests for template/transport.js (run with `npm test`)
+   Each test loads the script into a fresh context — the module keeps the
+   chunks the server is known to hold — with a stub Zest chunk API.
+   ========================================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'template', 'transport.js'), 'utf8');
+
+/**
+ * Load transport.js. `zest` becomes the global Zest (omit it for no chunk
+ * API); `subtle: false` hides Web Crypto, as on plain-http pages.
+ */
+function loadTransport({ zest, subtle = true } = {}) {
+  const context = {
+    window: { crypto: subtle ? globalThis.crypto : {} },
+    Blob, Response, CompressionStream, DecompressionStream, TextEncoder, btoa, atob
+  };
+  if (zest) context.Zest = zest;
+  vm.runInNewContext(SOURCE, context, { filename: 'transport.js' });
+  return context.window.ZestTransport;
+}
+
+/** A chunk API that keeps chunks in memory and counts uploads */
+function stubZest(overrides = {}) {
+  const chunks = {};
+  const zest = {
+    puts: 0,
+    chunks,
+    putChunk(id, data) {
+      zest.puts++;
+      chunks[id] = data;
+      return Promise.resolve({ success: true });
+    },
+    getChunk(id) {
+      return Promise.resolve(chunks[id] || null);
+    }
+  };
+  return Object.assign(zest, overrides);
+}
+
+/** Objects decoded in the script's context have that context's prototypes */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function workspace() {
+  return {
+    revision: 3,
+    notebooks: {
+      'assignment.ipynb': {
+        cells: [
+          { cell_type: 'code', source: 'x = 1', outputs: [] },
+          { cell_type: 'code', source: 'y = 2\n'.repeat(400), outputs: [{ data: { 'image/png': 'iVBOR'.repeat(2000) } }] }
+        ]
+      }
+    },
+    files: [{ path: 'data.csv', content: 'a,b\n'.repeat(1000) }]
+  };
+}
+
+test('round trip without the chunk API', async () => {
+  const transport = loadTransport();
+  const value = workspace();
+  const envelope = await transport.encode(value, { keep: ['revision'] });
+
+  assert.strictEqual(envelope.transport, 1);
+  assert.strictEqual(envelope.revision, 3);
+  assert.strictEqual(envelope.doc.enc, 'gzip');
+  assert.strictEqual(envelope.chunks, undefined);
+  assert.deepStrictEqual(plain(await transport.decode(envelope)), value);
+});
+
+test('round trip with the chunk API stores long strings as chunks', async () => {
+  const zest = stubZest();
+  const transport = loadTransport({ zest });
+  const value = workspace();
+  const envelope = await transport.encode(value);
+
+  // The long cell source, the image and the file; not the short cell
+  assert.strictEqual(envelope.chunks.length, 3);
+  assert.ok(envelope.chunks.every(id => /^sha256-[0-9a-f]{64}$/.test(id)));
+  assert.strictEqual(zest.puts, 3);
+  assert.deepStrictEqual(plain(await loadTransport({ zest }).decode(envelope)), value);
+});
+
+test('chunk ids fall back to a non-cryptographic hash without Web Crypto', async () => {
+  const zest = stubZest();
+  const transport = loadTransport({ zest, subtle: false });
+  const value = workspace();
+  const envelope = await transport.encode(value);
+
+  assert.ok(envelope.chunks.every(id => /^c53-[0-9a-f]+-\d+$/.test(id)));
+  assert.deepStrictEqual(plain(await transport.decode(envelope)), value);
+});
+
+test('chunks the server already has are not uploaded again', async () => {
+  const zest = stubZest();
+  const transport = loadTransport({ zest });
+  const value = workspace();
+  const first = await transport.encode(value);
+
+  value.notebooks['assignment.ipynb'].cells[0].source = 'x = 10';
+  await transport.encode(value);
+  assert.strictEqual(zest.puts, 3);
+
+  // A new page that was told about the chunks (rememberChunks) skips them too
+  const next = loadTransport({ zest });
+  next.rememberChunks(first.chunks);
+  await next.encode(value);
+  assert.strictEqual(zest.puts, 3);
+});
+
+test('a failing putChunk rejects the encode', async () => {
+  const refused = loadTransport({ zest: stubZest({ putChunk: () => Promise.resolve({ success: false, error: 'Quota exceeded' }) }) });
+  await assert.rejects(refused.encode(workspace()), /Quota exceeded/);
+
+  const offline = loadTransport({ zest: stubZest({ putChunk: () => Promise.reject(new Error('Network down')) }) });
+  await assert.rejects(offline.encode(workspace()), /Network down/);
+});
+
+test('payloads saved before the transport pass through decode unchanged', async () => {
+  const transport = loadTransport();
+  const legacy = { notebook: { cells: [] }, timeSpent: 60 };
+
+  assert.strictEqual(await transport.decode(legacy), legacy);
+  assert.strictEqual(await transport.decode(null), null);
+  assert.strictEqual(transport.isEncoded(legacy), false);
+});
+
+test('a payload from a newer transport version is refused', async () => {
+  const transport = loadTransport();
+  await assert.rejects(transport.decode({ transport: 99, doc: { enc: 'none', data: '{}' } }), /newer format/);
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+/* ==========================================================================
+   Tests for build-tool/lib/validate.js (run with `npm test`)
+   ========================================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateNotebook } = require('../build-tool/lib/validate');
+
+function notebook(cells, extra = {}) {
+  return {
+    cells,
+    metadata: { kernelspec: { name: 'python', display_name: 'Python (Pyodide)', language: 'python' } },
+    nbformat: 4,
+    nbformat_minor: 5,
+    ...extra
+  };
+}
+
+function codeCell(id, source, outputs = []) {
+  return { id, cell_type: 'code', metadata: {}, source, outputs, execution_count: null };
+}
+
+function validate(nb, options) {
+  return validateNotebook(JSON.stringify(nb), options);
+}
+
+test('a well-formed notebook has no findings', () => {
+  const nb = notebook([
+    { id: 'intro', cell_type: 'markdown', metadata: {}, source: ['# Lab 1\n', 'Read the data.'] },
+    codeCell('load', 'print(1)', [{ output_type: 'stream', name: 'stdout', text: '1\n' }])
+  ]);
+  assert.deepStrictEqual(validate(nb), { errors: [], warnings: [] });
+});
+
+test('invalid JSON and other nbformat versions are errors', () => {
+  assert.match(validateNotebook('{"cells": [').errors[0], /^not valid JSON/);
+  assert.match(validate(notebook([], { nbformat: 3 })).errors[0], /nbformat 3 is not supported/);
+});
+
+test('schema errors name the cell and output', () => {
+  const nb = notebook([
+    codeCell('a', 'x = 1', [{ output_type: 'stream', text: 'x' }]),
+    { cell_type: 'code', metadata: {}, source: 'y', outputs: [], execution_count: 1.5, collapsed: true },
+    codeCell('a', 'z')
+  ]);
+  assert.deepStrictEqual(validate(nb).errors, [
+    'cell 1, output 1: stream output needs "name" of "stdout" or "stderr"',
+    'cell 2: unexpected "collapsed" in a code cell',
+    'cell 2: nbformat 4.5+ cells need an "id"',
+    'cell 2: "execution_count" must be an integer or null',
+    'cell 3: duplicate cell id "a"'
+  ]);
+});
+
+test('a kernel the runtime lacks is an error, a missing kernelspec a warning', () => {
+  const r = notebook([], { metadata: { kernelspec: { name: 'python3', display_name: 'Python 3', language: 'python' } } });
+  assert.deepStrictEqual(validate(r).errors, [
+    'kernelspec "python3" is not in the runtime (available: python, javascript) — use "python"'
+  ]);
+
+  const bare = validate(notebook([], { metadata: {} }));
+  assert.deepStrictEqual(bare.errors, []);
+  assert.match(bare.warnings[0], /^no kernelspec/);
+});
+
+test('large outputs are a warning', () => {
+  const image = { output_type: 'display_data', data: { 'image/png': 'A'.repeat(1024 * 1024) }, metadata: {} };
+  const { errors, warnings } = validate(notebook([codeCell('plot', 'plot()', [image])]));
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings, ['cell 1: outputs are 1.0 MB — clear them before packaging unless students need them']);
+});
+
+test('data files read by the notebook must be packaged', () => {
+  const nb = notebook([
+    codeCell('read', 'df = pd.read_csv("data/grades.csv")\nraw = open("../notes.txt").read()'),
+    codeCell('write', 'df.to_csv("out.csv")\nurl = "https://example.com/x.csv"')
+  ]);
+  const files = new Set(['labs/data/grades.csv']);
+
+  assert.deepStrictEqual(validate(nb, { path: 'labs/lab1.ipynb', files }).warnings, [
+    'cell 1: reads "notes.txt", which is not packaged with the project'
+  ]);
+  // Without the file list the references are not checked
+  assert.deepStrictEqual(validate(nb, { path: 'labs/lab1.ipynb' }).warnings, []);
+});
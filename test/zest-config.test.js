@@ -0,0 +1,105 @@
+'use strict';
+
+/* ==========================================================================
+   Tests for build-tool/lib/zest-config.js (run with `npm test`)
+   Projects are merged over the repository's own template/zest.json.
+   ========================================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { validateZestConfig, mergeZestConfig, fillPlaceholders } = require('../build-tool/lib/zest-config');
+
+const TEMPLATE = require(path.join(__dirname, '..', 'template', 'zest.json'));
+
+test('a project only overrides what it sets', () => {
+  const merged = mergeZestConfig(TEMPLATE, {
+    name: 'Lab 1',
+    grading: 'auto',
+    sandbox: { allowPopups: true },
+    tags: ['python', 'notebook'],
+    attribution: null
+  });
+
+  assert.strictEqual(merged.name, 'Lab 1');
+  assert.strictEqual(merged.grading, 'auto');
+  assert.strictEqual(merged.width, 1000);
+  assert.deepStrictEqual(merged.sandbox, { ...TEMPLATE.sandbox, allowPopups: true });
+  assert.deepStrictEqual(merged.tags, ['notebook', 'jupyterlite', 'interactive', 'python']);
+  assert.strictEqual('attribution' in merged, false);
+});
+
+test('parameters are merged by key, new ones after the template\'s', () => {
+  const project = {
+    parameters: [
+      { key: 'dataset', type: 'string', label: 'Dataset' },
+      { key: 'kernel', default: 'python' }
+    ]
+  };
+  const merged = mergeZestConfig(TEMPLATE, project);
+
+  assert.deepStrictEqual(merged.parameters, [
+    { ...TEMPLATE.parameters[0], default: 'python' },
+    { key: 'dataset', type: 'string', label: 'Dataset' }
+  ]);
+  // Neither input is modified
+  assert.strictEqual(TEMPLATE.parameters[0].default, '');
+  assert.strictEqual(project.parameters[1].type, undefined);
+});
+
+test('schema errors name the field as the author wrote it', () => {
+  const { errors, warnings } = validateZestConfig({
+    name: '',
+    grading: 'peer',
+    width: 0,
+    height: 750.5,
+    sandbox: { allowScripts: 'yes', allowCamera: true },
+    tags: ['ok', 3],
+    notebooks: ['a.ipynb', { title: 'No file' }],
+    lti: { deepLinking: true }
+  }, TEMPLATE);
+
+  assert.deepStrictEqual(errors, [
+    '"name" must not be empty',
+    '"grading" must be one of: "manual", "auto"',
+    '"width" must be at least 1',
+    '"height" must be a whole number',
+    '"sandbox.allowScripts" must be true or false',
+    'unknown field "sandbox.allowCamera"',
+    '"tags[1]" must be a string',
+    '"notebooks[1].file" is required'
+  ]);
+  assert.deepStrictEqual(warnings, ['unknown field "lti" (passed through to Zest unchanged)']);
+});
+
+test('parameters are checked as they will be after merging', () => {
+  const check = parameters => validateZestConfig({ parameters }, TEMPLATE).errors;
+
+  assert.deepStrictEqual(check([{ key: 'kernel', default: 'javascript' }]), []);
+  assert.deepStrictEqual(check([{ key: 'kernel', default: 'r' }]), [
+    '"parameters[0].default" must be one of its options: "", "python", "javascript"'
+  ]);
+  assert.deepStrictEqual(check([{ key: 'dataset' }, { key: 'dataset', type: 'string' }]), [
+    '"parameters[0].type" is required (the template has no "dataset" parameter)',
+    '"parameters[1].key": duplicate key "dataset"'
+  ]);
+  assert.deepStrictEqual(check([{ key: 'mode', type: 'select' }]), ['"parameters[0].options" is required for a select parameter']);
+  assert.deepStrictEqual(check([{ label: 'No key' }]), ['"parameters[0].key" is required']);
+});
+
+test('null removes a template field without a type error, and non-objects are refused', () => {
+  assert.deepStrictEqual(validateZestConfig({ attribution: null, description: null }, TEMPLATE), { errors: [], warnings: [] });
+  assert.deepStrictEqual(validateZestConfig([], TEMPLATE).errors, ['must be a JSON object']);
+});
+
+test('placeholders are filled everywhere and unknown ones reported', () => {
+  const { config, errors } = fillPlaceholders(
+    { name: '{{NOTEBOOK_TITLE}}', tags: ['{{ NOTEBOOK_TITLE }}'], attribution: { source: '{{AUTHOR}}' }, width: 1000 },
+    { NOTEBOOK_TITLE: 'Lab 1', NOTEBOOK_DESCRIPTION: '' }
+  );
+
+  assert.deepStrictEqual(config, { name: 'Lab 1', tags: ['Lab 1'], attribution: { source: '{{AUTHOR}}' }, width: 1000 });
+  assert.deepStrictEqual(errors, [
+    '"attribution.source": unknown placeholder {{AUTHOR}} (known: {{NOTEBOOK_TITLE}}, {{NOTEBOOK_DESCRIPTION}})'
+  ]);
+});
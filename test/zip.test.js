@@ -0,0 +1,130 @@
+'use strict';
+
+/* ==========================================================================
+   Tests for build-tool/lib/zip.js (run with `npm test`)
+   Archives are read back with a small central-directory reader below.
+   ========================================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { writeZip, verifyZip } = require('../build-tool/lib/zip');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zest-zip-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function writeTree(root, files) {
+  for (const [rel, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, rel)), { recursive: true });
+    fs.writeFileSync(path.join(root, rel), content);
+  }
+}
+
+/** Entries of a zip in central-directory order: { name, method, data } */
+function readZip(zipPath) {
+  const zip = fs.readFileSync(zipPath);
+  const eocd = zip.length - 22;
+  const entries = [];
+  let pos = zip.readUInt32LE(eocd + 16);
+  for (let i = 0; i < zip.readUInt16LE(eocd + 10); i++) {
+    const nameLength = zip.readUInt16LE(pos + 28);
+    const name = zip.toString('utf8', pos + 46, pos + 46 + nameLength);
+    const local = zip.readUInt32LE(pos + 42);
+    const method = zip.readUInt16LE(local + 8);
+    const start = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+    const body = zip.subarray(start, start + zip.readUInt32LE(local + 18));
+    entries.push({ name, method, data: method === 8 ? zlib.inflateRawSync(body) : body });
+    pos += 46 + nameLength + zip.readUInt16LE(pos + 30) + zip.readUInt16LE(pos + 32);
+  }
+  return entries;
+}
+
+const PROJECT = {
+  'index.html': '<html>' + 'zest '.repeat(200) + '</html>',
+  'lite/files/lab.ipynb': '{"cells": []}',
+  'lite/files/données.csv': 'a,b\n',
+  'lite/files/plot.png': 'PNG'.repeat(100),
+  'lite/files/.hidden/keep.txt': 'nested dotfiles are packaged',
+  'lite/noise.bin': Buffer.from(Array.from({ length: 64 }, (_, i) => (i * 151) % 256)),
+  '.DS_Store': 'top-level dotfiles are not'
+};
+
+test('two builds of the same input give byte-identical zips', t => {
+  const root = tempDir(t);
+  writeTree(path.join(root, 'a'), PROJECT);
+  // Same files written in the reverse order, with other times
+  writeTree(path.join(root, 'b'), Object.fromEntries(Object.entries(PROJECT).reverse()));
+  fs.utimesSync(path.join(root, 'b/index.html'), new Date(2001, 1, 1), new Date(2001, 1, 1));
+
+  writeZip(path.join(root, 'a'), path.join(root, 'a.zip'));
+  writeZip(path.join(root, 'b'), path.join(root, 'b.zip'));
+  assert.ok(fs.readFileSync(path.join(root, 'a.zip')).equals(fs.readFileSync(path.join(root, 'b.zip'))));
+});
+
+test('entries are sorted, compressed where it helps, and round trip', t => {
+  const root = tempDir(t);
+  writeTree(path.join(root, 'src'), PROJECT);
+  const zipPath = path.join(root, 'out.zip');
+  const result = writeZip(path.join(root, 'src'), zipPath);
+
+  const entries = readZip(zipPath);
+  assert.deepStrictEqual(entries.map(e => e.name), [
+    'index.html',
+    'lite/files/.hidden/keep.txt',
+    'lite/files/données.csv',
+    'lite/files/lab.ipynb',
+    'lite/files/plot.png',
+    'lite/noise.bin'
+  ]);
+  const method = name => entries.find(e => e.name === name).method;
+  assert.strictEqual(method('index.html'), 8);
+  assert.strictEqual(method('lite/files/plot.png'), 0, 'images are stored');
+  assert.strictEqual(method('lite/noise.bin'), 0, 'deflate would not make it smaller');
+
+  for (const entry of entries) {
+    assert.ok(entry.data.equals(Buffer.from(PROJECT[entry.name])), entry.name);
+  }
+  // Only index.html shrinks when deflated
+  assert.deepStrictEqual(result, { entries: 6, size: fs.statSync(zipPath).size, stored: 5 });
+});
+
+test('writeZip replaces an existing zip and leaves no temporary file', t => {
+  const root = tempDir(t);
+  writeTree(path.join(root, 'src'), { 'a.txt': 'a' });
+  const zipPath = path.join(root, 'out.zip');
+  fs.writeFileSync(zipPath, 'old');
+
+  writeZip(path.join(root, 'src'), zipPath);
+  assert.deepStrictEqual(readZip(zipPath).map(e => e.name), ['a.txt']);
+  assert.deepStrictEqual(fs.readdirSync(root).sort(), ['out.zip', 'src']);
+});
+
+test('verifyZip finds missing, renamed and corrupt entries', t => {
+  const root = tempDir(t);
+  writeTree(path.join(root, 'src'), { 'a.txt': 'alpha '.repeat(50), 'b.txt': 'beta' });
+  const zipPath = path.join(root, 'out.zip');
+  writeZip(path.join(root, 'src'), zipPath);
+
+  const expected = ['a.txt', 'b.txt'].map(name => {
+    const data = fs.readFileSync(path.join(root, 'src', name));
+    return { name, size: data.length, crc: zlib.crc32(data) };
+  });
+  verifyZip(zipPath, expected);
+  assert.throws(() => verifyZip(zipPath, expected.slice(1)), /2 entries, expected 1/);
+  assert.throws(() => verifyZip(zipPath, [expected[0], { ...expected[1], name: 'c.txt' }]), /found b\.txt, expected c\.txt/);
+
+  // 'beta' is stored: flip one of its bytes
+  const zip = fs.readFileSync(zipPath);
+  zip[zip.indexOf('beta')] ^= 0xff;
+  fs.writeFileSync(zipPath, zip);
+  assert.throws(() => verifyZip(zipPath, expected), /b\.txt is corrupt/);
+
+  fs.writeFileSync(zipPath, 'not a zip at all, but long enough to have a tail');
+  assert.throws(() => verifyZip(zipPath, expected), /no end-of-central-directory record/);
+});